@@ -4,24 +4,100 @@
  */
 
 // Import modules
-import { loadTasks, saveTasks, clearTasks, isStorageAvailable } from './modules/storage.js';
+import {
+    loadTasks,
+    saveTasks,
+    clearTasks,
+    initStorage,
+    loadHistory,
+    saveHistory,
+    loadSettings,
+    saveSettings,
+    loadListIndex,
+    saveListIndex,
+    loadRemoteState,
+    saveRemoteState,
+    clearRemoteState,
+    loadArchive,
+    saveArchive,
+    clearArchive,
+    DEFAULT_LIST_ID
+} from './modules/storage.js';
 import { 
     renderTaskList, 
     updateTaskCount, 
     updateFilterButtons, 
     showValidationMessage, 
     clearValidationMessage,
-    addTaskToList,
-    removeTaskFromList,
-    updateTaskCompletion
+    showTaskEditor,
+    renderTagBar,
+    announce,
+    debounce,
+    renderListSwitcher,
+    renderImportPreview,
+    renderImportPlan,
+    renderSyncStatus,
+    renderTrashControls,
+    renderArchive,
+    hideEmptyState,
+    updateTaskSelection,
+    renderSelectionToolbar,
+    focusTaskRow,
+    getFocusedTaskId,
+    downloadFile,
+    SORT_MODES
 } from './modules/render.js';
 import { 
     validateTaskText, 
     validateTaskObject, 
     setupRealTimeValidation,
     checkForDuplicates,
-    sanitizeTaskForStorage
+    sanitizeTaskForStorage,
+    validateDueDate,
+    validatePriority,
+    validateTags,
+    validateSubtasks,
+    extractTags,
+    validateListName,
+    validateRecurrence,
+    sanitizeCompletedOccurrences,
+    PRIORITY_LEVELS
 } from './modules/validation.js';
+import { createHistory, applyCommand, createDeleteChanges } from './modules/history.js';
+import { setupDragReorder, getMoveIndexes, getKeyboardMoveTarget } from './modules/reorder.js';
+import { createRecurrenceRule, getNextDueDate } from './modules/recurrence.js';
+import { formatRelativeDueDate } from './modules/dates.js';
+import { serializeTasks, getExportFileName, parseImportFile, EXPORT_FORMATS } from './modules/transfer.js';
+import {
+    planMerge,
+    planReplace,
+    describeMergePlan,
+    mergeConcurrentTasks,
+    DEFAULT_MERGE_STRATEGY
+} from './modules/merge.js';
+import { createTabSync } from './modules/sync.js';
+import { registerServiceWorker, applyUpdate } from './modules/pwa.js';
+import { createRestAdapter, createRemoteSync, SYNC_STATUS } from './modules/remote.js';
+import { isTrashed, withoutTrashed, isTrashExpired, TRASH_RETENTION_DAYS } from './modules/trash.js';
+import { archiveTask, unarchiveTask } from './modules/archive.js';
+import { confirmAction } from './modules/dialog.js';
+import {
+    createStore,
+    createInitialState,
+    appReducer,
+    listLoaded,
+    tasksReplaced,
+    commandApplied,
+    commandReverted,
+    archiveReplaced,
+    filterChanged,
+    tagChanged,
+    queryChanged,
+    countTasks,
+    selectTaskCounts,
+    selectTaggedTasks,
+    selectVisibleTasks
+} from './modules/store.js';
 
 /**
  * TaskFlow Lite Application Class
@@ -29,30 +105,160 @@ import {
  */
 class TaskFlowApp {
     constructor() {
-        this.tasks = [];
-        this.currentFilter = 'all';
+        // The active list's tasks, archive and view filters; changed only by dispatching actions
+        this.store = createStore(appReducer, createInitialState(DEFAULT_LIST_ID));
+        // The latest save started by the persistence subscriber
+        this.pendingSave = Promise.resolve();
+        this.lists = [];
+        this.listFormMode = null;
+        this.importPreview = null;
+        this.expandedTaskIds = new Set();
+        // Tasks picked for bulk actions; the anchor is where Shift-click ranges start
+        this.selectedTaskIds = new Set();
+        this.selectionAnchorId = null;
+        this.editingTaskId = null;
+        this.history = createHistory();
+        this.settings = loadSettings();
+        // Tasks as last loaded from or saved to storage; the common base when another tab saves
+        this.syncedTasks = [];
+        this.tabSync = null;
+        this.syncQueue = Promise.resolve();
+        this.waitingWorker = null;
+        this.remoteSync = null;
         this.isInitialized = false;
 
         // DOM elements
         this.elements = {
             taskForm: null,
             taskInput: null,
+            dueDateInput: null,
+            priorityInput: null,
+            repeatInput: null,
+            repeatIntervalInput: null,
+            sortSelect: null,
             taskList: null,
             filterButtons: null,
-            clearCompletedBtn: null
+            tagBar: null,
+            searchInput: null,
+            clearCompletedBtn: null,
+            listSelect: null,
+            newListBtn: null,
+            renameListBtn: null,
+            deleteListBtn: null,
+            listNameForm: null,
+            listNameInput: null,
+            listNameCancel: null,
+            exportMenu: null,
+            importBtn: null,
+            importFileInput: null,
+            importPreview: null,
+            dropZone: null,
+            updateBanner: null,
+            syncStatus: null,
+            syncForm: null,
+            syncUrlInput: null,
+            trashControls: null,
+            archiveView: null,
+            archiveCompletedBtn: null,
+            selectionToolbar: null
         };
 
         // Bind methods to preserve context
         this.handleFormSubmit = this.handleFormSubmit.bind(this);
         this.handleTaskListClick = this.handleTaskListClick.bind(this);
+        this.handleTaskListDblClick = this.handleTaskListDblClick.bind(this);
+        this.handleTaskListKeydown = this.handleTaskListKeydown.bind(this);
         this.handleFilterClick = this.handleFilterClick.bind(this);
         this.handleClearCompleted = this.handleClearCompleted.bind(this);
+        this.handleSortChange = this.handleSortChange.bind(this);
+        this.handleTrashControlsClick = this.handleTrashControlsClick.bind(this);
+        this.handleTrashRetentionChange = this.handleTrashRetentionChange.bind(this);
+        this.handleArchiveClick = this.handleArchiveClick.bind(this);
+        this.handleSelectionToolbarClick = this.handleSelectionToolbarClick.bind(this);
+        this.handleSelectionToolbarChange = this.handleSelectionToolbarChange.bind(this);
+        this.handleSelectionToolbarKeydown = this.handleSelectionToolbarKeydown.bind(this);
+        this.handleTagBarClick = this.handleTagBarClick.bind(this);
+        this.handleSearchInput = debounce(this.handleSearchInput.bind(this), 200);
+        this.handleSearchKeydown = this.handleSearchKeydown.bind(this);
         this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleListChange = this.handleListChange.bind(this);
+        this.handleListNameSubmit = this.handleListNameSubmit.bind(this);
+        this.handleListNameKeydown = this.handleListNameKeydown.bind(this);
+        this.handleRepeatChange = this.handleRepeatChange.bind(this);
+        this.handleExportClick = this.handleExportClick.bind(this);
+        this.handleImportFileChange = this.handleImportFileChange.bind(this);
+        this.handleImportPreviewClick = this.handleImportPreviewClick.bind(this);
+        this.handleImportOptionChange = this.handleImportOptionChange.bind(this);
+        this.handleFileDragOver = this.handleFileDragOver.bind(this);
+        this.handleFileDragLeave = this.handleFileDragLeave.bind(this);
+        this.handleFileDrop = this.handleFileDrop.bind(this);
+        this.handleSyncMessage = this.handleSyncMessage.bind(this);
+        this.showUpdatePrompt = this.showUpdatePrompt.bind(this);
+        this.handleUpdateBannerClick = this.handleUpdateBannerClick.bind(this);
+        this.handleSyncStatusClick = this.handleSyncStatusClick.bind(this);
+        this.handleSyncFormSubmit = this.handleSyncFormSubmit.bind(this);
+        this.applyRemoteTasks = this.applyRemoteTasks.bind(this);
+        this.addRemoteList = this.addRemoteList.bind(this);
+        this.removeRemoteList = this.removeRemoteList.bind(this);
 
         // Initialize the application
         this.init();
     }
 
+    get tasks() {
+        return this.store.getState().tasks;
+    }
+
+    get archivedTasks() {
+        return this.store.getState().archivedTasks;
+    }
+
+    get activeListId() {
+        return this.store.getState().listId;
+    }
+
+    get currentFilter() {
+        return this.store.getState().filter;
+    }
+
+    get activeTag() {
+        return this.store.getState().tag;
+    }
+
+    get searchQuery() {
+        return this.store.getState().query;
+    }
+
+    /**
+     * Connect persistence, list stats and the view to the store, in that order,
+     * so the list switcher already shows the new counts when the view renders
+     */
+    subscribeToStore() {
+        this.store.subscribe((state, previousState, action) => {
+            if (state.tasks !== previousState.tasks && action.persist !== false) {
+                this.pendingSave = this.saveTasks();
+            }
+        });
+
+        this.store.subscribe((state, previousState) => {
+            if (state.tasks === previousState.tasks) return;
+
+            const list = this.lists.find(list => list.id === state.listId);
+            const counts = this.getListCounts(state.tasks);
+            if (list && (list.taskCount !== counts.taskCount || list.completedCount !== counts.completedCount)) {
+                this.updateList(state.listId, counts);
+            }
+        });
+
+        this.store.subscribe((state, previousState, action) => {
+            if (action.fromSync) {
+                this.renderAfterSync();
+            } else {
+                this.render();
+            }
+        });
+    }
+
     /**
      * Initialize the application
      */
@@ -60,47 +266,143 @@ class TaskFlowApp {
         try {
             console.log('Initializing TaskFlow Lite...');
 
-            if (!isStorageAvailable()) {
-                throw new Error('localStorage is not available');
-            }
+            await initStorage();
 
             this.initializeElements();
-            this.tasks = loadTasks();
+            this.subscribeToStore();
+            const listIndex = await loadListIndex();
+            this.lists = listIndex.lists;
+            await this.loadList(listIndex.activeListId);
+            this.history = createHistory(await loadHistory());
             this.setupEventListeners();
+            this.tabSync = createTabSync(this.handleSyncMessage);
             this.render();
             this.setupValidation();
+            registerServiceWorker({ onUpdateAvailable: this.showUpdatePrompt });
+            this.startRemoteSync();
 
             this.isInitialized = true;
             console.log('TaskFlow Lite initialized successfully');
 
         } catch (error) {
             console.error('Failed to initialize TaskFlow Lite:', error);
-            this.showError('Failed to initialize application. Please refresh the page.');
+            showValidationMessage('Failed to initialize application. Please refresh the page.', 'error');
         }
     }
 
     initializeElements() {
         this.elements.taskForm = document.getElementById('task-form');
         this.elements.taskInput = document.getElementById('task-input');
+        this.elements.dueDateInput = document.getElementById('task-due-date');
+        this.elements.priorityInput = document.getElementById('task-priority');
+        this.elements.repeatInput = document.getElementById('task-repeat');
+        this.elements.repeatIntervalInput = document.getElementById('task-repeat-interval');
+        this.elements.sortSelect = document.getElementById('sort-select');
         this.elements.taskList = document.getElementById('task-list');
         this.elements.filterButtons = document.querySelectorAll('.filter-btn');
+        this.elements.tagBar = document.getElementById('tag-bar');
+        this.elements.searchInput = document.getElementById('task-search');
         this.elements.clearCompletedBtn = document.getElementById('clear-completed');
+        this.elements.listSelect = document.getElementById('list-select');
+        this.elements.newListBtn = document.getElementById('new-list-btn');
+        this.elements.renameListBtn = document.getElementById('rename-list-btn');
+        this.elements.deleteListBtn = document.getElementById('delete-list-btn');
+        this.elements.listNameForm = document.getElementById('list-name-form');
+        this.elements.listNameInput = document.getElementById('list-name-input');
+        this.elements.listNameCancel = document.getElementById('list-name-cancel');
+        this.elements.exportMenu = document.getElementById('export-menu');
+        this.elements.importBtn = document.getElementById('import-btn');
+        this.elements.importFileInput = document.getElementById('import-file');
+        this.elements.importPreview = document.getElementById('import-preview');
+        this.elements.dropZone = document.querySelector('.app-main');
+        this.elements.updateBanner = document.getElementById('update-banner');
+        this.elements.syncStatus = document.getElementById('sync-status');
+        this.elements.syncForm = document.getElementById('sync-form');
+        this.elements.syncUrlInput = document.getElementById('sync-url');
+        this.elements.trashControls = document.getElementById('trash-controls');
+        this.elements.archiveView = document.getElementById('archive-view');
+        this.elements.archiveCompletedBtn = document.getElementById('archive-completed');
+        this.elements.selectionToolbar = document.getElementById('selection-toolbar');
     }
 
     setupEventListeners() {
         this.elements.taskForm.addEventListener('submit', this.handleFormSubmit);
+        if (this.elements.repeatInput) {
+            this.elements.repeatInput.addEventListener('change', this.handleRepeatChange);
+        }
         this.elements.taskList.addEventListener('click', this.handleTaskListClick);
+        this.elements.taskList.addEventListener('dblclick', this.handleTaskListDblClick);
+        this.elements.taskList.addEventListener('keydown', this.handleTaskListKeydown);
+        this.dragCleanup = setupDragReorder(this.elements.taskList, (taskId, targetId, position) => {
+            this.moveTask(taskId, targetId, position);
+        });
         this.elements.filterButtons.forEach(button => button.addEventListener('click', this.handleFilterClick));
+        if (this.elements.tagBar) {
+            this.elements.tagBar.addEventListener('click', this.handleTagBarClick);
+        }
+        if (this.elements.searchInput) {
+            this.elements.searchInput.addEventListener('input', this.handleSearchInput);
+            this.elements.searchInput.addEventListener('keydown', this.handleSearchKeydown);
+        }
         this.elements.clearCompletedBtn.addEventListener('click', this.handleClearCompleted);
+        if (this.elements.sortSelect) {
+            this.elements.sortSelect.value = this.settings.sort;
+            this.elements.sortSelect.addEventListener('change', this.handleSortChange);
+        }
+        if (this.elements.listSelect) {
+            this.elements.listSelect.addEventListener('change', this.handleListChange);
+            this.elements.newListBtn.addEventListener('click', () => this.showListNameForm('create'));
+            this.elements.renameListBtn.addEventListener('click', () => this.showListNameForm('rename'));
+            this.elements.deleteListBtn.addEventListener('click', () => this.deleteList(this.activeListId));
+            this.elements.listNameForm.addEventListener('submit', this.handleListNameSubmit);
+            this.elements.listNameInput.addEventListener('keydown', this.handleListNameKeydown);
+            this.elements.listNameCancel.addEventListener('click', () => this.hideListNameForm());
+        }
+        if (this.elements.exportMenu) {
+            this.elements.exportMenu.addEventListener('click', this.handleExportClick);
+        }
+        if (this.elements.importBtn) {
+            this.elements.importBtn.addEventListener('click', () => this.elements.importFileInput.click());
+            this.elements.importFileInput.addEventListener('change', this.handleImportFileChange);
+            this.elements.importPreview.addEventListener('click', this.handleImportPreviewClick);
+            this.elements.importPreview.addEventListener('change', this.handleImportOptionChange);
+        }
+        if (this.elements.dropZone) {
+            this.elements.dropZone.addEventListener('dragover', this.handleFileDragOver);
+            this.elements.dropZone.addEventListener('dragleave', this.handleFileDragLeave);
+            this.elements.dropZone.addEventListener('drop', this.handleFileDrop);
+        }
+        if (this.elements.updateBanner) {
+            this.elements.updateBanner.addEventListener('click', this.handleUpdateBannerClick);
+        }
+        if (this.elements.trashControls) {
+            this.elements.trashControls.addEventListener('click', this.handleTrashControlsClick);
+            this.elements.trashControls.addEventListener('change', this.handleTrashRetentionChange);
+        }
+        if (this.elements.archiveView) {
+            this.elements.archiveView.addEventListener('click', this.handleArchiveClick);
+            this.elements.archiveCompletedBtn.addEventListener('click', () => this.archiveCompletedTasks());
+        }
+        if (this.elements.selectionToolbar) {
+            this.elements.selectionToolbar.addEventListener('click', this.handleSelectionToolbarClick);
+            this.elements.selectionToolbar.addEventListener('change', this.handleSelectionToolbarChange);
+            this.elements.selectionToolbar.addEventListener('keydown', this.handleSelectionToolbarKeydown);
+        }
+        if (this.elements.syncStatus) {
+            this.elements.syncStatus.addEventListener('click', this.handleSyncStatusClick);
+            this.elements.syncForm.addEventListener('submit', this.handleSyncFormSubmit);
+            this.elements.syncForm.querySelector('.sync-disconnect').addEventListener('click', () => this.disconnectRemoteSync());
+        }
         document.addEventListener('keydown', this.handleKeydown);
-
-        window.addEventListener('beforeunload', () => this.saveTasks());
     }
 
     setupValidation() {
         if (!this.elements.taskInput) return;
 
         const cleanup = setupRealTimeValidation(this.elements.taskInput, (validation) => {
+            // An empty input is not an error; leaving it alone also keeps toasts and their actions visible
+            if (!this.elements.taskInput.value) return;
+
             if (validation.isValid) {
                 clearValidationMessage();
             } else {
@@ -111,30 +413,65 @@ class TaskFlowApp {
         this.validationCleanup = cleanup;
     }
 
-    createTask(text) {
+    createTask(text, { dueDate = null, priority = 'normal', tags = [], recurrence = null } = {}) {
         return {
             id: Date.now() + Math.random(),
             text: text.trim(),
             completed: false,
-            createdAt: new Date().toISOString()
+            createdAt: new Date().toISOString(),
+            dueDate,
+            priority,
+            tags,
+            recurrence
         };
     }
 
-    addTask(text) {
+    addTask(text, options = {}) {
         try {
-            const validation = validateTaskText(text);
+            // Inline #tags become task tags instead of literal text
+            const parsed = extractTags(text);
+            const validation = validateTaskText(parsed.text);
             if (!validation.isValid) {
                 showValidationMessage(validation.message, 'error');
                 return false;
             }
 
-            const duplicateCheck = checkForDuplicates(validation.sanitizedText, this.tasks);
+            const tagsValidation = validateTags([...parsed.tags, ...(options.tags || [])]);
+            if (!tagsValidation.isValid) {
+                showValidationMessage(tagsValidation.message, 'error');
+                return false;
+            }
+
+            const dueDateValidation = validateDueDate(options.dueDate);
+            if (!dueDateValidation.isValid) {
+                showValidationMessage(dueDateValidation.message, 'error');
+                return false;
+            }
+
+            const priorityValidation = validatePriority(options.priority);
+            if (!priorityValidation.isValid) {
+                showValidationMessage(priorityValidation.message, 'error');
+                return false;
+            }
+
+            const recurrenceValidation = validateRecurrence(options.recurrence);
+            if (!recurrenceValidation.isValid) {
+                showValidationMessage(recurrenceValidation.message, 'error');
+                return false;
+            }
+
+            const duplicateCheck = checkForDuplicates(validation.sanitizedText, withoutTrashed(this.tasks));
             if (duplicateCheck.hasDuplicates) {
                 showValidationMessage('This task already exists', 'warning');
                 return false;
             }
 
-            const newTask = this.createTask(validation.sanitizedText);
+            const newTask = this.createTask(validation.sanitizedText, {
+                dueDate: dueDateValidation.sanitizedDate,
+                priority: priorityValidation.sanitizedPriority,
+                tags: tagsValidation.sanitizedTags,
+                recurrence: recurrenceValidation.sanitizedRecurrence
+            });
             const taskValidation = validateTaskObject(newTask);
 
             if (!taskValidation.isValid) {
@@ -142,10 +479,11 @@ class TaskFlowApp {
                 return false;
             }
 
-            this.tasks.unshift(taskValidation.sanitizedTask);
-            this.saveTasks();
-            this.render();
-            showValidationMessage('Task added successfully!', 'success');
+            this.executeCommand({
+                label: `Add "${newTask.text}"`,
+                changes: [{ type: 'insert', task: taskValidation.sanitizedTask, index: 0 }]
+            });
+            showValidationMessage('Task added successfully!', 'success', this.getUndoAction());
 
             return true;
 
@@ -156,116 +494,2067 @@ class TaskFlowApp {
         }
     }
 
+    /**
+     * Move a task to the trash; it can be restored until it is purged
+     * @param {number} taskId - Task ID to delete
+     */
     removeTask(taskId) {
-        const index = this.tasks.findIndex(task => task.id === taskId);
-        if (index !== -1) {
-            this.tasks.splice(index, 1);
-            this.saveTasks();
-            this.render();
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || isTrashed(task)) return;
+
+        this.updateTask(taskId, { deletedAt: new Date().toISOString() }, `Delete "${task.text}"`);
+        showValidationMessage('Task moved to Trash', 'success', this.getUndoAction());
+    }
+
+    /**
+     * Take a task out of the trash
+     * @param {number} taskId - Task ID to restore
+     */
+    restoreTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || !isTrashed(task)) return;
+
+        this.updateTask(taskId, { deletedAt: null }, `Restore "${task.text}"`);
+        showValidationMessage(`Restored "${task.text}"`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Permanently delete a trashed task after confirmation
+     * @param {number} taskId - Task ID to purge
+     * @returns {Promise<boolean>} - Whether the task was deleted
+     */
+    async purgeTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || !isTrashed(task)) return false;
+
+        const confirmed = await confirmAction(`Permanently delete "${task.text}"?`, {
+            title: 'Delete task forever',
+            confirmLabel: 'Delete forever',
+            destructive: true
+        });
+        // The task may have been restored or purged elsewhere while the dialog was open
+        const currentIndex = this.tasks.findIndex(t => t.id === taskId);
+        if (!confirmed || currentIndex === -1) {
+            console.log('Purge cancelled');
+            return false;
+        }
+
+        this.executeCommand({
+            label: `Delete "${task.text}" forever`,
+            changes: [{ type: 'delete', task: this.tasks[currentIndex], index: currentIndex }]
+        });
+        showValidationMessage('Task deleted forever', 'success', this.getUndoAction());
+
+        return true;
+    }
+
+    /**
+     * Permanently delete every trashed task after confirmation
+     * @returns {Promise<boolean>} - Whether the trash was emptied
+     */
+    async emptyTrash() {
+        const trashedCount = this.tasks.filter(isTrashed).length;
+
+        if (trashedCount === 0) {
+            showValidationMessage('Trash is already empty', 'warning');
+            return false;
+        }
+
+        const confirmed = await confirmAction(`Permanently delete ${trashedCount} task(s) in the Trash?`, {
+            title: 'Empty Trash',
+            confirmLabel: 'Empty Trash',
+            destructive: true
+        });
+        if (!confirmed) {
+            console.log('User cancelled empty trash');
+            return false;
+        }
+
+        const changes = createDeleteChanges(this.tasks, isTrashed);
+        this.executeCommand({
+            label: `Empty Trash (${changes.length} task(s))`,
+            changes
+        });
+        showValidationMessage(`${changes.length} task(s) deleted forever`, 'success', this.getUndoAction());
+
+        return true;
+    }
+
+    /**
+     * Drop trashed tasks older than the retention setting
+     * Purging is housekeeping, so it is saved without an undo step
+     * @returns {Promise<number>} - Number of tasks purged
+     */
+    async purgeExpiredTrash() {
+        const now = new Date();
+        const tasks = this.tasks.filter(task => !isTrashExpired(task, this.settings.trashRetentionDays, now));
+        const purgedCount = this.tasks.length - tasks.length;
+
+        if (purgedCount > 0) {
+            this.store.dispatch(tasksReplaced(tasks));
+            await this.pendingSave;
+            console.log(`Purged ${purgedCount} expired task(s) from the trash`);
+        }
+        return purgedCount;
+    }
+
+    editTask(taskId, text) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return false;
+
+        // The editor shows tags inline, so the edited text decides the full tag list
+        const parsed = extractTags(text);
+        const validation = validateTaskText(parsed.text);
+        if (!validation.isValid) {
+            showValidationMessage(validation.message, 'error');
+            return false;
+        }
+
+        const tagsValidation = validateTags(parsed.tags);
+        if (!tagsValidation.isValid) {
+            showValidationMessage(tagsValidation.message, 'error');
+            return false;
+        }
+
+        const currentTags = task.tags || [];
+        const tagsChanged = tagsValidation.sanitizedTags.join(' ') !== currentTags.join(' ');
+        if (validation.sanitizedText === task.text && !tagsChanged) {
+            return true;
+        }
+
+        const otherTasks = withoutTrashed(this.tasks).filter(t => t.id !== taskId);
+        const duplicateCheck = checkForDuplicates(validation.sanitizedText, otherTasks);
+        if (duplicateCheck.hasDuplicates) {
+            showValidationMessage('This task already exists', 'warning');
+            return false;
+        }
+
+        const taskValidation = validateTaskObject({
+            ...task,
+            text: validation.sanitizedText,
+            tags: tagsValidation.sanitizedTags,
+            updatedAt: new Date().toISOString()
+        });
+
+        if (!taskValidation.isValid) {
+            showValidationMessage(taskValidation.message, 'error');
+            return false;
         }
+
+        this.executeCommand({
+            label: `Edit "${task.text}"`,
+            changes: [{ type: 'update', before: task, after: taskValidation.sanitizedTask }]
+        });
+        showValidationMessage('Task updated successfully!', 'success', this.getUndoAction());
+
+        return true;
+    }
+
+    /**
+     * Swap a task's text for an inline editor.
+     * Enter or blur saves, Escape cancels.
+     * @param {number} taskId - Task ID to edit
+     */
+    startEditing(taskId) {
+        if (this.editingTaskId !== null) return;
+
+        const task = this.tasks.find(t => t.id === taskId);
+        const taskElement = this.elements.taskList.querySelector(`[data-id="${taskId}"]`);
+        // Trashed tasks are read-only until restored
+        if (!task || !taskElement || isTrashed(task)) return;
+
+        const editText = [task.text, ...(task.tags || []).map(tag => `#${tag}`)].join(' ');
+        const input = showTaskEditor(taskElement, editText);
+        if (!input) return;
+
+        this.editingTaskId = taskId;
+
+        const finish = (mode) => {
+            if (this.editingTaskId !== taskId) return;
+            this.editingTaskId = null;
+
+            const saved = mode !== 'cancel' && this.editTask(taskId, input.value);
+
+            // Keep the editor open on Enter so the user can fix invalid text
+            if (!saved && mode === 'enter') {
+                this.editingTaskId = taskId;
+                input.focus();
+                return;
+            }
+
+            if (input.isConnected) {
+                this.render();
+            }
+        };
+
+        input.addEventListener('keydown', (event) => {
+            if (event.key === 'Enter') {
+                event.preventDefault();
+                finish('enter');
+            } else if (event.key === 'Escape') {
+                event.preventDefault();
+                finish('cancel');
+            }
+        });
+        input.addEventListener('blur', () => finish('blur'));
     }
 
     toggleTaskCompletion(taskId) {
         const task = this.tasks.find(task => task.id === taskId);
         if (task) {
-            task.completed = !task.completed;
-            this.saveTasks();
-            this.render();
+            // completedAt lets the archive group finished tasks by week
+            const now = new Date().toISOString();
+            const updatedTask = {
+                ...task,
+                completed: !task.completed,
+                completedAt: task.completed ? null : now,
+                updatedAt: now
+            };
+
+            if (updatedTask.completed && task.recurrence) {
+                this.completeOccurrence(task);
+                return;
+            }
+
+            this.executeCommand({
+                label: `${updatedTask.completed ? 'Complete' : 'Reopen'} "${task.text}"`,
+                changes: [{ type: 'update', before: task, after: updatedTask }]
+            });
         }
     }
 
-    clearCompletedTasks() {
-        const completedCount = this.tasks.filter(task => task.completed).length;
+    /**
+     * Complete one occurrence of a recurring task and schedule the next one.
+     * The completed occurrence stays in the list; the new one carries the
+     * series' completion history. Both changes undo together.
+     * @param {Object} task - Open occurrence being completed
+     */
+    completeOccurrence(task) {
+        const { changes, nextTask } = this.createOccurrenceChanges(task, this.tasks);
 
-        if (completedCount === 0) {
-            showValidationMessage('No completed tasks to clear', 'warning');
-            return;
+        this.executeCommand({
+            label: `Complete "${task.text}"`,
+            changes
+        });
+        if (nextTask) {
+            showValidationMessage(`Next "${task.text}" is ${formatRelativeDueDate(nextTask.dueDate)}`, 'success', this.getUndoAction());
         }
+    }
 
-        showConfirmation(`Are you sure you want to clear ${completedCount} completed task(s)?`, () => {
-            this.tasks = this.tasks.filter(task => !task.completed);
-            this.saveTasks();
-            this.render();
-            showValidationMessage(`${completedCount} completed task(s) cleared`, 'success');
-        }, () => {
-            console.log('User cancelled clear completed');
-        });
+    /**
+     * Build the changes that complete one occurrence of a recurring task
+     * @param {Object} task - Open occurrence being completed
+     * @param {Array} tasks - Tasks the changes will apply to
+     * @returns {Object} - { changes, nextTask } where nextTask is null when no occurrence is scheduled
+     */
+    createOccurrenceChanges(task, tasks) {
+        const seriesId = task.seriesId || task.id;
+        const completedAt = new Date().toISOString();
+        const completedTask = { ...task, seriesId, completed: true, completedAt, completedOccurrences: [], updatedAt: completedAt };
+
+        // Reopening and completing an old occurrence must not schedule a second copy
+        const hasOpenOccurrence = tasks.some(t => (
+            t.id !== task.id && !t.completed && !isTrashed(t) && (t.seriesId || t.id) === seriesId
+        ));
+        if (hasOpenOccurrence) {
+            return {
+                changes: [{ type: 'update', before: task, after: completedTask }],
+                nextTask: null
+            };
+        }
+
+        const nextTask = {
+            ...this.createTask(task.text, {
+                dueDate: getNextDueDate(task.recurrence, task.dueDate),
+                priority: task.priority,
+                tags: task.tags || [],
+                recurrence: task.recurrence
+            }),
+            seriesId,
+            subtasks: (task.subtasks || []).map(subtask => ({ ...subtask, completed: false })),
+            completedOccurrences: sanitizeCompletedOccurrences([
+                ...(task.completedOccurrences || []),
+                { dueDate: task.dueDate || null, completedAt }
+            ])
+        };
+        const index = tasks.findIndex(t => t.id === task.id);
+
+        return {
+            changes: [
+                { type: 'update', before: task, after: completedTask },
+                { type: 'insert', task: nextTask, index }
+            ],
+            nextTask
+        };
     }
 
-    saveTasks() {
-        try {
-            const success = saveTasks(this.tasks);
-            if (!success) {
-                console.warn('Failed to save tasks to storage');
-            }
-        } catch (error) {
-            console.error('Error saving tasks:', error);
+    /**
+     * Turn a recurring task into a one-off after confirmation
+     * @param {number} taskId - Task ID
+     */
+    async stopRepeating(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task || !task.recurrence) return;
+
+        const confirmed = await confirmAction(`Stop repeating "${task.text}"?`, {
+            title: 'Stop repeating',
+            confirmLabel: 'Stop repeating',
+            cancelLabel: 'Keep repeating'
+        });
+        if (!confirmed) {
+            console.log('Stop repeating cancelled');
+            return;
         }
+
+        this.updateTask(taskId, { recurrence: null }, `Stop repeating "${task.text}"`);
     }
 
-    render() {
-        renderTaskList(this.elements.taskList, this.tasks, this.currentFilter);
-        updateTaskCount(this.tasks);
-        updateFilterButtons(this.currentFilter);
+    /**
+     * Move a task to the next priority level, wrapping from urgent back to low
+     * @param {number} taskId - Task ID to update
+     */
+    cycleTaskPriority(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return;
+
+        const currentIndex = PRIORITY_LEVELS.indexOf(validatePriority(task.priority).sanitizedPriority);
+        const priority = PRIORITY_LEVELS[(currentIndex + 1) % PRIORITY_LEVELS.length];
+
+        this.updateTask(taskId, { priority }, `Set priority of "${task.text}" to ${priority}`);
     }
 
-    handleFormSubmit(event) {
-        event.preventDefault();
-        const taskText = this.elements.taskInput.value;
-        if (this.addTask(taskText)) {
-            this.elements.taskInput.value = '';
-            this.elements.taskInput.focus();
+    /**
+     * Apply field updates to a task as one undoable change
+     * @param {number} taskId - Task ID to update
+     * @param {Object} updates - Fields to overwrite
+     * @param {string} label - History label
+     * @returns {Object|null} - The updated task
+     */
+    updateTask(taskId, updates, label) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return null;
+
+        const updatedTask = { ...task, ...updates, updatedAt: new Date().toISOString() };
+        this.executeCommand({
+            label,
+            changes: [{ type: 'update', before: task, after: updatedTask }]
+        });
+
+        return updatedTask;
+    }
+
+    /**
+     * Show or hide a task's checklist
+     * @param {number} taskId - Task ID
+     * @param {boolean} expanded - Force a state instead of toggling
+     */
+    toggleSubtasks(taskId, expanded = !this.expandedTaskIds.has(taskId)) {
+        if (expanded) {
+            this.expandedTaskIds.add(taskId);
+        } else {
+            this.expandedTaskIds.delete(taskId);
         }
+        this.render();
     }
 
-    handleTaskListClick(event) {
-        const taskElement = event.target.closest('.task-item');
-        if (!taskElement) return;
-        const taskId = Number(taskElement.dataset.id);
+    addSubtask(taskId, text) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return false;
 
-        if (event.target.classList.contains('task-checkbox')) {
-            event.preventDefault();
-            this.toggleTaskCompletion(taskId);
-        } else if (event.target.classList.contains('delete-btn')) {
-            const task = this.tasks.find(t => t.id === taskId);
-            const message = `Are you sure you want to delete \"${task.text}\"?`;
-            showConfirmation(message, () => {
-                this.removeTask(taskId);
-            }, () => {
-                console.log('Delete cancelled');
-            });
+        const validation = validateTaskText(text);
+        if (!validation.isValid) {
+            showValidationMessage(validation.message, 'error');
+            return false;
+        }
+
+        const subtasksValidation = validateSubtasks([
+            ...(task.subtasks || []),
+            { id: Date.now() + Math.random(), text: validation.sanitizedText, completed: false }
+        ]);
+        if (!subtasksValidation.isValid) {
+            showValidationMessage(subtasksValidation.message, 'error');
+            return false;
         }
+
+        this.expandedTaskIds.add(taskId);
+        this.updateTask(taskId, { subtasks: subtasksValidation.sanitizedSubtasks }, `Add step to "${task.text}"`);
+        this.focusSubtaskInput(taskId);
+
+        return true;
     }
 
-    handleFilterClick(event) {
-        const filter = event.target.dataset.filter;
-        if (filter && filter !== this.currentFilter) {
-            this.currentFilter = filter;
-            this.render();
+    removeSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return;
+
+        const subtasks = (task.subtasks || []).filter(subtask => subtask.id !== subtaskId);
+        this.updateTask(taskId, { subtasks }, `Remove step from "${task.text}"`);
+    }
+
+    /**
+     * Toggle a checklist item; finishing the last one offers to complete the parent
+     * @param {number} taskId - Parent task ID
+     * @param {number} subtaskId - Subtask ID
+     */
+    toggleSubtask(taskId, subtaskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        if (!task) return;
+
+        const subtasks = (task.subtasks || []).map(subtask => (
+            subtask.id === subtaskId ? { ...subtask, completed: !subtask.completed } : subtask
+        ));
+        const updatedTask = this.updateTask(taskId, { subtasks }, `Update checklist of "${task.text}"`);
+
+        const allDone = subtasks.length > 0 && subtasks.every(subtask => subtask.completed);
+        if (updatedTask && allDone && !updatedTask.completed) {
+            this.offerToCompleteTask(taskId);
         }
     }
 
-    handleClearCompleted() {
-        this.clearCompletedTasks();
+    /**
+     * Ask whether to complete a task once every checklist step is done
+     * @param {number} taskId - Task ID
+     */
+    async offerToCompleteTask(taskId) {
+        const task = this.tasks.find(task => task.id === taskId);
+        const confirmed = await confirmAction(`All steps are done. Mark "${task.text}" as complete?`, {
+            title: 'Checklist done',
+            confirmLabel: 'Mark complete',
+            cancelLabel: 'Leave open'
+        });
+
+        // Only complete it if it is still open; it may have been completed in the meantime
+        const currentTask = this.tasks.find(task => task.id === taskId);
+        if (!confirmed || !currentTask || currentTask.completed) {
+            console.log('Parent task left open');
+            return;
+        }
+
+        this.toggleTaskCompletion(taskId);
     }
 
-    handleKeydown(event) {
-        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
-            if (document.activeElement === this.elements.taskInput) {
-                this.elements.taskForm.dispatchEvent(new Event('submit'));
-            }
+    focusSubtaskInput(taskId) {
+        const input = this.elements.taskList.querySelector(`[data-id="${taskId}"] .subtask-input`);
+        if (input) {
+            input.focus();
         }
-        if ((event.ctrlKey || event.metaKey) && event.key === '/') {
-            event.preventDefault();
-            this.elements.taskInput.focus();
+    }
+
+    /**
+     * Move a task next to another one in the stored (manual) order
+     * @param {number} taskId - Task ID to move
+     * @param {number} targetId - Task ID to drop next to
+     * @param {string} position - 'before' or 'after' the target
+     * @returns {boolean} - Whether the task moved
+     */
+    moveTask(taskId, targetId, position) {
+        if (this.settings.sort !== 'manual') {
+            showValidationMessage('Switch to "Manual order" to reorder tasks', 'warning');
+            return false;
         }
+
+        const indexes = getMoveIndexes(this.tasks, taskId, targetId, position);
+        if (!indexes) return false;
+
+        const task = this.tasks[indexes.fromIndex];
+        this.executeCommand({
+            label: `Move "${task.text}"`,
+            changes: [{ type: 'move', taskId, ...indexes }]
+        });
+
+        return true;
     }
 
-    destroy() {
-        if (this.validationCleanup) {
-            this.validationCleanup();
+    /**
+     * Move a task one visible row up or down and keep focus on it
+     * @param {number} taskId - Task ID to move
+     * @param {number} direction - -1 for up, 1 for down
+     */
+    moveTaskByKeyboard(taskId, direction) {
+        const visibleTasks = this.getVisibleTasks();
+        const target = getKeyboardMoveTarget(visibleTasks, taskId, direction);
+        const task = this.tasks.find(t => t.id === taskId);
+
+        if (!target) {
+            announce(`"${task.text}" is already at the ${direction < 0 ? 'top' : 'bottom'} of the list`);
+            return;
+        }
+
+        if (this.moveTask(taskId, target.targetId, target.position)) {
+            focusTaskRow(this.elements.taskList, taskId);
+            announce(`Moved "${task.text}" to position ${target.newPosition} of ${visibleTasks.length}`);
+        }
+    }
+
+    /**
+     * Move focus to another task in the view
+     * Goes through the task order rather than the DOM, since a windowed list only mounts rows near the view
+     * @param {string} key - 'ArrowUp', 'ArrowDown', 'Home' or 'End'
+     */
+    focusTaskByKeyboard(key) {
+        const visibleTasks = this.getVisibleTasks();
+        if (visibleTasks.length === 0) return;
+
+        const focusedTaskId = getFocusedTaskId(this.elements.taskList);
+        const index = visibleTasks.findIndex(task => task.id === focusedTaskId);
+        const lastIndex = visibleTasks.length - 1;
+
+        let targetIndex;
+        if (key === 'Home') {
+            targetIndex = 0;
+        } else if (key === 'End') {
+            targetIndex = lastIndex;
+        } else if (index === -1) {
+            targetIndex = 0;
+        } else {
+            targetIndex = Math.min(Math.max(index + (key === 'ArrowUp' ? -1 : 1), 0), lastIndex);
+        }
+
+        focusTaskRow(this.elements.taskList, visibleTasks[targetIndex].id);
+    }
+
+    async clearCompletedTasks() {
+        const completedCount = withoutTrashed(this.tasks).filter(task => task.completed).length;
+
+        if (completedCount === 0) {
+            showValidationMessage('No completed tasks to clear', 'warning');
+            return;
+        }
+
+        const confirmed = await confirmAction(`Move ${completedCount} completed task(s) to the Trash?`, {
+            title: 'Clear completed',
+            confirmLabel: 'Move to Trash'
+        });
+        if (!confirmed) {
+            console.log('User cancelled clear completed');
+            return;
+        }
+
+        const deletedAt = new Date().toISOString();
+        const changes = withoutTrashed(this.tasks)
+            .filter(task => task.completed)
+            .map(task => ({ type: 'update', before: task, after: { ...task, deletedAt, updatedAt: deletedAt } }));
+
+        this.executeCommand({
+            label: `Clear ${changes.length} completed task(s)`,
+            changes
+        });
+        showValidationMessage(`${changes.length} completed task(s) moved to Trash`, 'success', this.getUndoAction());
+    }
+
+    /**
+     * Tasks that can be selected in the current view, in display order
+     * The Trash and Archive views have their own per-task actions, so nothing is selectable there
+     * @returns {Array} - Selectable tasks
+     */
+    getSelectableTasks() {
+        return this.currentFilter === 'trash' ? [] : this.getVisibleTasks();
+    }
+
+    /**
+     * Selected tasks in list order
+     * @returns {Array} - Selected tasks
+     */
+    getSelectedTasks() {
+        return this.tasks.filter(task => this.selectedTaskIds.has(task.id));
+    }
+
+    /**
+     * Select or deselect a task
+     * A range applies the anchor task's state to every visible task between the anchor and this one
+     * @param {number} taskId - Task ID
+     * @param {boolean} range - Whether to extend from the anchor (Shift-click)
+     */
+    toggleTaskSelection(taskId, range = false) {
+        const selectable = this.getSelectableTasks();
+        const index = selectable.findIndex(task => task.id === taskId);
+        if (index === -1) return;
+
+        const anchorIndex = selectable.findIndex(task => task.id === this.selectionAnchorId);
+        if (range && anchorIndex !== -1) {
+            const select = this.selectedTaskIds.has(this.selectionAnchorId);
+            selectable.slice(Math.min(anchorIndex, index), Math.max(anchorIndex, index) + 1).forEach(task => {
+                if (select) {
+                    this.selectedTaskIds.add(task.id);
+                } else {
+                    this.selectedTaskIds.delete(task.id);
+                }
+            });
+        } else {
+            if (this.selectedTaskIds.has(taskId)) {
+                this.selectedTaskIds.delete(taskId);
+            } else {
+                this.selectedTaskIds.add(taskId);
+            }
+            this.selectionAnchorId = taskId;
+        }
+
+        this.renderSelection();
+        announce(`${this.selectedTaskIds.size} task(s) selected`);
+    }
+
+    selectAllTasks() {
+        this.getSelectableTasks().forEach(task => this.selectedTaskIds.add(task.id));
+        this.renderSelection();
+        announce(`${this.selectedTaskIds.size} task(s) selected`);
+    }
+
+    clearSelection() {
+        if (this.selectedTaskIds.size === 0) return;
+
+        this.selectedTaskIds.clear();
+        this.selectionAnchorId = null;
+        this.renderSelection();
+        announce('Selection cleared');
+    }
+
+    /**
+     * Update checkboxes and the toolbar after the selection changed, without re-rendering the list
+     */
+    renderSelection() {
+        updateTaskSelection(this.elements.taskList, this.selectedTaskIds);
+        renderSelectionToolbar(this.elements.selectionToolbar, {
+            count: this.selectedTaskIds.size,
+            lists: this.lists,
+            activeListId: this.activeListId
+        });
+    }
+
+    /**
+     * Apply an update to every selected task as one undoable command
+     * @param {Function} update - Returns the updated task, or null to leave a task unchanged
+     * @param {Function} describe - Builds the history label from the number of changed tasks
+     * @returns {number} - Number of tasks changed
+     */
+    updateSelectedTasks(update, describe) {
+        const updatedAt = new Date().toISOString();
+        const changes = [];
+
+        this.getSelectedTasks().forEach(task => {
+            const after = update(task);
+            if (after) {
+                changes.push({ type: 'update', before: task, after: { ...after, updatedAt } });
+            }
+        });
+
+        if (changes.length > 0) {
+            this.executeCommand({ label: describe(changes.length), changes });
+        }
+        return changes.length;
+    }
+
+    /**
+     * Complete the selected tasks; recurring ones schedule their next occurrence as usual
+     * @returns {number} - Number of tasks completed
+     */
+    completeSelectedTasks() {
+        const completedAt = new Date().toISOString();
+        const openTasks = this.getSelectedTasks().filter(task => !task.completed);
+        const changes = [];
+        let tasks = this.tasks;
+
+        // Each task's changes are built against the result of the previous ones so insert indexes stay right
+        openTasks.forEach(task => {
+            const taskChanges = task.recurrence
+                ? this.createOccurrenceChanges(task, tasks).changes
+                : [{ type: 'update', before: task, after: { ...task, completed: true, completedAt, updatedAt: completedAt } }];
+            tasks = applyCommand(tasks, { changes: taskChanges });
+            changes.push(...taskChanges);
+        });
+
+        if (changes.length === 0) {
+            showValidationMessage('The selected tasks are already completed', 'warning');
+            return 0;
+        }
+
+        this.executeCommand({ label: `Complete ${openTasks.length} task(s)`, changes });
+        showValidationMessage(`${openTasks.length} task(s) completed`, 'success', this.getUndoAction());
+        return openTasks.length;
+    }
+
+    reopenSelectedTasks() {
+        const count = this.updateSelectedTasks(
+            task => (task.completed ? { ...task, completed: false, completedAt: null } : null),
+            count => `Reopen ${count} task(s)`
+        );
+
+        if (count === 0) {
+            showValidationMessage('None of the selected tasks are completed', 'warning');
+        } else {
+            showValidationMessage(`${count} task(s) marked as not completed`, 'success', this.getUndoAction());
+        }
+        return count;
+    }
+
+    deleteSelectedTasks() {
+        const deletedAt = new Date().toISOString();
+        const count = this.updateSelectedTasks(
+            task => ({ ...task, deletedAt }),
+            count => `Delete ${count} task(s)`
+        );
+
+        if (count > 0) {
+            showValidationMessage(`${count} task(s) moved to Trash`, 'success', this.getUndoAction());
+        }
+        return count;
+    }
+
+    /**
+     * Set the priority of every selected task
+     * @param {string} priority - One of PRIORITY_LEVELS
+     * @returns {number} - Number of tasks changed
+     */
+    setSelectedPriority(priority) {
+        const validation = validatePriority(priority);
+        if (!validation.isValid) {
+            showValidationMessage(validation.message, 'error');
+            return 0;
+        }
+
+        const count = this.updateSelectedTasks(
+            task => (task.priority === validation.sanitizedPriority ? null : { ...task, priority: validation.sanitizedPriority }),
+            count => `Set priority of ${count} task(s) to ${validation.sanitizedPriority}`
+        );
+        if (count > 0) {
+            showValidationMessage(`Priority set to ${validation.sanitizedPriority} on ${count} task(s)`, 'success', this.getUndoAction());
+        }
+        return count;
+    }
+
+    /**
+     * Add a tag to, or remove it from, every selected task
+     * @param {string} tag - Tag, with or without '#'
+     * @param {boolean} add - true to add the tag, false to remove it
+     * @returns {number} - Number of tasks changed
+     */
+    tagSelectedTasks(tag, add) {
+        const validation = validateTags([tag]);
+        if (!validation.isValid || validation.sanitizedTags.length === 0) {
+            showValidationMessage(validation.message || 'Enter a tag first', 'error');
+            return 0;
+        }
+
+        const [sanitizedTag] = validation.sanitizedTags;
+        const count = this.updateSelectedTasks(task => {
+            const tags = task.tags || [];
+            if (add === tags.includes(sanitizedTag)) return null;
+
+            const nextTags = add ? [...tags, sanitizedTag] : tags.filter(t => t !== sanitizedTag);
+            // A task already at the tag limit is left as it is
+            return validateTags(nextTags).isValid ? { ...task, tags: nextTags } : null;
+        }, count => `${add ? 'Tag' : 'Untag'} ${count} task(s) #${sanitizedTag}`);
+
+        if (count === 0) {
+            showValidationMessage(`No selected task ${add ? 'could take' : 'has'} #${sanitizedTag}`, 'warning');
+        } else {
+            showValidationMessage(`#${sanitizedTag} ${add ? 'added to' : 'removed from'} ${count} task(s)`, 'success', this.getUndoAction());
+        }
+        return count;
+    }
+
+    /**
+     * Move the selected tasks to the top of another list as one undoable command
+     * The target list is saved first, so a failed save leaves the tasks where they were
+     * @param {string} listId - Target list ID
+     * @returns {Promise<number>} - Number of tasks moved
+     */
+    async moveSelectedTasks(listId) {
+        const sourceListId = this.activeListId;
+        const target = this.lists.find(list => list.id === listId);
+        const movedTasks = this.getSelectedTasks();
+        if (!target || listId === sourceListId || movedTasks.length === 0) return 0;
+
+        const targetTasks = await loadTasks(listId);
+        const usedIds = new Set(targetTasks.map(task => task.id));
+        const incomingTasks = movedTasks.map(task => (
+            usedIds.has(task.id) ? { ...task, id: Date.now() + Math.random() } : task
+        ));
+
+        if (!(await this.saveListTasks(listId, [...incomingTasks, ...targetTasks]))) {
+            showValidationMessage('Could not move the tasks. Storage may be full.', 'error');
+            return 0;
+        }
+
+        // The tasks are in the target list now, so they leave the source list even if another list was opened meanwhile
+        const movedIds = new Set(movedTasks.map(task => task.id));
+        const isSourceActive = sourceListId === this.activeListId;
+        const sourceTasks = isSourceActive ? this.tasks : await loadTasks(sourceListId);
+        const command = {
+            label: `Move ${movedTasks.length} task(s) to "${target.name}"`,
+            changes: createDeleteChanges(sourceTasks, task => movedIds.has(task.id)),
+            movedTo: { listId, tasks: incomingTasks }
+        };
+
+        if (isSourceActive) {
+            this.selectedTaskIds.clear();
+            this.executeCommand(command);
+            await this.pendingSave;
+        } else {
+            this.history.record({ ...command, listId: sourceListId });
+            this.saveHistory();
+            await this.saveListTasks(sourceListId, applyCommand(sourceTasks, command));
+        }
+        showValidationMessage(`Moved ${movedTasks.length} task(s) to "${target.name}"`, 'success', this.getUndoAction());
+
+        return movedTasks.length;
+    }
+
+    /**
+     * Save the tasks of a list that is not on screen and update its counts in the list switcher
+     * @param {string} listId - List ID
+     * @param {Array} tasks - The list's tasks
+     * @returns {Promise<boolean>} - Whether the tasks were saved
+     */
+    async saveListTasks(listId, tasks) {
+        if (!(await saveTasks(tasks, listId))) return false;
+
+        this.broadcast({ type: 'tasks', listId });
+        this.queueRemoteChange(listId);
+        this.updateList(listId, this.getListCounts(tasks));
+        return true;
+    }
+
+    /**
+     * Take moved tasks back out of the list they were moved to when a move is undone, or put them back on redo
+     * @param {Object} command - Command from moveSelectedTasks
+     * @param {boolean} undo - Whether the move is being undone
+     */
+    async applyMovedTasks(command, undo) {
+        const { listId, tasks } = command.movedTo;
+        if (!this.lists.some(list => list.id === listId)) return;
+
+        const movedIds = new Set(tasks.map(task => task.id));
+        const targetTasks = (await loadTasks(listId)).filter(task => !movedIds.has(task.id));
+        await this.saveListTasks(listId, undo ? targetTasks : [...tasks, ...targetTasks]);
+    }
+
+    /**
+     * Move completed tasks out of the list into its archive
+     * The archive is saved first, so a failed save never loses tasks
+     * @returns {Promise<boolean>} - Whether any tasks were archived
+     */
+    async archiveCompletedTasks() {
+        const listId = this.activeListId;
+        const completedTasks = withoutTrashed(this.tasks).filter(task => task.completed);
+
+        if (completedTasks.length === 0) {
+            showValidationMessage('No completed tasks to archive', 'warning');
+            return false;
+        }
+
+        const now = new Date();
+        const archivedIds = new Set(completedTasks.map(task => task.id));
+        const archivedTasks = [...completedTasks.map(task => archiveTask(task, now)), ...this.archivedTasks];
+
+        if (!(await saveArchive(archivedTasks, listId))) {
+            showValidationMessage('Could not archive tasks. Storage may be full.', 'error');
+            return false;
+        }
+        if (listId !== this.activeListId) return false;
+
+        this.store.dispatch(archiveReplaced(archivedTasks, {
+            tasks: this.tasks.filter(task => !archivedIds.has(task.id))
+        }));
+        await this.pendingSave;
+        this.broadcast({ type: 'archive', listId });
+        showValidationMessage(`${completedTasks.length} task(s) archived`, 'success', {
+            label: 'View',
+            onClick: () => this.setFilter('archive')
+        });
+
+        return true;
+    }
+
+    /**
+     * Move an archived task back to the top of the list as an open task
+     * @param {number} taskId - Archived task ID
+     * @returns {Promise<boolean>} - Whether the task was restored
+     */
+    async restoreArchivedTask(taskId) {
+        const listId = this.activeListId;
+        const task = this.archivedTasks.find(task => task.id === taskId);
+        if (!task) return false;
+
+        this.store.dispatch(archiveReplaced(this.archivedTasks.filter(t => t.id !== taskId), {
+            tasks: [unarchiveTask(task), ...this.tasks.filter(t => t.id !== taskId)]
+        }));
+
+        // Saved to the list before leaving the archive, so a failure leaves a copy rather than nothing
+        await this.pendingSave;
+        await saveArchive(this.archivedTasks, listId);
+        this.broadcast({ type: 'archive', listId });
+        showValidationMessage(`Restored "${task.text}" to active tasks`, 'success');
+
+        return true;
+    }
+
+    /**
+     * Download the current list in one of the export formats
+     * @param {string} format - 'json', 'csv' or 'markdown'
+     */
+    exportList(format) {
+        if (!EXPORT_FORMATS[format]) return;
+
+        try {
+            const listName = this.getActiveList().name;
+            const content = serializeTasks(this.tasks, format, listName);
+            downloadFile(getExportFileName(listName, format), content, EXPORT_FORMATS[format].mimeType);
+            showValidationMessage(`Exported ${withoutTrashed(this.tasks).length} task(s) as ${EXPORT_FORMATS[format].label}`, 'success');
+        } catch (error) {
+            console.error('Error exporting tasks:', error);
+            showValidationMessage('Failed to export tasks. Please try again.', 'error');
+        }
+    }
+
+    /**
+     * Read an import file and show a preview of what it contains
+     * @param {File} file - Chosen or dropped file
+     */
+    async previewImport(file) {
+        try {
+            const text = await file.text();
+            this.importPreview = parseImportFile(file.name, text);
+            renderImportPreview(this.elements.importPreview, this.importPreview);
+            this.updateImportPlan();
+            this.elements.importPreview.querySelector('.import-confirm').focus();
+        } catch (error) {
+            console.error('Error reading import file:', error);
+            this.cancelImport();
+            showValidationMessage(`Could not import "${file.name}": ${error.message}`, 'error');
+        }
+    }
+
+    /**
+     * Read the import mode and conflict strategy chosen in the preview
+     * @returns {Object} - { mode, strategy }
+     */
+    getImportOptions() {
+        const preview = this.elements.importPreview;
+        const mode = preview.querySelector('input[name="import-mode"]:checked');
+        const strategy = preview.querySelector('select[name="import-strategy"]');
+
+        return {
+            mode: mode ? mode.value : 'merge',
+            strategy: strategy ? strategy.value : DEFAULT_MERGE_STRATEGY
+        };
+    }
+
+    /**
+     * Work out what importing the previewed tasks would change in the current list
+     * @param {string} mode - 'merge' or 'replace'
+     * @param {string} strategy - Conflict strategy used when merging
+     * @returns {Object} - Plan from planMerge or planReplace
+     */
+    planImport(mode, strategy) {
+        const { validTasks } = this.importPreview;
+        return mode === 'replace' ? planReplace(this.tasks, validTasks) : planMerge(this.tasks, validTasks, strategy);
+    }
+
+    /**
+     * Show the added, updated and skipped counts for the chosen options
+     */
+    updateImportPlan() {
+        if (!this.importPreview) return;
+
+        const { mode, strategy } = this.getImportOptions();
+        renderImportPlan(this.elements.importPreview, this.planImport(mode, strategy), mode);
+    }
+
+    /**
+     * Apply the previewed tasks to the current list as one undoable change
+     * Merging matches tasks by ID, then by text, and resolves conflicts with the chosen strategy;
+     * replacing removes the current tasks first
+     * @param {string} mode - 'merge' or 'replace'
+     * @param {string} strategy - Conflict strategy used when merging
+     */
+    confirmImport(mode, strategy = DEFAULT_MERGE_STRATEGY) {
+        if (!this.importPreview) return;
+
+        const plan = this.planImport(mode, strategy);
+        const changes = mode === 'replace' ? createDeleteChanges(this.tasks, () => true) : [];
+        const startIndex = mode === 'replace' ? 0 : this.tasks.length;
+
+        plan.updated.forEach(({ before, after }) => {
+            changes.push({ type: 'update', before, after });
+        });
+        plan.added.forEach((task, offset) => {
+            changes.push({ type: 'insert', task, index: startIndex + offset });
+        });
+
+        this.cancelImport();
+        if (changes.length === 0) {
+            showValidationMessage('All imported tasks are already in this list', 'warning');
+            return;
+        }
+
+        this.executeCommand({
+            label: `Import ${plan.added.length + plan.updated.length} task(s)`,
+            changes
+        });
+
+        showValidationMessage(`Import finished: ${describeMergePlan(plan)}`, 'success', this.getUndoAction());
+    }
+
+    cancelImport() {
+        this.importPreview = null;
+        renderImportPreview(this.elements.importPreview, null);
+        if (this.elements.importFileInput) {
+            this.elements.importFileInput.value = '';
+        }
+
+        // Replacing is never the default for the next import
+        const mergeOption = this.elements.importPreview && this.elements.importPreview.querySelector('input[value="merge"]');
+        if (mergeOption) {
+            mergeOption.checked = true;
+        }
+        const strategySelect = this.elements.importPreview && this.elements.importPreview.querySelector('select[name="import-strategy"]');
+        if (strategySelect) {
+            strategySelect.value = DEFAULT_MERGE_STRATEGY;
+        }
+    }
+
+    getActiveList() {
+        return this.lists.find(list => list.id === this.activeListId) || this.lists[0];
+    }
+
+    /**
+     * Make a list active without saving the previous one
+     * Each list remembers its own filter; tag, search and expanded checklists start fresh
+     * @param {string} listId - List ID to load
+     */
+    async loadList(listId) {
+        const list = this.lists.find(list => list.id === listId) || this.lists[0];
+        const tasks = await loadTasks(list.id);
+        const archivedTasks = await loadArchive(list.id);
+
+        this.syncedTasks = tasks;
+        this.expandedTaskIds.clear();
+        this.selectedTaskIds.clear();
+        this.selectionAnchorId = null;
+        if (this.elements.searchInput) {
+            this.elements.searchInput.value = '';
+        }
+        this.store.dispatch(listLoaded({ listId: list.id, tasks, archivedTasks, filter: list.filter || 'all' }));
+        await this.purgeExpiredTrash();
+    }
+
+    /**
+     * Save the current list and show another one
+     * @param {string} listId - List ID to switch to
+     * @returns {Promise<boolean>} - Whether the active list changed
+     */
+    async switchList(listId) {
+        if (listId === this.activeListId || !this.lists.some(list => list.id === listId)) {
+            return false;
+        }
+
+        // Changes are saved as they happen; just let the last save finish
+        await this.pendingSave;
+        await this.loadList(listId);
+        this.saveListIndex();
+        announce(`Switched to list "${this.getActiveList().name}"`);
+
+        return true;
+    }
+
+    createList(name) {
+        const validation = validateListName(name, this.lists);
+        if (!validation.isValid) {
+            showValidationMessage(validation.message, 'error');
+            return false;
+        }
+
+        const listId = `list-${Date.now().toString(36)}`;
+        this.lists = [...this.lists, {
+            id: listId,
+            name: validation.sanitizedName,
+            createdAt: new Date().toISOString(),
+            filter: 'all',
+            taskCount: 0,
+            completedCount: 0
+        }];
+        this.switchList(listId);
+        showValidationMessage(`List "${validation.sanitizedName}" created`, 'success');
+
+        return true;
+    }
+
+    renameList(listId, name) {
+        const validation = validateListName(name, this.lists, listId);
+        if (!validation.isValid) {
+            showValidationMessage(validation.message, 'error');
+            return false;
+        }
+
+        this.updateList(listId, { name: validation.sanitizedName });
+        this.queueRemoteChange(listId);
+        this.render();
+        showValidationMessage(`List renamed to "${validation.sanitizedName}"`, 'success');
+
+        return true;
+    }
+
+    /**
+     * Delete a list and its tasks after confirmation; the last list cannot be deleted
+     * @param {string} listId - List ID to delete
+     */
+    async deleteList(listId) {
+        const list = this.lists.find(list => list.id === listId);
+        if (!list) return;
+
+        if (this.lists.length === 1) {
+            showValidationMessage('You need at least one list', 'warning');
+            return;
+        }
+
+        const taskCount = listId === this.activeListId ? withoutTrashed(this.tasks).length : list.taskCount || 0;
+        const confirmed = await confirmAction(`Delete the list "${list.name}" and its ${taskCount} task(s)? This cannot be undone.`, {
+            title: 'Delete list',
+            confirmLabel: 'Delete list',
+            destructive: true
+        });
+        // Another tab may have deleted it, or left it as the only list, while the dialog was open
+        if (!confirmed || !this.lists.some(l => l.id === listId) || this.lists.length === 1) {
+            console.log('Delete list cancelled');
+            return;
+        }
+
+        if (this.remoteSync) {
+            this.remoteSync.queueDelete(listId);
+        }
+        await this.removeList(listId);
+        this.render();
+        showValidationMessage(`List "${list.name}" deleted`, 'success');
+    }
+
+    /**
+     * Remove a list and its stored tasks from this device, showing the first list if it was active
+     * @param {string} listId - List ID to remove
+     */
+    async removeList(listId) {
+        await clearTasks(listId);
+        await clearArchive(listId);
+        this.lists = this.lists.filter(l => l.id !== listId);
+
+        // Undo history must not try to restore tasks into a list that no longer exists
+        this.history.discard(command => command.listId === listId);
+        this.saveHistory();
+
+        if (listId === this.activeListId) {
+            await this.loadList(this.lists[0].id);
+        }
+        this.saveListIndex();
+    }
+
+    /**
+     * Merge fields into a list index entry and persist the index
+     * @param {string} listId - List ID to update
+     * @param {Object} updates - Fields to overwrite
+     */
+    updateList(listId, updates) {
+        this.lists = this.lists.map(list => (list.id === listId ? { ...list, ...updates } : list));
+        this.saveListIndex();
+    }
+
+    showListNameForm(mode) {
+        const { listNameForm, listNameInput } = this.elements;
+        if (!listNameForm) return;
+
+        this.listFormMode = mode;
+        listNameInput.value = mode === 'rename' ? this.getActiveList().name : '';
+        listNameForm.hidden = false;
+        listNameInput.focus();
+        listNameInput.select();
+    }
+
+    hideListNameForm() {
+        if (!this.elements.listNameForm) return;
+
+        this.listFormMode = null;
+        this.elements.listNameForm.hidden = true;
+        this.elements.listNameInput.value = '';
+    }
+
+    /**
+     * Apply a reversible command to the task list and record it in history
+     * @param {Object} command - Command with a label and a list of changes
+     */
+    executeCommand(command) {
+        command = { ...command, listId: this.activeListId };
+        this.history.record(command);
+        this.saveHistory();
+        this.store.dispatch(commandApplied(command));
+    }
+
+    async undo() {
+        const command = this.history.undo();
+        if (!command) {
+            showValidationMessage('Nothing to undo', 'warning');
+            return false;
+        }
+
+        await this.showCommandList(command);
+        this.saveHistory();
+        this.store.dispatch(commandReverted(command));
+        if (command.movedTo) {
+            await this.applyMovedTasks(command, true);
+        }
+        showValidationMessage(`Undone: ${command.label}`, 'success', {
+            label: 'Redo',
+            onClick: () => this.redo()
+        });
+
+        return true;
+    }
+
+    async redo() {
+        const command = this.history.redo();
+        if (!command) {
+            showValidationMessage('Nothing to redo', 'warning');
+            return false;
+        }
+
+        await this.showCommandList(command);
+        this.saveHistory();
+        this.store.dispatch(commandApplied(command));
+        if (command.movedTo) {
+            await this.applyMovedTasks(command, false);
+        }
+        showValidationMessage(`Redone: ${command.label}`, 'success', this.getUndoAction());
+
+        return true;
+    }
+
+    /**
+     * Switch to the list a history command was recorded in
+     * Commands saved before lists existed belong to the default list
+     * @param {Object} command - Command about to be undone or redone
+     */
+    async showCommandList(command) {
+        const listId = command.listId || DEFAULT_LIST_ID;
+        if (listId !== this.activeListId) {
+            await this.switchList(listId);
+        }
+    }
+
+    getUndoAction() {
+        return {
+            label: 'Undo',
+            onClick: () => this.undo()
+        };
+    }
+
+    async saveHistory() {
+        if (!(await saveHistory(this.history.toJSON()))) {
+            console.warn('Failed to save history to storage');
+        }
+    }
+
+    async saveTasks() {
+        try {
+            const tasks = this.tasks;
+            const listId = this.activeListId;
+            const success = await saveTasks(tasks, listId);
+            if (!success) {
+                console.warn('Failed to save tasks to storage');
+                showValidationMessage('Your changes could not be saved. Storage may be full.', 'error');
+            } else {
+                if (listId === this.activeListId) {
+                    this.syncedTasks = tasks;
+                }
+                this.broadcast({ type: 'tasks', listId });
+                this.queueRemoteChange(listId);
+            }
+        } catch (error) {
+            console.error('Error saving tasks:', error);
+        }
+    }
+
+    saveListIndex() {
+        if (!saveListIndex({ activeListId: this.activeListId, lists: this.lists })) {
+            console.warn('Failed to save lists to storage');
+            return;
+        }
+        this.broadcast({ type: 'lists' });
+    }
+
+    /**
+     * Tell other open tabs that stored data changed
+     * @param {Object} message - Sync message such as { type: 'tasks', listId }
+     */
+    broadcast(message) {
+        if (this.tabSync) {
+            this.tabSync.broadcast(message);
+        }
+    }
+
+    /**
+     * React to a change saved by another tab; messages are handled one at a time
+     * @param {Object} message - Sync message
+     */
+    handleSyncMessage(message) {
+        this.syncQueue = this.syncQueue.then(() => {
+            if (message.type === 'lists') {
+                return this.reloadLists();
+            }
+            if (message.type === 'tasks' && message.listId === this.activeListId) {
+                return this.mergeRemoteTasks();
+            }
+            if (message.type === 'archive' && message.listId === this.activeListId) {
+                return this.reloadArchive();
+            }
+            return undefined;
+        }).catch(error => {
+            console.error('Error syncing with another tab:', error);
+        });
+    }
+
+    /**
+     * Pick up tasks another tab archived or restored in the active list
+     */
+    async reloadArchive() {
+        const listId = this.activeListId;
+        const archivedTasks = await loadArchive(listId);
+        if (listId !== this.activeListId) return;
+
+        this.store.dispatch(archiveReplaced(archivedTasks, { fromSync: true }));
+    }
+
+    /**
+     * Pick up lists created, renamed or deleted in another tab
+     */
+    async reloadLists() {
+        const { lists } = await loadListIndex();
+        this.lists = lists;
+
+        if (!lists.some(list => list.id === this.activeListId)) {
+            await this.loadList(lists[0].id);
+            showValidationMessage(`This list was deleted in another tab. Showing "${this.getActiveList().name}".`, 'warning');
+        }
+        this.renderAfterSync();
+    }
+
+    /**
+     * Merge tasks another tab saved to the active list with this tab's tasks, task by task
+     * Conflicting edits keep the most recent version and show a notice
+     */
+    async mergeRemoteTasks() {
+        const listId = this.activeListId;
+        const remoteTasks = await loadTasks(listId);
+        if (listId !== this.activeListId) return;
+
+        const { tasks, conflicts } = mergeConcurrentTasks(this.syncedTasks, this.tasks, remoteTasks);
+        const differsFromStorage = tasks.length !== remoteTasks.length ||
+            tasks.some((task, index) => task !== remoteTasks[index]);
+
+        // When this tab had changes of its own, the combined result is stored for every tab,
+        // and saveTasks makes it the new synced copy once it is written
+        this.syncedTasks = remoteTasks;
+        this.store.dispatch(tasksReplaced(tasks, { persist: differsFromStorage, fromSync: true }));
+        if (!differsFromStorage) {
+            // Storage already holds these tasks, so closing the tab has nothing to save
+            this.syncedTasks = tasks;
+        }
+        await this.pendingSave;
+
+        this.showMergeConflicts(conflicts, 'in another tab');
+    }
+
+    /**
+     * Tell the user which tasks were edited in two places at once
+     * @param {Array} conflicts - Conflicts from mergeConcurrentTasks
+     * @param {string} where - Where the other edit came from, e.g. 'in another tab'
+     */
+    showMergeConflicts(conflicts, where) {
+        if (conflicts.length === 1) {
+            showValidationMessage(`"${conflicts[0].kept.text}" was also changed ${where}. Kept the most recent version.`, 'warning');
+        } else if (conflicts.length > 1) {
+            showValidationMessage(`${conflicts.length} tasks were also changed ${where}. Kept the most recent versions.`, 'warning');
+        }
+    }
+
+    /**
+     * Start syncing with the server saved in settings, if any
+     */
+    startRemoteSync() {
+        if (this.remoteSync) {
+            this.remoteSync.stop();
+            this.remoteSync = null;
+        }
+
+        if (!this.settings.syncUrl) {
+            renderSyncStatus(this.elements.syncStatus, { status: 'disabled', label: SYNC_STATUS.disabled, pending: 0 });
+            return;
+        }
+
+        this.remoteSync = createRemoteSync({
+            adapter: createRestAdapter({ baseUrl: this.settings.syncUrl }),
+            loadState: loadRemoteState,
+            saveState: saveRemoteState,
+            getListIds: () => this.lists.map(list => list.id),
+            getListName: (listId) => {
+                const list = this.lists.find(l => l.id === listId);
+                return list ? list.name : listId;
+            },
+            getTasks: (listId) => (listId === this.activeListId ? this.tasks : loadTasks(listId)),
+            setTasks: this.applyRemoteTasks,
+            onRemoteList: this.addRemoteList,
+            onRemoteDelete: this.removeRemoteList,
+            onStatusChange: (syncStatus) => renderSyncStatus(this.elements.syncStatus, syncStatus)
+        });
+        this.remoteSync.start();
+    }
+
+    /**
+     * Connect to a sync server and remember it
+     * ETags and synced copies from a previous server are dropped, so every list is matched afresh
+     * @param {string} url - Server URL
+     * @returns {Promise<boolean>} - Whether the URL was accepted
+     */
+    async connectRemoteSync(url) {
+        let parsedUrl;
+        try {
+            parsedUrl = new URL(url.trim());
+        } catch (error) {
+            parsedUrl = null;
+        }
+        if (!parsedUrl || !['http:', 'https:'].includes(parsedUrl.protocol)) {
+            showValidationMessage('Enter the sync server address, e.g. http://localhost:8787', 'error');
+            return false;
+        }
+
+        if (parsedUrl.href !== this.settings.syncUrl) {
+            if (this.remoteSync) {
+                this.remoteSync.stop();
+                this.remoteSync = null;
+            }
+            await clearRemoteState();
+        }
+
+        this.settings = { ...this.settings, syncUrl: parsedUrl.href };
+        saveSettings(this.settings);
+        this.startRemoteSync();
+        showValidationMessage(`Syncing with ${parsedUrl.host}`, 'success');
+
+        return true;
+    }
+
+    /**
+     * Stop syncing; tasks stay on this device and the server keeps its copy
+     */
+    async disconnectRemoteSync() {
+        this.settings = { ...this.settings, syncUrl: '' };
+        saveSettings(this.settings);
+        this.startRemoteSync();
+        await clearRemoteState();
+        this.hideSyncForm();
+        showValidationMessage('Sync turned off', 'success');
+    }
+
+    queueRemoteChange(listId) {
+        if (this.remoteSync) {
+            this.remoteSync.queueChange(listId);
+        }
+    }
+
+    /**
+     * Store tasks merged with the server's copy of a list without queueing them for upload again
+     * @param {string} listId - List ID
+     * @param {Array} tasks - Merged tasks
+     * @param {Array} conflicts - Tasks edited both here and on another device
+     */
+    async applyRemoteTasks(listId, tasks, conflicts) {
+        const isActiveList = listId === this.activeListId;
+        if (isActiveList) {
+            this.store.dispatch(tasksReplaced(tasks, { persist: false, fromSync: true }));
+        }
+
+        if (await saveTasks(tasks, listId)) {
+            if (listId === this.activeListId) {
+                this.syncedTasks = tasks;
+            }
+            this.broadcast({ type: 'tasks', listId });
+        }
+
+        this.showMergeConflicts(conflicts, 'on another device');
+        if (!isActiveList) {
+            // Only the list switcher's counts changed
+            this.updateList(listId, this.getListCounts(tasks));
+            this.renderAfterSync();
+        }
+    }
+
+    /**
+     * Add a list that was created on another device
+     * @param {Object} list - { id, name } from the server
+     */
+    addRemoteList({ id, name }) {
+        this.lists = [...this.lists, {
+            id,
+            name,
+            createdAt: new Date().toISOString(),
+            filter: 'all',
+            taskCount: 0,
+            completedCount: 0
+        }];
+        this.saveListIndex();
+        this.renderAfterSync();
+    }
+
+    /**
+     * Remove a list that was deleted on another device; the last list stays, as in deleteList
+     * @param {string} listId - List ID deleted on the server
+     * @returns {Promise<boolean>} - Whether the list is gone from this device
+     */
+    async removeRemoteList(listId) {
+        const list = this.lists.find(l => l.id === listId);
+        if (!list) return true;
+        if (this.lists.length === 1) return false;
+
+        await this.removeList(listId);
+        this.renderAfterSync();
+        showValidationMessage(`List "${list.name}" was deleted on another device`, 'warning');
+
+        return true;
+    }
+
+    showSyncForm() {
+        const { syncForm, syncUrlInput, syncStatus } = this.elements;
+        syncUrlInput.value = this.settings.syncUrl || '';
+        syncForm.hidden = false;
+        syncStatus.setAttribute('aria-expanded', 'true');
+        syncUrlInput.focus();
+    }
+
+    hideSyncForm() {
+        if (!this.elements.syncForm) return;
+
+        this.elements.syncForm.hidden = true;
+        this.elements.syncStatus.setAttribute('aria-expanded', 'false');
+    }
+
+    /**
+     * Re-render after a change from another tab, unless that would close an open inline editor
+     * The editor renders again itself when it closes
+     */
+    renderAfterSync() {
+        if (this.editingTaskId === null) {
+            this.render();
+        }
+    }
+
+    /**
+     * Offer to reload when a new version of the app has been downloaded
+     * @param {ServiceWorker} worker - Waiting service worker
+     */
+    showUpdatePrompt(worker) {
+        this.waitingWorker = worker;
+        if (this.elements.updateBanner) {
+            this.elements.updateBanner.hidden = false;
+        }
+    }
+
+    /**
+     * Switch to the waiting version; unsaved tasks are saved first because the page reloads
+     */
+    async applyUpdate() {
+        if (!this.waitingWorker) return;
+
+        if (this.tasks !== this.syncedTasks) {
+            await this.saveTasks();
+        }
+        applyUpdate(this.waitingWorker);
+    }
+
+    render() {
+        const state = this.store.getState();
+        const showArchive = state.filter === 'archive';
+        const counts = selectTaskCounts(state);
+
+        // Tasks that left the view (filtered out, deleted or moved) leave the selection too
+        const selectableIds = new Set(this.getSelectableTasks().map(task => task.id));
+        this.selectedTaskIds.forEach(taskId => {
+            if (!selectableIds.has(taskId)) {
+                this.selectedTaskIds.delete(taskId);
+            }
+        });
+
+        this.elements.taskList.closest('.task-list-section').hidden = showArchive;
+        if (showArchive) {
+            hideEmptyState(this.elements.taskList);
+        } else {
+            renderTaskList(this.elements.taskList, this.tasks, this.currentFilter, this.getViewOptions());
+        }
+        renderArchive(this.elements.archiveView, this.archivedTasks, {
+            visible: showArchive,
+            tag: this.activeTag,
+            query: this.searchQuery
+        });
+        renderTagBar(this.elements.tagBar, selectTaggedTasks(state), this.activeTag);
+        updateTaskCount(counts, this.getActiveList().name);
+        updateFilterButtons(this.currentFilter);
+        renderTrashControls(this.elements.trashControls, {
+            visible: this.currentFilter === 'trash',
+            count: counts.trashed,
+            retentionDays: this.settings.trashRetentionDays
+        });
+        renderListSwitcher(this.elements.listSelect, this.lists, this.activeListId);
+        renderSelectionToolbar(this.elements.selectionToolbar, {
+            count: this.selectedTaskIds.size,
+            lists: this.lists,
+            activeListId: this.activeListId
+        });
+    }
+
+    /**
+     * Task counts stored in the list index; trashed tasks are not counted
+     * @param {Array} tasks - The list's tasks
+     * @returns {Object} - { taskCount, completedCount }
+     */
+    getListCounts(tasks) {
+        const { total, completed } = countTasks(tasks);
+        return { taskCount: total, completedCount: completed };
+    }
+
+    /**
+     * Current sort, tag and search options for rendering and filtering
+     * @returns {Object} - View options (see filterTasks)
+     */
+    getViewOptions() {
+        return {
+            sort: this.settings.sort,
+            tag: this.activeTag,
+            query: this.searchQuery,
+            reorderable: this.settings.sort === 'manual' && this.currentFilter !== 'trash',
+            expandedTaskIds: this.expandedTaskIds,
+            selectedTaskIds: this.selectedTaskIds
+        };
+    }
+
+    getVisibleTasks() {
+        return selectVisibleTasks(this.store.getState(), this.getViewOptions());
+    }
+
+    handleFormSubmit(event) {
+        event.preventDefault();
+        const taskText = this.elements.taskInput.value;
+        const dueDate = this.elements.dueDateInput ? this.elements.dueDateInput.value : '';
+        const priority = this.elements.priorityInput ? this.elements.priorityInput.value : undefined;
+        const recurrence = this.elements.repeatInput
+            ? createRecurrenceRule(
+                this.elements.repeatInput.value,
+                Number(this.elements.repeatIntervalInput.value),
+                dueDate
+            )
+            : null;
+        if (this.addTask(taskText, { dueDate, priority, recurrence })) {
+            this.elements.taskInput.value = '';
+            if (this.elements.dueDateInput) {
+                this.elements.dueDateInput.value = '';
+            }
+            if (this.elements.priorityInput) {
+                this.elements.priorityInput.value = 'normal';
+            }
+            if (this.elements.repeatInput) {
+                this.elements.repeatInput.value = '';
+                this.elements.repeatIntervalInput.value = '1';
+                this.handleRepeatChange();
+            }
+            this.elements.taskInput.focus();
+        }
+    }
+
+    handleRepeatChange() {
+        // The interval only matters once a repeat option is chosen
+        this.elements.repeatIntervalInput.hidden = !this.elements.repeatInput.value;
+    }
+
+    handleTaskListClick(event) {
+        const taskElement = event.target.closest('.task-item');
+        if (!taskElement) return;
+        const taskId = Number(taskElement.dataset.id);
+
+        const subtaskElement = event.target.closest('.subtask-item');
+        const subtaskId = subtaskElement ? Number(subtaskElement.dataset.subtaskId) : null;
+
+        if (event.target.classList.contains('task-select')) {
+            this.toggleTaskSelection(taskId, event.shiftKey);
+        } else if (event.target.classList.contains('task-checkbox')) {
+            event.preventDefault();
+            this.toggleTaskCompletion(taskId);
+        } else if (event.target.classList.contains('subtask-checkbox')) {
+            event.preventDefault();
+            this.toggleSubtask(taskId, subtaskId);
+        } else if (event.target.closest('.subtask-delete')) {
+            this.removeSubtask(taskId, subtaskId);
+        } else if (event.target.closest('.subtasks-toggle')) {
+            this.toggleSubtasks(taskId);
+        } else if (event.target.closest('.add-subtask-btn')) {
+            this.toggleSubtasks(taskId, true);
+            this.focusSubtaskInput(taskId);
+        } else if (event.target.closest('.delete-btn')) {
+            // Deleted tasks go to the trash, so no confirmation is needed
+            this.removeTask(taskId);
+        } else if (event.target.closest('.restore-btn')) {
+            this.restoreTask(taskId);
+        } else if (event.target.closest('.purge-btn')) {
+            this.purgeTask(taskId);
+        } else if (event.target.closest('.edit-btn')) {
+            this.startEditing(taskId);
+        } else if (event.target.closest('.priority-badge')) {
+            this.cycleTaskPriority(taskId);
+        } else if (event.target.closest('.recurrence-badge')) {
+            this.stopRepeating(taskId);
+        } else if (event.target.closest('.tag-chip')) {
+            this.setActiveTag(event.target.closest('.tag-chip').dataset.tag);
+        }
+    }
+
+    handleTaskListDblClick(event) {
+        const taskElement = event.target.closest('.task-item');
+        if (!taskElement || !event.target.closest('.task-text')) return;
+        this.startEditing(Number(taskElement.dataset.id));
+    }
+
+    handleTaskListKeydown(event) {
+        // Enter in a checklist input adds a step
+        if (event.key === 'Enter' && event.target.classList.contains('subtask-input')) {
+            event.preventDefault();
+            const taskId = Number(event.target.closest('.task-item').dataset.id);
+            this.addSubtask(taskId, event.target.value);
+            return;
+        }
+
+        const inTextField = Boolean(event.target.closest('input[type="text"], input[type="search"], textarea'));
+
+        // Ctrl/Cmd + A selects every task in the view; Escape clears the selection
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'a' && !inTextField) {
+            event.preventDefault();
+            this.selectAllTasks();
+            return;
+        }
+        if (event.key === 'Escape' && !inTextField && this.selectedTaskIds.size > 0) {
+            event.preventDefault();
+            this.clearSelection();
+            return;
+        }
+
+        const taskElement = event.target;
+        const onRow = Boolean(taskElement.classList && taskElement.classList.contains('task-item'));
+
+        // Up/Down, Home and End move between tasks; in a long, windowed list the list itself holds
+        // focus when the focused row has scrolled out of the DOM
+        if (!event.altKey && ['ArrowUp', 'ArrowDown', 'Home', 'End'].includes(event.key) && (onRow || taskElement === this.elements.taskList)) {
+            event.preventDefault();
+            this.focusTaskByKeyboard(event.key);
+            return;
+        }
+
+        if (!onRow) return;
+
+        // Space selects the focused task, Shift + Space extends the selection to it
+        if (event.key === ' ') {
+            event.preventDefault();
+            this.toggleTaskSelection(Number(taskElement.dataset.id), event.shiftKey);
+            return;
+        }
+
+        // Alt + Up/Down moves the focused task
+        if (event.altKey && (event.key === 'ArrowUp' || event.key === 'ArrowDown')) {
+            event.preventDefault();
+            this.moveTaskByKeyboard(Number(taskElement.dataset.id), event.key === 'ArrowUp' ? -1 : 1);
+        }
+    }
+
+    handleFilterClick(event) {
+        this.setFilter(event.currentTarget.dataset.filter);
+    }
+
+    /**
+     * Switch the active list's view filter and remember it
+     * @param {string} filter - Filter name (see filterTasks)
+     */
+    setFilter(filter) {
+        if (filter && filter !== this.currentFilter) {
+            this.updateList(this.activeListId, { filter });
+            this.store.dispatch(filterChanged(filter));
+        }
+    }
+
+    handleSelectionToolbarClick(event) {
+        const button = event.target.closest('[data-action]');
+        if (!button) return;
+
+        const tagInput = this.elements.selectionToolbar.querySelector('.bulk-tag-input');
+        switch (button.dataset.action) {
+            case 'select-all':
+                this.selectAllTasks();
+                break;
+            case 'complete':
+                this.completeSelectedTasks();
+                break;
+            case 'uncomplete':
+                this.reopenSelectedTasks();
+                break;
+            case 'delete':
+                this.deleteSelectedTasks();
+                break;
+            case 'add-tag':
+            case 'remove-tag':
+                if (this.tagSelectedTasks(tagInput.value, button.dataset.action === 'add-tag') > 0) {
+                    tagInput.value = '';
+                }
+                break;
+            case 'clear-selection':
+                this.clearSelection();
+                break;
+            default:
+                break;
+        }
+    }
+
+    handleSelectionToolbarChange(event) {
+        const select = event.target;
+        if (!select.value) return;
+
+        if (select.classList.contains('bulk-priority')) {
+            this.setSelectedPriority(select.value);
+        } else if (select.classList.contains('bulk-move')) {
+            this.moveSelectedTasks(select.value);
+        }
+        select.value = '';
+    }
+
+    handleSelectionToolbarKeydown(event) {
+        if (event.key === 'Enter' && event.target.classList.contains('bulk-tag-input')) {
+            event.preventDefault();
+            if (this.tagSelectedTasks(event.target.value, true) > 0) {
+                event.target.value = '';
+            }
+        } else if (event.key === 'Escape') {
+            event.preventDefault();
+            this.clearSelection();
+        }
+    }
+
+    handleArchiveClick(event) {
+        const item = event.target.closest('.archive-item');
+        if (event.target.closest('.unarchive-btn') && item) {
+            this.restoreArchivedTask(Number(item.dataset.id));
+        } else if (event.target.closest('.tag-chip')) {
+            this.setActiveTag(event.target.closest('.tag-chip').dataset.tag);
+        }
+    }
+
+    handleExportClick(event) {
+        const option = event.target.closest('.export-option');
+        if (option) {
+            this.elements.exportMenu.open = false;
+            this.exportList(option.dataset.format);
+        }
+    }
+
+    handleImportFileChange(event) {
+        const [file] = event.target.files;
+        if (file) {
+            this.previewImport(file);
+        }
+    }
+
+    handleImportPreviewClick(event) {
+        if (event.target.closest('.import-confirm')) {
+            const { mode, strategy } = this.getImportOptions();
+            this.confirmImport(mode, strategy);
+        } else if (event.target.closest('.import-cancel')) {
+            this.cancelImport();
+        }
+    }
+
+    handleImportOptionChange(event) {
+        if (event.target.matches('input[name="import-mode"], select[name="import-strategy"]')) {
+            this.updateImportPlan();
+        }
+    }
+
+    /**
+     * Whether a drag carries files (task rows dragged for reordering do not)
+     * @param {DragEvent} event - Drag event
+     * @returns {boolean} - Whether files are being dragged
+     */
+    isFileDrag(event) {
+        return Boolean(event.dataTransfer) && Array.from(event.dataTransfer.types || []).includes('Files');
+    }
+
+    handleFileDragOver(event) {
+        if (!this.isFileDrag(event)) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'copy';
+        this.elements.dropZone.classList.add('file-drop-active');
+    }
+
+    handleFileDragLeave(event) {
+        // Ignore leaving one child for another inside the drop zone
+        if (!this.elements.dropZone.contains(event.relatedTarget)) {
+            this.elements.dropZone.classList.remove('file-drop-active');
+        }
+    }
+
+    handleFileDrop(event) {
+        if (!this.isFileDrag(event)) return;
+        event.preventDefault();
+        this.elements.dropZone.classList.remove('file-drop-active');
+
+        const [file] = event.dataTransfer.files;
+        if (file) {
+            this.previewImport(file);
+        }
+    }
+
+    handleSyncStatusClick() {
+        if (this.elements.syncForm.hidden) {
+            this.showSyncForm();
+        } else {
+            this.hideSyncForm();
+        }
+    }
+
+    async handleSyncFormSubmit(event) {
+        event.preventDefault();
+        if (await this.connectRemoteSync(this.elements.syncUrlInput.value)) {
+            this.hideSyncForm();
+        }
+    }
+
+    handleUpdateBannerClick(event) {
+        if (event.target.closest('.update-reload')) {
+            this.applyUpdate();
+        } else if (event.target.closest('.update-dismiss')) {
+            this.elements.updateBanner.hidden = true;
+        }
+    }
+
+    handleListChange(event) {
+        this.hideListNameForm();
+        this.switchList(event.target.value);
+    }
+
+    handleListNameSubmit(event) {
+        event.preventDefault();
+        const name = this.elements.listNameInput.value;
+        const saved = this.listFormMode === 'rename'
+            ? this.renameList(this.activeListId, name)
+            : this.createList(name);
+
+        if (saved) {
+            this.hideListNameForm();
+        }
+    }
+
+    handleListNameKeydown(event) {
+        if (event.key === 'Escape') {
+            event.preventDefault();
+            this.hideListNameForm();
+        }
+    }
+
+    handleClearCompleted() {
+        this.clearCompletedTasks();
+    }
+
+    handleTrashControlsClick(event) {
+        if (event.target.closest('.empty-trash-btn')) {
+            this.emptyTrash();
+        }
+    }
+
+    async handleTrashRetentionChange(event) {
+        const trashRetentionDays = Number(event.target.value);
+        if (!TRASH_RETENTION_DAYS.includes(trashRetentionDays)) return;
+
+        this.settings = { ...this.settings, trashRetentionDays };
+        saveSettings(this.settings);
+
+        const purgedCount = await this.purgeExpiredTrash();
+        if (purgedCount > 0) {
+            showValidationMessage(`${purgedCount} old task(s) removed from the Trash`, 'success');
+        }
+        this.render();
+    }
+
+    /**
+     * Filter the list by a tag; selecting the active tag again clears it
+     * @param {string} tag - Tag to filter by
+     */
+    setActiveTag(tag) {
+        this.store.dispatch(tagChanged(tag && tag !== this.activeTag ? tag : null));
+    }
+
+    handleTagBarClick(event) {
+        const chip = event.target.closest('.tag-chip');
+        if (chip) {
+            this.setActiveTag(chip.dataset.tag);
+        }
+    }
+
+    handleSearchInput() {
+        const query = this.elements.searchInput.value.trim();
+        this.store.dispatch(queryChanged(query));
+    }
+
+    handleSearchKeydown(event) {
+        if (event.key === 'Escape' && this.elements.searchInput.value) {
+            event.preventDefault();
+            this.elements.searchInput.value = '';
+            this.handleSearchInput();
+        }
+    }
+
+    handleSortChange(event) {
+        const sort = event.target.value;
+        if (SORT_MODES.includes(sort) && sort !== this.settings.sort) {
+            this.settings = { ...this.settings, sort };
+            saveSettings(this.settings);
+            this.render();
+        }
+    }
+
+    handleKeydown(event) {
+        if ((event.ctrlKey || event.metaKey) && event.key === 'Enter') {
+            if (document.activeElement === this.elements.taskInput) {
+                this.elements.taskForm.dispatchEvent(new Event('submit'));
+            }
+        }
+        if ((event.ctrlKey || event.metaKey) && event.key === '/') {
+            event.preventDefault();
+            this.elements.taskInput.focus();
+        }
+
+        // Ctrl/Cmd + Z to undo, Ctrl/Cmd + Shift + Z to redo; text fields keep their native undo
+        if ((event.ctrlKey || event.metaKey) && event.key.toLowerCase() === 'z') {
+            if (event.target.closest && event.target.closest('input[type="text"], input[type="search"], textarea')) {
+                return;
+            }
+
+            event.preventDefault();
+            if (event.shiftKey) {
+                this.redo();
+            } else {
+                this.undo();
+            }
+        }
+    }
+
+    destroy() {
+        if (this.validationCleanup) {
+            this.validationCleanup();
+        }
+        if (this.dragCleanup) {
+            this.dragCleanup();
+        }
+        // Saving unchanged tasks on close would overwrite newer changes from another tab
+        if (this.tasks !== this.syncedTasks) {
+            this.saveTasks();
         }
-        this.saveTasks();
         console.log('TaskFlow Lite destroyed');
     }
 }
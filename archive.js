@@ -0,0 +1,93 @@
+/**
+ * Archive Module - Finished tasks kept out of the active list for TaskFlow Lite
+ * Archived tasks live in their own store per list and are browsed grouped by the week they were completed
+ */
+
+import { startOfDay, toDateKey, parseDateKey } from './dates.js';
+
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Get the Monday that starts a date's week
+ * @param {Date} date - Reference date
+ * @returns {Date} - Local midnight on that Monday
+ */
+export const getWeekStart = (date) => {
+    const weekStart = startOfDay(date);
+    weekStart.setDate(weekStart.getDate() - (weekStart.getDay() + 6) % 7);
+    return weekStart;
+};
+
+/**
+ * Get when an archived task was finished
+ * Tasks completed before completion times were recorded fall back to when they were archived
+ * @param {Object} task - Archived task
+ * @returns {Date|null} - Completion time, or null when unknown
+ */
+export const getCompletionDate = (task) => {
+    const date = new Date(task.completedAt || task.archivedAt);
+    return Number.isNaN(date.getTime()) ? null : date;
+};
+
+/**
+ * Prepare a completed task for the archive
+ * @param {Object} task - Completed task
+ * @param {Date} now - Current time
+ * @returns {Object} - Copy of the task with archivedAt set
+ */
+export const archiveTask = (task, now = new Date()) => ({ ...task, archivedAt: now.toISOString() });
+
+/**
+ * Turn an archived task back into an active one
+ * @param {Object} task - Archived task
+ * @param {Date} now - Current time
+ * @returns {Object} - Open copy of the task without the archive and completion times
+ */
+export const unarchiveTask = (task, now = new Date()) => {
+    const { archivedAt, completedAt, ...restored } = task;
+    return { ...restored, completed: false, updatedAt: now.toISOString() };
+};
+
+/**
+ * Group archived tasks by the week they were completed, newest week first
+ * Tasks within a week are ordered newest first
+ * @param {Array} tasks - Archived tasks
+ * @returns {Array} - [{ weekStart: 'YYYY-MM-DD', tasks }]
+ */
+export const groupByCompletionWeek = (tasks) => {
+    const groups = new Map();
+    const completionTime = (task) => {
+        const date = getCompletionDate(task);
+        return date ? date.getTime() : 0;
+    };
+
+    [...tasks]
+        .sort((a, b) => completionTime(b) - completionTime(a))
+        .forEach(task => {
+            const date = getCompletionDate(task);
+            const weekStart = date ? toDateKey(getWeekStart(date)) : '';
+            if (!groups.has(weekStart)) {
+                groups.set(weekStart, []);
+            }
+            groups.get(weekStart).push(task);
+        });
+
+    return Array.from(groups, ([weekStart, groupTasks]) => ({ weekStart, tasks: groupTasks }));
+};
+
+/**
+ * Describe a completion week for a group heading
+ * @param {string} weekStart - 'YYYY-MM-DD' of the week's Monday, or '' for unknown dates
+ * @param {Date} now - Reference date
+ * @returns {string} - 'This week', 'Last week' or 'Week of Oct 7, 2024'
+ */
+export const describeWeek = (weekStart, now = new Date()) => {
+    const date = parseDateKey(weekStart);
+    if (!date) return 'Unknown date';
+
+    const weeksAgo = Math.round((getWeekStart(now) - date) / (7 * MS_PER_DAY));
+    if (weeksAgo === 0) return 'This week';
+    if (weeksAgo === 1) return 'Last week';
+
+    return `Week of ${date.toLocaleDateString(undefined, { month: 'short', day: 'numeric', year: 'numeric' })}`;
+};
@@ -0,0 +1,135 @@
+/**
+ * Backends Module - Pluggable key-value storage for TaskFlow Lite
+ * Every backend exposes the same async API: get, set, remove and keys
+ */
+
+const DB_NAME = 'taskflow';
+const DB_VERSION = 1;
+const STORE_NAME = 'records';
+
+/**
+ * Create a backend that keeps JSON strings in localStorage
+ * Used when IndexedDB is missing or fails to open
+ * @returns {Object} - Storage backend
+ */
+export const createLocalStorageBackend = () => ({
+    name: 'localStorage',
+
+    async get(key) {
+        const storedData = localStorage.getItem(key);
+        return storedData === null ? null : JSON.parse(storedData);
+    },
+
+    async set(key, value) {
+        localStorage.setItem(key, JSON.stringify(value));
+    },
+
+    async remove(key) {
+        localStorage.removeItem(key);
+    },
+
+    async keys() {
+        const keys = [];
+        for (let i = 0; i < localStorage.length; i++) {
+            keys.push(localStorage.key(i));
+        }
+        return keys;
+    }
+});
+
+/**
+ * Check whether the browser exposes IndexedDB
+ * @returns {boolean} - Availability status
+ */
+export const isIndexedDBAvailable = () => {
+    try {
+        return typeof indexedDB !== 'undefined' && indexedDB !== null;
+    } catch (error) {
+        // Some browsers throw when IndexedDB is disabled (e.g. private mode)
+        return false;
+    }
+};
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} request - Pending request
+ * @returns {Promise} - Resolves with the request result
+ */
+const promisifyRequest = (request) => new Promise((resolve, reject) => {
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open the TaskFlow database, creating the object store on first use
+ * @param {string} dbName - Database name
+ * @returns {Promise<IDBDatabase>} - Open database
+ */
+const openDatabase = (dbName) => new Promise((resolve, reject) => {
+    const request = indexedDB.open(dbName, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+        const db = request.result;
+        if (!db.objectStoreNames.contains(STORE_NAME)) {
+            db.createObjectStore(STORE_NAME);
+        }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+    request.onblocked = () => reject(new Error('IndexedDB upgrade blocked by another open tab'));
+});
+
+/**
+ * Open a backend that stores structured values in IndexedDB
+ * IndexedDB is not limited to the ~5 MB localStorage quota, so large lists fit
+ * @param {Object} options - Backend options
+ * @param {string} options.dbName - Database name
+ * @returns {Promise<Object>} - Storage backend
+ */
+export const openIndexedDBBackend = async ({ dbName = DB_NAME } = {}) => {
+    const db = await openDatabase(dbName);
+
+    /**
+     * Run one request in its own transaction and wait for the transaction to finish
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - Called with the object store, returns a request
+     * @returns {Promise} - Resolves with the request result
+     */
+    const run = (mode, makeRequest) => new Promise((resolve, reject) => {
+        const transaction = db.transaction(STORE_NAME, mode);
+        const request = makeRequest(transaction.objectStore(STORE_NAME));
+        let result;
+
+        promisifyRequest(request).then(value => {
+            result = value;
+        }, reject);
+        transaction.oncomplete = () => resolve(result);
+        transaction.onerror = () => reject(transaction.error);
+        transaction.onabort = () => reject(transaction.error || new Error('IndexedDB transaction aborted'));
+    });
+
+    return {
+        name: 'indexedDB',
+
+        async get(key) {
+            const value = await run('readonly', store => store.get(key));
+            return value === undefined ? null : value;
+        },
+
+        async set(key, value) {
+            await run('readwrite', store => store.put(value, key));
+        },
+
+        async remove(key) {
+            await run('readwrite', store => store.delete(key));
+        },
+
+        async keys() {
+            return run('readonly', store => store.getAllKeys());
+        },
+
+        close() {
+            db.close();
+        }
+    };
+};
@@ -0,0 +1,112 @@
+/**
+ * Dates Module - Calendar date helpers for TaskFlow Lite
+ * Due dates are stored as local 'YYYY-MM-DD' strings so they do not shift with time zones
+ */
+
+const DATE_KEY_PATTERN = /^(\d{4})-(\d{2})-(\d{2})$/;
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+/**
+ * Format a Date as a local 'YYYY-MM-DD' key
+ * @param {Date} date - Date to format
+ * @returns {string} - Date key
+ */
+export const toDateKey = (date) => {
+    const year = date.getFullYear();
+    const month = String(date.getMonth() + 1).padStart(2, '0');
+    const day = String(date.getDate()).padStart(2, '0');
+    return `${year}-${month}-${day}`;
+};
+
+/**
+ * Parse a 'YYYY-MM-DD' key into a local Date at midnight
+ * @param {string} dateKey - Date key to parse
+ * @returns {Date|null} - Parsed date or null if the key is not a real calendar date
+ */
+export const parseDateKey = (dateKey) => {
+    if (typeof dateKey !== 'string') return null;
+
+    const match = DATE_KEY_PATTERN.exec(dateKey);
+    if (!match) return null;
+
+    const [, year, month, day] = match.map(Number);
+    const date = new Date(year, month - 1, day);
+
+    // Reject dates that rolled over, such as 2024-02-31
+    if (date.getFullYear() !== year || date.getMonth() !== month - 1 || date.getDate() !== day) {
+        return null;
+    }
+
+    return date;
+};
+
+/**
+ * Get local midnight for a date
+ * @param {Date} date - Reference date
+ * @returns {Date} - Start of that day
+ */
+export const startOfDay = (date) => new Date(date.getFullYear(), date.getMonth(), date.getDate());
+
+/**
+ * Whole calendar days from today until a date key (negative when in the past)
+ * @param {string} dateKey - Date key
+ * @param {Date} now - Reference date
+ * @returns {number|null} - Day difference or null for invalid keys
+ */
+export const daysUntil = (dateKey, now = new Date()) => {
+    const date = parseDateKey(dateKey);
+    if (!date) return null;
+
+    // Round to absorb daylight saving transitions
+    return Math.round((date - startOfDay(now)) / MS_PER_DAY);
+};
+
+/**
+ * Check whether a due date is in the past
+ * @param {string} dateKey - Date key
+ * @param {Date} now - Reference date
+ * @returns {boolean} - Whether the date is before today
+ */
+export const isOverdue = (dateKey, now = new Date()) => {
+    const days = daysUntil(dateKey, now);
+    return days !== null && days < 0;
+};
+
+/**
+ * Check whether a due date is today
+ * @param {string} dateKey - Date key
+ * @param {Date} now - Reference date
+ * @returns {boolean} - Whether the date is today
+ */
+export const isDueToday = (dateKey, now = new Date()) => daysUntil(dateKey, now) === 0;
+
+/**
+ * Check whether a due date falls in the current Monday-to-Sunday week
+ * @param {string} dateKey - Date key
+ * @param {Date} now - Reference date
+ * @returns {boolean} - Whether the date is in this week
+ */
+export const isDueThisWeek = (dateKey, now = new Date()) => {
+    const days = daysUntil(dateKey, now);
+    if (days === null) return false;
+
+    const daysSinceMonday = (now.getDay() + 6) % 7;
+    return days >= -daysSinceMonday && days <= 6 - daysSinceMonday;
+};
+
+/**
+ * Describe a due date relative to today
+ * @param {string} dateKey - Date key
+ * @param {Date} now - Reference date
+ * @returns {string} - Text such as 'due tomorrow' or '3 days overdue', empty for invalid keys
+ */
+export const formatRelativeDueDate = (dateKey, now = new Date()) => {
+    const days = daysUntil(dateKey, now);
+    if (days === null) return '';
+
+    if (days === 0) return 'due today';
+    if (days === 1) return 'due tomorrow';
+    if (days === -1) return '1 day overdue';
+    if (days < 0) return `${-days} days overdue`;
+    return `due in ${days} days`;
+};
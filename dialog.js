@@ -0,0 +1,151 @@
+/**
+ * Dialog Module - Accessible modal dialogs for TaskFlow Lite
+ * A dialog keeps Tab focus inside itself, closes on Escape or a click outside, and hands focus back
+ * to whatever had it before; the answer comes back as a Promise rather than through callbacks
+ */
+
+// Elements inside a dialog that Tab can reach
+const FOCUSABLE_SELECTOR = [
+    'button:not([disabled])',
+    'a[href]',
+    'input:not([disabled])',
+    'select:not([disabled])',
+    'textarea:not([disabled])',
+    '[tabindex]:not([tabindex="-1"])'
+].join(', ');
+
+let dialogCount = 0;
+// Closes the dialog that is open, if any; only one is shown at a time
+let closeOpenDialog = null;
+
+/**
+ * Show a modal dialog with a confirming and a cancelling button
+ * Opening a dialog while another is open cancels the first one
+ * @param {Object} options - Dialog options
+ * @param {string} options.title - Heading, also the dialog's accessible name
+ * @param {string} options.message - Body text
+ * @param {string} options.confirmLabel - Label of the confirming button
+ * @param {string} options.cancelLabel - Label of the cancelling button
+ * @param {boolean} options.destructive - Style the confirming button as dangerous and focus the cancelling one first
+ * @returns {Promise<boolean>} - Resolves true when confirmed, false when cancelled or dismissed
+ */
+export const showDialog = ({
+    title = 'Confirm',
+    message = '',
+    confirmLabel = 'OK',
+    cancelLabel = 'Cancel',
+    destructive = false
+} = {}) => {
+    if (closeOpenDialog) {
+        closeOpenDialog(false);
+    }
+
+    return new Promise(resolve => {
+        const id = `dialog-${++dialogCount}`;
+        const previouslyFocused = document.activeElement;
+
+        const backdrop = document.createElement('div');
+        backdrop.className = 'modal';
+
+        const dialog = document.createElement('div');
+        dialog.className = destructive ? 'modal-content destructive' : 'modal-content';
+        dialog.setAttribute('role', 'dialog');
+        dialog.setAttribute('aria-modal', 'true');
+        dialog.setAttribute('aria-labelledby', `${id}-title`);
+        dialog.setAttribute('aria-describedby', `${id}-message`);
+        dialog.tabIndex = -1;
+        dialog.innerHTML = `
+            <h2 class="modal-title" id="${id}-title"></h2>
+            <p class="modal-message" id="${id}-message"></p>
+            <div class="modal-actions">
+                <button type="button" class="btn btn-secondary modal-cancel"></button>
+                <button type="button" class="btn ${destructive ? 'btn-danger' : 'btn-primary'} modal-confirm"></button>
+            </div>
+        `;
+
+        // Text is set rather than interpolated, so task names can never inject markup
+        dialog.querySelector('.modal-title').textContent = title;
+        dialog.querySelector('.modal-message').textContent = message;
+        const cancelButton = dialog.querySelector('.modal-cancel');
+        const confirmButton = dialog.querySelector('.modal-confirm');
+        cancelButton.textContent = cancelLabel;
+        confirmButton.textContent = confirmLabel;
+
+        // Destructive actions start on Cancel, so a stray Enter does not confirm them
+        const initialFocus = destructive ? cancelButton : confirmButton;
+
+        const handleKeydown = (event) => {
+            // Page shortcuts such as Ctrl+Z must not act behind the dialog
+            event.stopPropagation();
+
+            if (event.key === 'Escape') {
+                event.preventDefault();
+                close(false);
+                return;
+            }
+            if (event.key !== 'Tab') return;
+
+            const focusable = Array.from(dialog.querySelectorAll(FOCUSABLE_SELECTOR));
+            const first = focusable[0];
+            const last = focusable[focusable.length - 1];
+
+            if (event.shiftKey && (document.activeElement === first || document.activeElement === dialog)) {
+                event.preventDefault();
+                last.focus();
+            } else if (!event.shiftKey && document.activeElement === last) {
+                event.preventDefault();
+                first.focus();
+            }
+        };
+
+        // Focus that lands outside (a screen reader jump, a script) is pulled back in
+        const handleFocusIn = (event) => {
+            if (!dialog.contains(event.target)) {
+                initialFocus.focus();
+            }
+        };
+
+        const handleBackdropClick = (event) => {
+            if (event.target === backdrop) {
+                close(false);
+            }
+        };
+
+        /**
+         * Remove the dialog, give focus back and settle the Promise
+         * @param {boolean} confirmed - The answer
+         */
+        const close = (confirmed) => {
+            closeOpenDialog = null;
+            backdrop.removeEventListener('keydown', handleKeydown);
+            backdrop.removeEventListener('click', handleBackdropClick);
+            document.removeEventListener('focusin', handleFocusIn);
+            backdrop.remove();
+
+            if (previouslyFocused && previouslyFocused.isConnected && typeof previouslyFocused.focus === 'function') {
+                previouslyFocused.focus();
+            }
+            resolve(confirmed);
+        };
+
+        confirmButton.addEventListener('click', () => close(true));
+        cancelButton.addEventListener('click', () => close(false));
+        backdrop.addEventListener('keydown', handleKeydown);
+        backdrop.addEventListener('click', handleBackdropClick);
+
+        backdrop.appendChild(dialog);
+        document.body.appendChild(backdrop);
+        document.addEventListener('focusin', handleFocusIn);
+        closeOpenDialog = close;
+
+        initialFocus.focus();
+    });
+};
+
+/**
+ * Ask the user to confirm an action
+ * @param {string} message - Question to ask
+ * @param {Object} options - Dialog options other than the message (see showDialog)
+ * @returns {Promise<boolean>} - Whether the user confirmed
+ */
+export const confirmAction = (message, options = {}) => showDialog({ ...options, message });
@@ -0,0 +1,210 @@
+/**
+ * History Module - Undo/redo support for TaskFlow Lite
+ * Records task mutations as serializable, reversible commands
+ */
+
+const DEFAULT_HISTORY_LIMIT = 50;
+
+/**
+ * Insert a task at an index, clamped to the array bounds
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} task - Task to insert
+ * @param {number} index - Preferred position
+ * @returns {Array} - New task array
+ */
+const insertAt = (tasks, task, index) => {
+    const next = tasks.filter(t => t.id !== task.id);
+    const position = Math.max(0, Math.min(index, next.length));
+    next.splice(position, 0, task);
+    return next;
+};
+
+/**
+ * Move a task to a new index
+ * @param {Array} tasks - Array of task objects
+ * @param {number} taskId - ID of the task to move
+ * @param {number} index - Target position once the task is taken out
+ * @returns {Array} - New task array
+ */
+const moveTo = (tasks, taskId, index) => {
+    const task = tasks.find(t => t.id === taskId);
+    return task ? insertAt(tasks, task, index) : tasks;
+};
+
+/**
+ * Replace a task by ID
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} task - Replacement task
+ * @returns {Array} - New task array
+ */
+const replaceTask = (tasks, task) => tasks.map(t => (t.id === task.id ? task : t));
+
+/**
+ * Apply a single change to a task array
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} change - Change descriptor ('insert', 'delete', 'update', 'move')
+ * @returns {Array} - New task array
+ */
+const applyChange = (tasks, change) => {
+    switch (change.type) {
+        case 'move':
+            return moveTo(tasks, change.taskId, change.toIndex);
+        case 'insert':
+            return insertAt(tasks, change.task, change.index);
+        case 'delete':
+            return tasks.filter(t => t.id !== change.task.id);
+        case 'update':
+            return replaceTask(tasks, change.after);
+        default:
+            console.warn('Unknown history change type:', change.type);
+            return tasks;
+    }
+};
+
+/**
+ * Reverse a single change on a task array
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} change - Change descriptor ('insert', 'delete', 'update', 'move')
+ * @returns {Array} - New task array
+ */
+const revertChange = (tasks, change) => {
+    switch (change.type) {
+        case 'move':
+            return moveTo(tasks, change.taskId, change.fromIndex);
+        case 'insert':
+            return tasks.filter(t => t.id !== change.task.id);
+        case 'delete':
+            return insertAt(tasks, change.task, change.index);
+        case 'update':
+            return replaceTask(tasks, change.before);
+        default:
+            console.warn('Unknown history change type:', change.type);
+            return tasks;
+    }
+};
+
+/**
+ * Apply a command to a task array
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} command - Command with a label and a list of changes
+ * @returns {Array} - New task array
+ */
+export const applyCommand = (tasks, command) => {
+    return command.changes.reduce(applyChange, tasks);
+};
+
+/**
+ * Revert a command on a task array
+ * Changes are undone in reverse order so recorded indexes stay valid
+ * @param {Array} tasks - Array of task objects
+ * @param {Object} command - Command with a label and a list of changes
+ * @returns {Array} - New task array
+ */
+export const revertCommand = (tasks, command) => {
+    return [...command.changes].reverse().reduce(revertChange, tasks);
+};
+
+/**
+ * Build delete changes for every task matching a predicate
+ * Each index is where the task sits once the earlier deletes have run,
+ * so reverting the changes in reverse order restores the original order
+ * @param {Array} tasks - Array of task objects
+ * @param {Function} predicate - Returns true for tasks to delete
+ * @returns {Array} - Delete change descriptors
+ */
+export const createDeleteChanges = (tasks, predicate) => {
+    const changes = [];
+    tasks.forEach((task, index) => {
+        if (predicate(task)) {
+            changes.push({ type: 'delete', task, index: index - changes.length });
+        }
+    });
+    return changes;
+};
+
+/**
+ * Check that a stored command has the expected shape
+ * @param {Object} command - Command to check
+ * @returns {boolean} - Whether the command can be replayed
+ */
+const isValidCommand = (command) => {
+    return command &&
+           typeof command === 'object' &&
+           typeof command.label === 'string' &&
+           Array.isArray(command.changes);
+};
+
+/**
+ * Create a bounded undo/redo history
+ * @param {Object} options - History options
+ * @param {number} options.limit - Maximum number of undo steps kept
+ * @param {Array} options.undoStack - Previously stored undo commands
+ * @param {Array} options.redoStack - Previously stored redo commands
+ * @returns {Object} - History API
+ */
+export const createHistory = ({ limit = DEFAULT_HISTORY_LIMIT, undoStack = [], redoStack = [] } = {}) => {
+    let past = undoStack.filter(isValidCommand).slice(-limit);
+    let future = redoStack.filter(isValidCommand).slice(-limit);
+
+    return {
+        /**
+         * Record a new command; clears the redo stack
+         * @param {Object} command - Command that was just applied
+         */
+        record(command) {
+            past.push(command);
+            if (past.length > limit) {
+                past = past.slice(-limit);
+            }
+            future = [];
+        },
+
+        /**
+         * Take the latest command off the undo stack
+         * @returns {Object|null} - Command to revert
+         */
+        undo() {
+            const command = past.pop();
+            if (!command) return null;
+            future.push(command);
+            return command;
+        },
+
+        /**
+         * Take the latest undone command off the redo stack
+         * @returns {Object|null} - Command to re-apply
+         */
+        redo() {
+            const command = future.pop();
+            if (!command) return null;
+            past.push(command);
+            return command;
+        },
+
+        canUndo: () => past.length > 0,
+        canRedo: () => future.length > 0,
+
+        clear() {
+            past = [];
+            future = [];
+        },
+
+        /**
+         * Drop recorded commands that can no longer be replayed
+         * @param {Function} predicate - Returns true for commands to remove
+         */
+        discard(predicate) {
+            past = past.filter(command => !predicate(command));
+            future = future.filter(command => !predicate(command));
+        },
+
+        /**
+         * Serializable snapshot for persistence
+         * @returns {Object} - Undo and redo stacks
+         */
+        toJSON: () => ({
+            undoStack: past,
+            redoStack: future
+        })
+    };
+};
@@ -0,0 +1,234 @@
+/**
+ * Merge Module - Reconcile imported tasks with the tasks already in a list
+ * Tasks are matched by ID first, then by normalized text; conflicts follow a chosen strategy
+ */
+
+import { getDuplicateKey } from './validation.js';
+import { withoutTrashed } from './trash.js';
+
+export const MERGE_STRATEGIES = {
+    'keep-newest': 'Keep the most recently updated',
+    'keep-local': 'Keep the task already in the list',
+    'keep-imported': 'Keep the imported task',
+    'keep-both': 'Keep both'
+};
+
+export const DEFAULT_MERGE_STRATEGY = 'keep-newest';
+
+// Fields compared to decide whether two matched tasks actually differ
+const COMPARED_FIELDS = ['text', 'completed', 'dueDate', 'priority', 'tags', 'subtasks', 'recurrence'];
+
+/**
+ * Check whether two tasks hold the same content
+ * @param {Object} a - First task
+ * @param {Object} b - Second task
+ * @returns {boolean} - Whether every compared field is equal
+ */
+const isSameContent = (a, b) => {
+    return COMPARED_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+};
+
+/**
+ * Get when a task last changed
+ * @param {Object} task - Task object
+ * @returns {number} - Milliseconds since epoch, 0 when unknown
+ */
+const getLastModified = (task) => {
+    const time = Date.parse(task.updatedAt || task.createdAt);
+    return Number.isNaN(time) ? 0 : time;
+};
+
+/**
+ * Create an ID that is not in use yet
+ * @param {Set} usedIds - IDs already taken (updated with the new ID)
+ * @returns {number} - New task ID
+ */
+const createUniqueId = (usedIds) => {
+    let id = Date.now() + Math.random();
+    while (usedIds.has(id)) {
+        id = Date.now() + Math.random();
+    }
+    usedIds.add(id);
+    return id;
+};
+
+/**
+ * Work out what merging imported tasks into a list would do, without changing anything
+ * @param {Array} localTasks - Tasks currently in the list
+ * @param {Array} importedTasks - Validated imported tasks
+ * @param {string} strategy - Key of MERGE_STRATEGIES used for conflicts
+ * @returns {Object} - { added, updated: [{ before, after }], skipped: [{ task, reason }], conflicts }
+ */
+export const planMerge = (localTasks, importedTasks, strategy = DEFAULT_MERGE_STRATEGY) => {
+    const plan = { added: [], updated: [], skipped: [], conflicts: 0 };
+    const usedIds = new Set(localTasks.map(task => task.id));
+    // Trashed tasks keep their IDs but are not matched, so importing a deleted task brings it back as new
+    const liveTasks = withoutTrashed(localTasks);
+    const matchedIds = new Set();
+    const seenKeys = new Set();
+
+    // Built once so each imported task is matched without scanning the list
+    const liveById = new Map();
+    const liveByKey = new Map();
+    liveTasks.forEach(task => {
+        if (!liveById.has(task.id)) {
+            liveById.set(task.id, task);
+        }
+        const key = getDuplicateKey(task.text);
+        if (!liveByKey.has(key)) {
+            liveByKey.set(key, []);
+        }
+        liveByKey.get(key).push(task);
+    });
+
+    /**
+     * Find the first task in list order with the same text that has not been matched yet
+     * @param {string} key - Duplicate key of the imported text
+     * @returns {Object|undefined} - Local task
+     */
+    const findByText = (key) => {
+        const candidates = liveByKey.get(key);
+        if (!candidates) return undefined;
+        while (candidates.length > 0 && matchedIds.has(candidates[0].id)) {
+            candidates.shift();
+        }
+        return candidates[0];
+    };
+
+    importedTasks.forEach(imported => {
+        // The same task twice in one file only counts once
+        const key = getDuplicateKey(imported.text);
+        if (seenKeys.has(key)) {
+            plan.skipped.push({ task: imported, reason: 'duplicate in file' });
+            return;
+        }
+        seenKeys.add(key);
+
+        const byId = liveById.get(imported.id);
+        const local = byId && !matchedIds.has(byId.id) ? byId : findByText(key);
+
+        if (!local) {
+            const id = usedIds.has(imported.id) ? createUniqueId(usedIds) : imported.id;
+            usedIds.add(id);
+            plan.added.push({ ...imported, id });
+            return;
+        }
+
+        matchedIds.add(local.id);
+
+        if (isSameContent(local, imported)) {
+            plan.skipped.push({ task: local, reason: 'unchanged' });
+            return;
+        }
+
+        plan.conflicts++;
+        const importedIsNewer = getLastModified(imported) > getLastModified(local);
+
+        if (strategy === 'keep-both') {
+            plan.added.push({ ...imported, id: createUniqueId(usedIds) });
+        } else if (strategy === 'keep-imported' || (strategy === 'keep-newest' && importedIsNewer)) {
+            // The local ID stays so undo history and references keep working
+            plan.updated.push({ before: local, after: { ...imported, id: local.id } });
+        } else {
+            plan.skipped.push({ task: local, reason: 'kept local' });
+        }
+    });
+
+    return plan;
+};
+
+/**
+ * Describe replacing a list's tasks with imported ones in the same shape as planMerge
+ * @param {Array} localTasks - Tasks currently in the list
+ * @param {Array} importedTasks - Validated imported tasks
+ * @returns {Object} - { added, updated, skipped, conflicts, removed }
+ */
+export const planReplace = (localTasks, importedTasks) => ({
+    added: importedTasks,
+    updated: [],
+    skipped: [],
+    conflicts: 0,
+    removed: localTasks.length
+});
+
+/**
+ * Summarize a plan for display
+ * @param {Object} plan - Result of planMerge or planReplace
+ * @returns {string} - Text such as '3 added, 1 updated, 2 skipped'
+ */
+export const describeMergePlan = (plan) => {
+    const parts = [
+        `${plan.added.length} added`,
+        `${plan.updated.length} updated`,
+        `${plan.skipped.length} skipped`
+    ];
+    if (plan.removed) {
+        parts.unshift(`${plan.removed} removed`);
+    }
+    return parts.join(', ');
+};
+
+// Fields that tell whether a tab changed a task since the tabs last agreed
+const SYNCED_FIELDS = [...COMPARED_FIELDS, 'updatedAt', 'completedAt', 'deletedAt', 'seriesId', 'completedOccurrences'];
+
+/**
+ * Check whether two versions of a task are the same; a missing task only equals another missing one
+ * @param {Object|undefined} a - First version
+ * @param {Object|undefined} b - Second version
+ * @returns {boolean} - Whether both versions match
+ */
+const isSameVersion = (a, b) => {
+    if (!a || !b) return !a && !b;
+    return SYNCED_FIELDS.every(field => JSON.stringify(a[field] ?? null) === JSON.stringify(b[field] ?? null));
+};
+
+/**
+ * Combine this tab's tasks with the tasks another tab saved since both last agreed
+ * Each task is merged on its own: a side that did not touch a task takes the other side's version.
+ * When both sides changed the same task, the most recently updated version wins
+ * and an edit wins over a delete.
+ * @param {Array} base - Tasks as this tab last loaded or saved them
+ * @param {Array} local - This tab's current tasks
+ * @param {Array} remote - Tasks now in storage
+ * @returns {Object} - { tasks, conflicts: [{ local, remote, kept }] }
+ */
+export const mergeConcurrentTasks = (base, local, remote) => {
+    const baseById = new Map(base.map(task => [task.id, task]));
+    const localById = new Map(local.map(task => [task.id, task]));
+    const remoteById = new Map(remote.map(task => [task.id, task]));
+    const conflicts = [];
+
+    const resolve = (id) => {
+        const baseTask = baseById.get(id);
+        const localTask = localById.get(id);
+        const remoteTask = remoteById.get(id);
+
+        if (isSameVersion(baseTask, localTask)) return remoteTask;
+        if (isSameVersion(baseTask, remoteTask) || isSameVersion(localTask, remoteTask)) return localTask;
+
+        let kept;
+        if (!localTask || !remoteTask) {
+            kept = localTask || remoteTask;
+        } else {
+            kept = getLastModified(localTask) > getLastModified(remoteTask) ? localTask : remoteTask;
+        }
+        conflicts.push({ local: localTask || null, remote: remoteTask || null, kept });
+        return kept;
+    };
+
+    // Keep this tab's order unless the other tab reordered or added tasks
+    const idsOf = tasks => tasks.map(task => task.id).join(',');
+    const [primary, secondary] = idsOf(remote) === idsOf(base) ? [local, remote] : [remote, local];
+    const primaryIds = new Set(primary.map(task => task.id));
+
+    const tasks = primary.map(task => resolve(task.id)).filter(Boolean);
+    secondary.forEach((task, index) => {
+        if (primaryIds.has(task.id)) return;
+        const kept = resolve(task.id);
+        if (kept) {
+            tasks.splice(Math.min(index, tasks.length), 0, kept);
+        }
+    });
+
+    return { tasks, conflicts };
+};
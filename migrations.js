@@ -0,0 +1,184 @@
+/**
+ * Migrations Module - Versioned upgrades of stored and imported task payloads
+ * Each migration upgrades a payload by one version; they are chained until the current version
+ */
+
+// Version written by saveTasks and exportTasks
+export const TASKS_SCHEMA_VERSION = '1.1';
+
+// Payloads without a version field are bare task arrays from before versioning
+const UNVERSIONED = '0';
+
+/**
+ * Compare two dotted version strings
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} - Negative, zero or positive like a sort comparator
+ */
+export const compareVersions = (a, b) => {
+    const partsA = String(a).split('.').map(Number);
+    const partsB = String(b).split('.').map(Number);
+    const length = Math.max(partsA.length, partsB.length);
+
+    for (let i = 0; i < length; i++) {
+        const difference = (partsA[i] || 0) - (partsB[i] || 0);
+        if (difference !== 0) return difference;
+    }
+    return 0;
+};
+
+/**
+ * Fill in a field when it is missing and remember that the task changed
+ * @param {Object} task - Task being upgraded (mutated)
+ * @param {string} field - Field name
+ * @param {*} value - Default value
+ * @returns {boolean} - Whether the field was added
+ */
+const fillDefault = (task, field, value) => {
+    if (task[field] !== undefined) return false;
+    task[field] = value;
+    return true;
+};
+
+/**
+ * Registered migrations, oldest first
+ * migrate(payload) returns { payload, changes } where changes describe what was done
+ */
+const MIGRATIONS = [
+    {
+        from: UNVERSIONED,
+        to: '1.0',
+        description: 'Wrap a bare task array in a versioned payload',
+        migrate: (payload) => ({
+            payload: { version: '1.0', timestamp: Date.now(), tasks: payload },
+            changes: [`Wrapped ${payload.length} task(s) in a versioned payload`]
+        })
+    },
+    {
+        from: '1.0',
+        to: '1.1',
+        description: 'Coerce IDs and completion flags, add due date, priority, tags, checklist and repeat fields',
+        migrate: (payload) => {
+            let coercedIds = 0;
+            let coercedFlags = 0;
+            let filledTasks = 0;
+
+            const tasks = payload.tasks.map(original => {
+                if (!original || typeof original !== 'object') return original;
+                const task = { ...original };
+
+                // IDs that went through a form or another tool may have become strings
+                if (typeof task.id === 'string' && task.id.trim() !== '' && !Number.isNaN(Number(task.id))) {
+                    task.id = Number(task.id);
+                    coercedIds++;
+                }
+
+                if (typeof task.completed !== 'boolean') {
+                    task.completed = task.completed === true || task.completed === 'true' || task.completed === 1;
+                    coercedFlags++;
+                }
+
+                const filled = [
+                    fillDefault(task, 'dueDate', null),
+                    fillDefault(task, 'priority', 'normal'),
+                    fillDefault(task, 'tags', []),
+                    fillDefault(task, 'subtasks', []),
+                    fillDefault(task, 'recurrence', null)
+                ].some(Boolean);
+                if (filled) filledTasks++;
+
+                return task;
+            });
+
+            const changes = [];
+            if (coercedIds > 0) changes.push(`Converted ${coercedIds} text ID(s) to numbers`);
+            if (coercedFlags > 0) changes.push(`Converted ${coercedFlags} completion flag(s) to true/false`);
+            if (filledTasks > 0) changes.push(`Added missing fields with defaults to ${filledTasks} task(s)`);
+
+            return {
+                payload: { ...payload, version: '1.1', tasks },
+                changes
+            };
+        }
+    }
+];
+
+/**
+ * Work out which version a payload was written with
+ * @param {*} payload - Parsed payload
+ * @returns {string|null} - Version, or null when the payload is not recognised
+ */
+const detectVersion = (payload) => {
+    if (Array.isArray(payload)) return UNVERSIONED;
+    if (!payload || typeof payload !== 'object' || !Array.isArray(payload.tasks)) return null;
+
+    // Versioning started at 1.0; saved payloads always carried it
+    return typeof payload.version === 'string' ? payload.version : '1.0';
+};
+
+/**
+ * Upgrade a task payload to the current schema version, one step at a time
+ * The input is never mutated, so callers can keep it as a backup
+ * @param {*} payload - Parsed payload from storage or an import file
+ * @returns {Object} - { payload, report } where report lists the steps and their changes
+ */
+export const migrateTaskPayload = (payload) => {
+    const fromVersion = detectVersion(payload);
+    const report = {
+        fromVersion,
+        toVersion: fromVersion,
+        migrated: false,
+        steps: [],
+        error: null
+    };
+
+    if (fromVersion === null) {
+        report.error = 'Unrecognised task data format';
+        return { payload, report };
+    }
+
+    if (compareVersions(fromVersion, TASKS_SCHEMA_VERSION) > 0) {
+        report.error = `Task data is from a newer version (${fromVersion}) of TaskFlow Lite`;
+        return { payload, report };
+    }
+
+    let current = payload;
+    let version = fromVersion;
+
+    while (compareVersions(version, TASKS_SCHEMA_VERSION) < 0) {
+        const migration = MIGRATIONS.find(step => step.from === version);
+        if (!migration) {
+            report.error = `No migration from version ${version}`;
+            return { payload, report };
+        }
+
+        const result = migration.migrate(current);
+        current = result.payload;
+        version = migration.to;
+        report.steps.push({
+            from: migration.from,
+            to: migration.to,
+            description: migration.description,
+            changes: result.changes
+        });
+    }
+
+    report.toVersion = version;
+    report.migrated = report.steps.length > 0;
+
+    return { payload: current, report };
+};
+
+/**
+ * Summarize a migration report in one line for logs and messages
+ * @param {Object} report - Report from migrateTaskPayload
+ * @returns {string} - Summary text
+ */
+export const describeMigration = (report) => {
+    if (report.error) return report.error;
+    if (!report.migrated) return `Task data is up to date (version ${report.toVersion})`;
+
+    const changes = report.steps.flatMap(step => step.changes);
+    const details = changes.length > 0 ? `: ${changes.join('; ')}` : '';
+    return `Upgraded task data from version ${report.fromVersion} to ${report.toVersion}${details}`;
+};
@@ -0,0 +1,209 @@
+/**
+ * TaskFlow Lite - Mock Sync Server
+ * In-memory implementation of the sync protocol in modules/remote.js, for development without a real backend
+ *
+ * Usage: node mock-server.mjs [--port 8787] [--delay 0] [--fail-rate 0]
+ *   --delay      Milliseconds to wait before every response (simulates a slow network)
+ *   --fail-rate  Share of requests (0-1) answered with 503 (exercises retries)
+ *
+ * Tests import createMockServer() instead and listen on a port of their own
+ */
+
+import { createServer } from 'node:http';
+import { pathToFileURL } from 'node:url';
+
+/**
+ * Read a numeric command line option
+ * @param {string} name - Option name without dashes
+ * @param {number} fallback - Default value
+ * @returns {number} - Option value
+ */
+const readOption = (name, fallback) => {
+    const index = process.argv.indexOf(`--${name}`);
+    const value = index === -1 ? NaN : Number(process.argv[index + 1]);
+    return Number.isNaN(value) ? fallback : value;
+};
+
+let revision = 0;
+
+// Unique per server run, so ETags from before a restart never match
+const RUN_ID = Date.now().toString(36);
+const createETag = () => `"${RUN_ID}-${++revision}"`;
+
+const CORS_HEADERS = {
+    'Access-Control-Allow-Origin': '*',
+    'Access-Control-Allow-Methods': 'GET, PUT, DELETE, OPTIONS',
+    'Access-Control-Allow-Headers': 'Content-Type, If-Match, If-None-Match',
+    'Access-Control-Expose-Headers': 'ETag'
+};
+
+/**
+ * Send a JSON response
+ * @param {ServerResponse} res - Response
+ * @param {number} status - HTTP status
+ * @param {*} body - JSON body, or undefined for none
+ * @param {Object} headers - Extra headers
+ */
+const send = (res, status, body, headers = {}) => {
+    res.writeHead(status, {
+        ...CORS_HEADERS,
+        ...(body !== undefined && { 'Content-Type': 'application/json' }),
+        ...headers
+    });
+    res.end(body === undefined ? undefined : JSON.stringify(body));
+};
+
+/**
+ * Read and parse a JSON request body
+ * @param {IncomingMessage} req - Request
+ * @returns {Promise<*>} - Parsed body
+ */
+const readJSON = (req) => new Promise((resolve, reject) => {
+    let data = '';
+    req.setEncoding('utf8');
+    req.on('data', chunk => {
+        data += chunk;
+    });
+    req.on('end', () => {
+        try {
+            resolve(JSON.parse(data));
+        } catch (error) {
+            reject(error);
+        }
+    });
+    req.on('error', reject);
+});
+
+/**
+ * Answer a GET for a list's tasks
+ * @param {Map} lists - listId -> { name, tasks, etag }
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @param {string} listId - List ID
+ */
+const handleGetTasks = (lists, req, res, listId) => {
+    const list = lists.get(listId);
+    if (!list) {
+        send(res, 404, { error: 'Unknown list' });
+        return;
+    }
+
+    if (req.headers['if-none-match'] === list.etag) {
+        send(res, 304, undefined, { ETag: list.etag });
+        return;
+    }
+    send(res, 200, { name: list.name, tasks: list.tasks }, { ETag: list.etag });
+};
+
+/**
+ * Answer a PUT of a list's tasks, which must carry If-Match or If-None-Match: *
+ * @param {Map} lists - listId -> { name, tasks, etag }
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ * @param {string} listId - List ID
+ */
+const handlePutTasks = async (lists, req, res, listId) => {
+    const list = lists.get(listId);
+    const ifMatch = req.headers['if-match'];
+    const ifNoneMatch = req.headers['if-none-match'];
+
+    if (!ifMatch && ifNoneMatch !== '*') {
+        send(res, 428, { error: 'PUT needs If-Match, or If-None-Match: * to create a list' });
+        return;
+    }
+
+    const isCurrent = list ? ifMatch === list.etag : ifNoneMatch === '*';
+    if (!isCurrent) {
+        // The client is behind: hand it the current version to merge with
+        send(res, 412, list ? { name: list.name, tasks: list.tasks } : { name: null, tasks: null },
+            list ? { ETag: list.etag } : {});
+        return;
+    }
+
+    let body;
+    try {
+        body = await readJSON(req);
+    } catch (error) {
+        send(res, 400, { error: 'Body must be JSON' });
+        return;
+    }
+    if (!body || !Array.isArray(body.tasks)) {
+        send(res, 400, { error: 'Body needs a tasks array' });
+        return;
+    }
+
+    const etag = createETag();
+    lists.set(listId, {
+        name: typeof body.name === 'string' ? body.name : (list && list.name) || listId,
+        tasks: body.tasks,
+        etag
+    });
+    console.log(`PUT ${listId}: ${body.tasks.length} task(s), ${etag}`);
+    send(res, 200, { etag }, { ETag: etag });
+};
+
+/**
+ * Route a request to its handler
+ * @param {Map} lists - listId -> { name, tasks, etag }
+ * @param {number} failRate - Share of requests (0-1) answered with 503
+ * @param {IncomingMessage} req - Request
+ * @param {ServerResponse} res - Response
+ */
+const handleRequest = async (lists, failRate, req, res) => {
+    const url = new URL(req.url, `http://${req.headers.host || 'localhost'}`);
+    const match = /^\/lists\/([^/]+)\/tasks\/?$/.exec(url.pathname);
+    const listMatch = /^\/lists\/([^/]+)\/?$/.exec(url.pathname);
+
+    if (req.method === 'OPTIONS') {
+        send(res, 204);
+        return;
+    }
+    if (failRate > 0 && Math.random() < failRate) {
+        send(res, 503, { error: 'Simulated failure' });
+        return;
+    }
+
+    if (req.method === 'GET' && url.pathname.replace(/\/$/, '') === '/lists') {
+        send(res, 200, [...lists].map(([id, list]) => ({ id, name: list.name, etag: list.etag })));
+    } else if (match && req.method === 'GET') {
+        handleGetTasks(lists, req, res, decodeURIComponent(match[1]));
+    } else if (match && req.method === 'PUT') {
+        await handlePutTasks(lists, req, res, decodeURIComponent(match[1]));
+    } else if (listMatch && req.method === 'DELETE') {
+        const listId = decodeURIComponent(listMatch[1]);
+        console.log(`DELETE ${listId}`);
+        send(res, lists.delete(listId) ? 204 : 404);
+    } else {
+        send(res, 404, { error: 'Not found' });
+    }
+};
+
+/**
+ * Create a mock sync server with lists of its own; call listen() on it to start serving
+ * @param {Object} options - Server options
+ * @param {number} options.delay - Milliseconds to wait before every response
+ * @param {number} options.failRate - Share of requests (0-1) answered with 503
+ * @returns {Server} - Node HTTP server, not yet listening
+ */
+export const createMockServer = ({ delay = 0, failRate = 0 } = {}) => {
+    // listId -> { name, tasks, etag }
+    const lists = new Map();
+
+    return createServer((req, res) => {
+        setTimeout(() => {
+            handleRequest(lists, failRate, req, res).catch(error => {
+                console.error('Error handling request:', error);
+                send(res, 500, { error: 'Internal error' });
+            });
+        }, delay);
+    });
+};
+
+// Only serve when run as a script, not when imported
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const port = readOption('port', 8787);
+
+    createMockServer({ delay: readOption('delay', 0), failRate: readOption('fail-rate', 0) }).listen(port, () => {
+        console.log(`TaskFlow mock sync server listening on http://localhost:${port}`);
+    });
+}
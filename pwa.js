@@ -0,0 +1,81 @@
+/**
+ * PWA Module - Service worker registration and update handling for TaskFlow Lite
+ * The service worker (sw.js) keeps the app working offline; new versions wait until the user reloads
+ */
+
+/**
+ * Check whether the browser supports service workers
+ * Service workers also need a secure context (https or localhost)
+ * @returns {boolean} - Availability status
+ */
+export const isServiceWorkerSupported = () => {
+    return typeof navigator !== 'undefined' && 'serviceWorker' in navigator && window.isSecureContext !== false;
+};
+
+/**
+ * Call onUpdateAvailable once a new service worker has installed and is waiting
+ * @param {ServiceWorkerRegistration} registration - Service worker registration
+ * @param {Function} onUpdateAvailable - Called with the waiting worker
+ */
+const watchForUpdates = (registration, onUpdateAvailable) => {
+    // Only a worker that replaces an existing one is an update; the first install is not
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        onUpdateAvailable(registration.waiting);
+    }
+
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                onUpdateAvailable(worker);
+            }
+        });
+    });
+};
+
+/**
+ * Register the service worker and report new versions
+ * @param {Object} options - Registration options
+ * @param {string} options.scriptUrl - Service worker URL, relative to the page
+ * @param {Function} options.onUpdateAvailable - Called with the waiting worker when a new version is ready
+ * @returns {Promise<ServiceWorkerRegistration|null>} - Registration, or null when unsupported or failed
+ */
+export const registerServiceWorker = async ({ scriptUrl = 'sw.js', onUpdateAvailable = () => {} } = {}) => {
+    if (!isServiceWorkerSupported()) {
+        return null;
+    }
+
+    try {
+        const registration = await navigator.serviceWorker.register(scriptUrl);
+        watchForUpdates(registration, onUpdateAvailable);
+
+        // Reload once a new worker takes over so every tab runs the same version.
+        // The first worker taking control of the page is not an update.
+        let hadController = Boolean(navigator.serviceWorker.controller);
+        let reloading = false;
+        navigator.serviceWorker.addEventListener('controllerchange', () => {
+            if (!hadController) {
+                hadController = true;
+                return;
+            }
+            if (reloading) return;
+            reloading = true;
+            window.location.reload();
+        });
+
+        return registration;
+    } catch (error) {
+        console.error('Service worker registration failed:', error);
+        return null;
+    }
+};
+
+/**
+ * Ask a waiting service worker to take over; the page reloads when it does
+ * @param {ServiceWorker} worker - Waiting worker passed to onUpdateAvailable
+ */
+export const applyUpdate = (worker) => {
+    worker.postMessage({ type: 'SKIP_WAITING' });
+};
@@ -0,0 +1,138 @@
+/**
+ * Recurrence Module - Repeat rules for TaskFlow Lite
+ * A rule is { frequency, interval, weekdays?, dayOfMonth? } and yields the next due date key
+ */
+
+import { toDateKey, parseDateKey, startOfDay } from './dates.js';
+
+const WEEKDAY_NAMES = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const WORKING_DAYS = [1, 2, 3, 4, 5];
+const MS_PER_DAY = 24 * 60 * 60 * 1000;
+
+// Safety net for rolling a long-overdue series forward to today
+const MAX_ROLL_FORWARD = 1000;
+
+/**
+ * Add calendar days to a date
+ * @param {Date} date - Start date
+ * @param {number} days - Days to add
+ * @returns {Date} - New date at local midnight
+ */
+const addDays = (date, days) => new Date(date.getFullYear(), date.getMonth(), date.getDate() + days);
+
+/**
+ * Clamp a day of month to the length of a month (31 becomes 30 or 28/29)
+ * @param {number} year - Full year
+ * @param {number} month - Month index (0-11), may overflow into later years
+ * @param {number} day - Preferred day of month
+ * @returns {Date} - Date in that month
+ */
+const dayInMonth = (year, month, day) => {
+    const lastDay = new Date(year, month + 1, 0).getDate();
+    return new Date(year, month, Math.min(day, lastDay));
+};
+
+/**
+ * Build a rule from the form's repeat presets
+ * @param {string} preset - '', 'daily', 'weekdays', 'weekly' or 'monthly'
+ * @param {number} interval - Repeat every N days, weeks or months
+ * @param {string|null} dueDate - Due date key the weekday or day of month is taken from
+ * @param {Date} now - Reference date used when there is no due date
+ * @returns {Object|null} - Recurrence rule or null when the task does not repeat
+ */
+export const createRecurrenceRule = (preset, interval = 1, dueDate = null, now = new Date()) => {
+    const anchor = parseDateKey(dueDate) || startOfDay(now);
+    const every = Number(interval) || 1;
+
+    switch (preset) {
+        case 'daily':
+            return { frequency: 'daily', interval: every };
+        case 'weekdays':
+            return { frequency: 'weekly', interval: every, weekdays: [...WORKING_DAYS] };
+        case 'weekly':
+            return { frequency: 'weekly', interval: every, weekdays: [anchor.getDay()] };
+        case 'monthly':
+            return { frequency: 'monthly', interval: every, dayOfMonth: anchor.getDate() };
+        default:
+            return null;
+    }
+};
+
+/**
+ * Find the first matching date strictly after a date
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} date - Date of the current occurrence
+ * @returns {Date} - Date of the following occurrence
+ */
+const getFollowingDate = (rule, date) => {
+    const interval = rule.interval || 1;
+
+    if (rule.frequency === 'weekly') {
+        // Weeks are counted from the Monday of the current occurrence
+        const monday = addDays(date, -((date.getDay() + 6) % 7));
+        for (let offset = 1; offset <= 7 * (interval + 1); offset++) {
+            const candidate = addDays(date, offset);
+            const week = Math.floor(Math.round((candidate - monday) / MS_PER_DAY) / 7);
+            if (week % interval === 0 && rule.weekdays.includes(candidate.getDay())) {
+                return candidate;
+            }
+        }
+        return addDays(date, 7 * interval);
+    }
+
+    if (rule.frequency === 'monthly') {
+        const sameMonth = dayInMonth(date.getFullYear(), date.getMonth(), rule.dayOfMonth);
+        if (sameMonth > date) {
+            return sameMonth;
+        }
+        return dayInMonth(date.getFullYear(), date.getMonth() + interval, rule.dayOfMonth);
+    }
+
+    return addDays(date, interval);
+};
+
+/**
+ * Compute the due date of the next occurrence
+ * Counts from the current due date (or today) and skips occurrences already in the past
+ * @param {Object} rule - Recurrence rule
+ * @param {string|null} dueDate - Due date key of the occurrence just completed
+ * @param {Date} now - Reference date
+ * @returns {string} - Date key of the next occurrence
+ */
+export const getNextDueDate = (rule, dueDate = null, now = new Date()) => {
+    const today = startOfDay(now);
+    let next = getFollowingDate(rule, parseDateKey(dueDate) || today);
+
+    for (let i = 0; next < today && i < MAX_ROLL_FORWARD; i++) {
+        next = getFollowingDate(rule, next);
+    }
+
+    return toDateKey(next);
+};
+
+/**
+ * Describe a rule for display, e.g. 'Every 2 weeks on Mon, Thu'
+ * @param {Object} rule - Recurrence rule
+ * @returns {string} - Human-readable description, empty for a missing rule
+ */
+export const describeRecurrence = (rule) => {
+    if (!rule) return '';
+
+    const interval = rule.interval || 1;
+
+    if (rule.frequency === 'weekly') {
+        const workingDays = rule.weekdays.join(',') === WORKING_DAYS.join(',');
+        if (workingDays && interval === 1) return 'Every weekday';
+
+        const days = workingDays ? 'weekdays' : rule.weekdays.map(day => WEEKDAY_NAMES[day]).join(', ');
+        return interval === 1 ? `Weekly on ${days}` : `Every ${interval} weeks on ${days}`;
+    }
+
+    if (rule.frequency === 'monthly') {
+        return interval === 1
+            ? `Monthly on day ${rule.dayOfMonth}`
+            : `Every ${interval} months on day ${rule.dayOfMonth}`;
+    }
+
+    return interval === 1 ? 'Daily' : `Every ${interval} days`;
+};
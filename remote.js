@@ -0,0 +1,400 @@
+/**
+ * Remote Module - Share task lists through a REST sync server
+ * Changes are queued locally, pushed with ETag preconditions and retried with backoff while offline
+ *
+ * Protocol (JSON):
+ *   GET /lists                 -> 200 [{ id, name, etag }]
+ *   GET /lists/:id/tasks       -> 200 { name, tasks } with ETag, 304 when If-None-Match matches, 404 when unknown
+ *   PUT /lists/:id/tasks       -> 200 with the new ETag, 412 with the current { name, tasks } and ETag
+ *                                 when If-Match (or If-None-Match: * for a new list) does not hold
+ *   DELETE /lists/:id          -> 204, or 404 when already gone
+ */
+
+import { mergeConcurrentTasks } from './merge.js';
+
+export const SYNC_STATUS = {
+    disabled: 'Sync off',
+    synced: 'Synced',
+    syncing: 'Syncing…',
+    offline: 'Offline',
+    error: 'Sync error'
+};
+
+const MIN_RETRY_DELAY = 1000;
+const MAX_RETRY_DELAY = 60000;
+const POLL_INTERVAL = 30000;
+const FLUSH_DELAY = 500;
+
+/**
+ * Wait before the next attempt, doubling each time up to a minute
+ * @param {number} attempt - Number of failed attempts so far
+ * @returns {number} - Delay in milliseconds
+ */
+export const getRetryDelay = (attempt) => Math.min(MIN_RETRY_DELAY * 2 ** attempt, MAX_RETRY_DELAY);
+
+/**
+ * Create an empty sync state
+ * queue holds list IDs with changes not yet pushed, deleted holds list IDs to delete on the server,
+ * and lists holds each list's ETag and last synced tasks
+ * @returns {Object} - { queue, deleted, lists }
+ */
+export const createSyncState = () => ({ queue: [], deleted: [], lists: {} });
+
+/**
+ * Create an adapter that talks to a sync server over fetch
+ * @param {Object} options - Adapter options
+ * @param {string} options.baseUrl - Server URL, e.g. 'http://localhost:8787'
+ * @param {Function} options.fetchImpl - fetch implementation (defaults to the global fetch)
+ * @returns {Object} - { listLists(), pull(listId, etag), push(listId, payload, etag), remove(listId) }
+ */
+export const createRestAdapter = ({ baseUrl, fetchImpl = (...args) => fetch(...args) }) => {
+    const root = String(baseUrl).replace(/\/+$/, '');
+    const tasksPath = (listId) => `${root}/lists/${encodeURIComponent(listId)}/tasks`;
+
+    /**
+     * Turn an unexpected response into an error the sync engine retries
+     * @param {Response} response - Server response
+     */
+    const fail = (response) => {
+        const error = new Error(`Sync server answered ${response.status}`);
+        error.status = response.status;
+        throw error;
+    };
+
+    return {
+        async listLists() {
+            const response = await fetchImpl(`${root}/lists`, { headers: { Accept: 'application/json' } });
+            if (!response.ok) fail(response);
+            return response.json();
+        },
+
+        async pull(listId, etag) {
+            const headers = { Accept: 'application/json' };
+            if (etag) {
+                headers['If-None-Match'] = etag;
+            }
+
+            const response = await fetchImpl(tasksPath(listId), { headers });
+            if (response.status === 304) return { status: 'unchanged', etag };
+            if (response.status === 404) return { status: 'missing', etag: null };
+            if (!response.ok) fail(response);
+
+            const body = await response.json();
+            return { status: 'ok', name: body.name, tasks: body.tasks, etag: response.headers.get('ETag') };
+        },
+
+        async push(listId, payload, etag) {
+            const response = await fetchImpl(tasksPath(listId), {
+                method: 'PUT',
+                headers: {
+                    Accept: 'application/json',
+                    'Content-Type': 'application/json',
+                    // Without an ETag the list is new here, so it must be new on the server too
+                    ...(etag ? { 'If-Match': etag } : { 'If-None-Match': '*' })
+                },
+                body: JSON.stringify(payload)
+            });
+
+            if (response.status === 412) {
+                const body = await response.json();
+                return { status: 'conflict', name: body.name, tasks: body.tasks, etag: response.headers.get('ETag') };
+            }
+            if (!response.ok) fail(response);
+
+            return { status: 'ok', etag: response.headers.get('ETag') };
+        },
+
+        async remove(listId) {
+            const response = await fetchImpl(`${root}/lists/${encodeURIComponent(listId)}`, { method: 'DELETE' });
+            if (!response.ok && response.status !== 404) fail(response);
+        }
+    };
+};
+
+/**
+ * Check whether two task arrays hold the same task objects in the same order
+ * @param {Array} a - First array
+ * @param {Array} b - Second array
+ * @returns {boolean} - Whether they match
+ */
+const isSameTaskArray = (a, b) => a.length === b.length && a.every((task, index) => task === b[index]);
+
+/**
+ * Create the sync engine that keeps local lists and the server in step
+ * @param {Object} options - Engine options
+ * @param {Object} options.adapter - Adapter from createRestAdapter
+ * @param {Function} options.loadState - Resolves with the saved sync state
+ * @param {Function} options.saveState - Persists the sync state
+ * @param {Function} options.getListIds - Returns the IDs of local lists
+ * @param {Function} options.getListName - Returns a list's name
+ * @param {Function} options.getTasks - Resolves with a list's current tasks
+ * @param {Function} options.setTasks - Stores tasks merged from the server: (listId, tasks, conflicts)
+ * @param {Function} options.onRemoteList - Called with { id, name } for a server list not known locally
+ * @param {Function} options.onRemoteDelete - Called with the ID of a list deleted on the server since it was last synced;
+ *   resolves false to keep the list here, which is then uploaded again
+ * @param {Function} options.onStatusChange - Called with { status, label, pending, detail }
+ * @param {number} options.pollInterval - Milliseconds between pulls
+ * @returns {Object} - { start(), stop(), queueChange(listId), queueDelete(listId), syncNow(), getStatus() }
+ */
+export const createRemoteSync = ({
+    adapter,
+    loadState,
+    saveState,
+    getListIds,
+    getListName,
+    getTasks,
+    setTasks,
+    onRemoteList = () => {},
+    onRemoteDelete = () => true,
+    onStatusChange = () => {},
+    pollInterval = POLL_INTERVAL
+}) => {
+    let state = createSyncState();
+    let status = 'disabled';
+    let started = false;
+    let attempt = 0;
+    let running = null;
+    // Run requested while another was in progress: null for none, otherwise whether it pulls
+    let nextRun = null;
+    let retryTimer = null;
+    let flushTimer = null;
+    let pollTimer = null;
+
+    const setStatus = (next, detail = '') => {
+        status = next;
+        onStatusChange({ status: next, label: SYNC_STATUS[next], pending: state.queue.length, detail });
+    };
+
+    const getListState = (listId) => state.lists[listId] || { etag: null, baseTasks: [] };
+
+    const enqueue = (listId) => {
+        if (!state.queue.includes(listId)) {
+            state.queue.push(listId);
+        }
+    };
+
+    /**
+     * Merge server tasks into a list and remember them as the new common base
+     * @param {string} listId - List ID
+     * @param {Object} result - Pull or conflict result with tasks and etag
+     */
+    const mergeRemote = async (listId, result) => {
+        const local = await getTasks(listId);
+        const { tasks, conflicts } = mergeConcurrentTasks(getListState(listId).baseTasks, local, result.tasks);
+
+        if (conflicts.length > 0 || !isSameTaskArray(tasks, local)) {
+            await setTasks(listId, tasks, conflicts);
+        }
+        state.lists[listId] = { etag: result.etag, baseTasks: result.tasks };
+
+        // Local changes survived the merge, so the server needs the combined result
+        if (!isSameTaskArray(tasks, result.tasks)) {
+            enqueue(listId);
+        }
+    };
+
+    /**
+     * Upload a list the server does not have as a new list
+     * @param {string} listId - List ID
+     */
+    const queueUpload = (listId) => {
+        state.lists[listId] = { etag: null, baseTasks: [] };
+        enqueue(listId);
+    };
+
+    /**
+     * Drop a list that was synced before and has since been deleted on the server, unless the app keeps it
+     * @param {string} listId - List ID
+     */
+    const removeDeleted = async (listId) => {
+        state.queue = state.queue.filter(id => id !== listId);
+        delete state.lists[listId];
+
+        if (await onRemoteDelete(listId) === false) {
+            queueUpload(listId);
+        }
+    };
+
+    const pullList = async (listId) => {
+        const { etag } = getListState(listId);
+        const result = await adapter.pull(listId, etag);
+
+        if (result.status === 'missing' && etag) {
+            // It was on the server when this device last synced, so another device deleted it
+            await removeDeleted(listId);
+        } else if (result.status === 'missing') {
+            // Never uploaded: send the local copy
+            queueUpload(listId);
+        } else if (result.status === 'ok') {
+            await mergeRemote(listId, result);
+        }
+    };
+
+    const pushList = async (listId) => {
+        // Taken off the queue first; a change made during the request queues the list again
+        state.queue = state.queue.filter(id => id !== listId);
+        const tasks = await getTasks(listId);
+
+        try {
+            const result = await adapter.push(listId, { name: getListName(listId), tasks }, getListState(listId).etag);
+
+            if (result.status === 'ok') {
+                state.lists[listId] = { etag: result.etag, baseTasks: tasks };
+            } else if (Array.isArray(result.tasks)) {
+                await mergeRemote(listId, result);
+            } else {
+                // The list this device had synced is gone from the server, so another device deleted it
+                await removeDeleted(listId);
+            }
+        } catch (error) {
+            enqueue(listId);
+            throw error;
+        }
+    };
+
+    const pullAll = async () => {
+        const localIds = getListIds();
+        const remoteLists = await adapter.listLists();
+
+        remoteLists
+            .filter(list => !localIds.includes(list.id) && !state.deleted.includes(list.id))
+            .forEach(list => onRemoteList({ id: list.id, name: list.name }));
+
+        const remoteIds = remoteLists.map(list => list.id);
+        for (const listId of getListIds()) {
+            if (getListState(listId).etag && !remoteIds.includes(listId)) {
+                await removeDeleted(listId);
+            } else {
+                await pullList(listId);
+            }
+        }
+    };
+
+    /**
+     * Push queued changes, pulling first when asked; failures are retried with backoff
+     * @param {boolean} withPull - Whether to pull server changes first
+     * @returns {Promise} - Resolves when this run (and any run requested meanwhile) is done
+     */
+    const run = async (withPull) => {
+        if (!started) return;
+        if (running) {
+            nextRun = nextRun === true || withPull;
+            return running;
+        }
+
+        clearTimeout(retryTimer);
+        setStatus('syncing');
+
+        running = (async () => {
+            try {
+                while (state.deleted.length > 0) {
+                    await adapter.remove(state.deleted[0]);
+                    state.deleted = state.deleted.slice(1);
+                }
+                if (withPull) {
+                    await pullAll();
+                }
+                // A list that keeps conflicting is retried on the next run
+                const rounds = state.queue.length + 1;
+                for (let round = 0; round < rounds && state.queue.length > 0; round++) {
+                    await pushList(state.queue[0]);
+                }
+
+                attempt = 0;
+                setStatus(state.queue.length > 0 ? 'syncing' : 'synced');
+            } catch (error) {
+                const offline = (typeof navigator !== 'undefined' && navigator.onLine === false) || error instanceof TypeError;
+                console.warn('Sync failed, retrying:', error);
+                setStatus(offline ? 'offline' : 'error', error.message);
+
+                retryTimer = setTimeout(() => run(true), getRetryDelay(attempt));
+                attempt++;
+            } finally {
+                // After stop() the state may belong to a server the user left
+                if (started) {
+                    await saveState(state);
+                }
+            }
+        })();
+
+        await running;
+        running = null;
+
+        if (nextRun !== null && started) {
+            const pull = nextRun;
+            nextRun = null;
+            return run(pull);
+        }
+        if (started && status === 'syncing' && state.queue.length > 0) {
+            flushTimer = setTimeout(() => run(false), FLUSH_DELAY);
+        }
+        return undefined;
+    };
+
+    const handleOnline = () => run(true);
+
+    return {
+        async start() {
+            if (started) return;
+
+            state = { ...createSyncState(), ...(await loadState()) };
+            started = true;
+            window.addEventListener('online', handleOnline);
+            pollTimer = setInterval(() => run(true), pollInterval);
+            await run(true);
+        },
+
+        stop() {
+            started = false;
+            clearTimeout(retryTimer);
+            clearTimeout(flushTimer);
+            clearInterval(pollTimer);
+            window.removeEventListener('online', handleOnline);
+            setStatus('disabled');
+        },
+
+        /**
+         * Record that a list changed locally; the push follows shortly so bursts of edits are sent once
+         * @param {string} listId - Changed list
+         */
+        queueChange(listId) {
+            if (!started) return;
+
+            enqueue(listId);
+            saveState(state);
+            onStatusChange({ status, label: SYNC_STATUS[status], pending: state.queue.length, detail: '' });
+
+            // While retrying after a failure, the retry timer sends the change
+            if (status === 'offline' || status === 'error') return;
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(() => run(false), FLUSH_DELAY);
+        },
+
+        /**
+         * Record that a list was deleted locally so it is deleted on the server too
+         * @param {string} listId - Deleted list
+         */
+        queueDelete(listId) {
+            if (!started) return;
+
+            state.queue = state.queue.filter(id => id !== listId);
+            delete state.lists[listId];
+            if (!state.deleted.includes(listId)) {
+                state.deleted.push(listId);
+            }
+            saveState(state);
+
+            if (status === 'offline' || status === 'error') return;
+            clearTimeout(flushTimer);
+            flushTimer = setTimeout(() => run(false), FLUSH_DELAY);
+        },
+
+        syncNow() {
+            return run(true);
+        },
+
+        getStatus() {
+            return { status, label: SYNC_STATUS[status], pending: state.queue.length };
+        }
+    };
+};
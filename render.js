@@ -3,6 +3,23 @@
  * Handles dynamic rendering of task lists and UI updates
  */
 
+import {
+    formatRelativeDueDate,
+    parseDateKey,
+    toDateKey,
+    isOverdue,
+    isDueToday,
+    isDueThisWeek
+} from './dates.js';
+import { PRIORITY_LEVELS, DEFAULT_PRIORITY } from './validation.js';
+import { describeRecurrence } from './recurrence.js';
+import { isTrashed, withoutTrashed, describeRetention } from './trash.js';
+import { groupByCompletionWeek, describeWeek, getCompletionDate } from './archive.js';
+import { createVirtualList, shouldVirtualize } from './virtual-list.js';
+
+// Sort modes accepted by sortTasks; 'manual' keeps the stored (user-arranged) order
+export const SORT_MODES = ['manual', 'created', 'priority', 'due-date', 'alphabetical'];
+
 /**
  * Escape HTML to prevent XSS attacks
  * @param {string} str - String to escape
@@ -14,32 +31,159 @@ export const escapeHTML = (str) => {
     return div.innerHTML;
 };
 
+/**
+ * Normalize text for searching: lowercase with accents removed
+ * @param {string} str - Text to normalize
+ * @returns {string} - Normalized text
+ */
+export const normalizeSearchText = (str) => {
+    return String(str)
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase();
+};
+
+/**
+ * Split a search query into normalized terms
+ * @param {string} query - Raw search query
+ * @returns {Array} - Non-empty normalized terms
+ */
+const getSearchTerms = (query) => {
+    return normalizeSearchText(query || '').split(/\s+/).filter(Boolean);
+};
+
+/**
+ * Check whether a task matches every term of a search query
+ * Matches against the task text and its tags
+ * @param {Object} task - Task object
+ * @param {string} query - Raw search query
+ * @returns {boolean} - Whether the task matches
+ */
+export const matchesSearch = (task, query) => {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return true;
+    
+    const haystack = normalizeSearchText([task.text, ...(task.tags || [])].join(' '));
+    return terms.every(term => haystack.includes(term));
+};
+
+/**
+ * Escape text and wrap search matches in <mark> elements
+ * Every piece of user text still goes through escapeHTML, so only the <mark> tags are markup
+ * @param {string} text - Raw task text
+ * @param {string} query - Raw search query
+ * @returns {string} - Safe HTML
+ */
+export const highlightMatches = (text, query) => {
+    const terms = getSearchTerms(query);
+    if (terms.length === 0) return escapeHTML(text);
+    
+    // Normalize character by character, remembering where each normalized character came from
+    let normalized = '';
+    const sourceIndex = [];
+    Array.from(text).reduce((offset, char) => {
+        const normalizedChar = normalizeSearchText(char);
+        for (let i = 0; i < normalizedChar.length; i++) {
+            sourceIndex.push(offset);
+        }
+        normalized += normalizedChar;
+        return offset + char.length;
+    }, 0);
+    
+    // Collect matched ranges in the original text
+    const ranges = [];
+    terms.forEach(term => {
+        let position = normalized.indexOf(term);
+        while (position !== -1) {
+            const start = sourceIndex[position];
+            const lastIndex = sourceIndex[position + term.length - 1];
+            const end = lastIndex + (text.codePointAt(lastIndex) > 0xffff ? 2 : 1);
+            ranges.push([start, end]);
+            position = normalized.indexOf(term, position + term.length);
+        }
+    });
+    
+    if (ranges.length === 0) return escapeHTML(text);
+    
+    // Merge overlapping ranges so marks never nest
+    ranges.sort((a, b) => a[0] - b[0]);
+    const merged = [ranges[0]];
+    ranges.slice(1).forEach(([start, end]) => {
+        const last = merged[merged.length - 1];
+        if (start <= last[1]) {
+            last[1] = Math.max(last[1], end);
+        } else {
+            merged.push([start, end]);
+        }
+    });
+    
+    let html = '';
+    let cursor = 0;
+    merged.forEach(([start, end]) => {
+        html += escapeHTML(text.slice(cursor, start));
+        html += `<mark class="search-match">${escapeHTML(text.slice(start, end))}</mark>`;
+        cursor = end;
+    });
+    html += escapeHTML(text.slice(cursor));
+    
+    return html;
+};
+
 /**
  * Create a task element with all necessary attributes and event handlers
  * @param {Object} task - Task object
+ * @param {Object} options - View options
+ * @param {string} options.query - Search query to highlight in the task text
+ * @param {boolean} options.reorderable - Whether to show a drag handle
+ * @param {Set} options.expandedTaskIds - IDs of tasks whose checklist is open
+ * @param {Set} options.selectedTaskIds - IDs of tasks selected for bulk actions
  * @returns {HTMLElement} - Task list item element
  */
-export const createTaskElement = (task) => {
+export const createTaskElement = (task, options = {}) => {
     const taskElement = document.createElement('li');
-    taskElement.className = `task-item ${task.completed ? 'completed' : ''}`;
+    const overdue = !task.completed && isOverdue(task.dueDate);
+    const selected = Boolean(options.selectedTaskIds && options.selectedTaskIds.has(task.id));
+    taskElement.className = `task-item ${task.completed ? 'completed' : ''} ${overdue ? 'overdue' : ''} ${selected ? 'selected' : ''}`;
     taskElement.dataset.id = task.id;
     taskElement.dataset.completed = task.completed;
     
     // Set ARIA attributes for accessibility
     taskElement.setAttribute('role', 'listitem');
     taskElement.setAttribute('aria-label', `Task: ${escapeHTML(task.text)}`);
+    taskElement.tabIndex = 0;
+    
+    if (isTrashed(task)) {
+        return fillTrashedTaskElement(taskElement, task, options);
+    }
+    
+    const dragHandle = options.reorderable ? `
+            <span class="drag-handle" draggable="true" aria-hidden="true" title="Drag to reorder (or Alt+Arrow keys)">⠿</span>` : '';
     
     taskElement.innerHTML = `
         <div class="task-content">
+            <input 
+                type="checkbox" 
+                class="task-select" 
+                ${selected ? 'checked' : ''}
+                aria-label="Select task"
+                title="Select (Shift-click selects a range)"
+            >${dragHandle}
             <input 
                 type="checkbox" 
                 class="task-checkbox" 
                 ${task.completed ? 'checked' : ''}
                 aria-label="Mark task as ${task.completed ? 'incomplete' : 'complete'}"
             >
-            <span class="task-text">${escapeHTML(task.text)}</span>
+            ${createPriorityMarkup(task)}
+            <span class="task-text">${highlightMatches(task.text, options.query)}</span>
+            ${createDueDateMarkup(task)}
+            ${createRecurrenceMarkup(task)}
+            ${createTagsMarkup(task)}
         </div>
         <div class="task-actions">
+            <button class="action-btn add-subtask-btn" aria-label="Add checklist item" title="Add checklist item">
+                ☑️
+            </button>
             <button class="action-btn edit-btn" aria-label="Edit task" title="Edit task">
                 ✏️
             </button>
@@ -47,77 +191,619 @@ export const createTaskElement = (task) => {
                 🗑️
             </button>
         </div>
+        ${createSubtasksMarkup(task, options.expandedTaskIds && options.expandedTaskIds.has(task.id))}
     `;
     
     return taskElement;
 };
 
 /**
- * Render the complete task list with efficient DOM updates
+ * Fill in a task element for the trash view, which only offers restore and permanent delete
+ * @param {HTMLElement} taskElement - Task list item element
+ * @param {Object} task - Trashed task object
+ * @param {Object} options - View options (see createTaskElement)
+ * @returns {HTMLElement} - Task list item element
+ */
+const fillTrashedTaskElement = (taskElement, task, options) => {
+    const deletedDate = new Date(task.deletedAt);
+    const deletedLabel = Number.isNaN(deletedDate.getTime()) ? '' : deletedDate.toLocaleDateString();
+    
+    taskElement.classList.add('trashed');
+    taskElement.innerHTML = `
+        <div class="task-content">
+            ${createPriorityMarkup(task)}
+            <span class="task-text">${highlightMatches(task.text, options.query)}</span>
+            <span class="task-deleted" title="${escapeHTML(task.deletedAt)}">Deleted ${escapeHTML(deletedLabel)}</span>
+            ${createTagsMarkup(task)}
+        </div>
+        <div class="task-actions">
+            <button class="action-btn restore-btn" aria-label="Restore task" title="Restore task">
+                ↩️
+            </button>
+            <button class="action-btn purge-btn" aria-label="Delete task forever" title="Delete forever">
+                ❌
+            </button>
+        </div>
+    `;
+    
+    return taskElement;
+};
+
+/**
+ * Summarize checklist progress
+ * @param {Object} task - Task object
+ * @returns {Object} - { done, total }
+ */
+export const getSubtaskProgress = (task) => {
+    const subtasks = Array.isArray(task.subtasks) ? task.subtasks : [];
+    return {
+        done: subtasks.filter(subtask => subtask.completed).length,
+        total: subtasks.length
+    };
+};
+
+/**
+ * Build the collapsible checklist for a task
+ * @param {Object} task - Task object
+ * @param {boolean} expanded - Whether the checklist is open
+ * @returns {string} - Checklist markup, empty for a collapsed task without subtasks
+ */
+const createSubtasksMarkup = (task, expanded) => {
+    const { done, total } = getSubtaskProgress(task);
+    if (total === 0 && !expanded) return '';
+    
+    const listId = `subtasks-${String(task.id).replace('.', '-')}`;
+    const items = (task.subtasks || []).map(subtask => `
+                <li class="subtask-item ${subtask.completed ? 'completed' : ''}" data-subtask-id="${subtask.id}">
+                    <input 
+                        type="checkbox" 
+                        class="subtask-checkbox" 
+                        ${subtask.completed ? 'checked' : ''}
+                        aria-label="Mark step as ${subtask.completed ? 'incomplete' : 'complete'}"
+                    >
+                    <span class="subtask-text">${escapeHTML(subtask.text)}</span>
+                    <button class="subtask-delete" aria-label="Remove step" title="Remove step">×</button>
+                </li>`).join('');
+    
+    return `
+        <div class="subtasks">
+            <button 
+                class="subtasks-toggle" 
+                aria-expanded="${expanded}" 
+                aria-controls="${listId}"
+            >
+                <span class="subtasks-caret" aria-hidden="true">${expanded ? '▾' : '▸'}</span>
+                <span class="subtasks-progress">${done}/${total} done</span>
+            </button>
+            <div class="subtasks-body" id="${listId}" ${expanded ? '' : 'hidden'}>
+                <ul class="subtask-list" aria-label="Checklist">${items}
+                </ul>
+                <input 
+                    type="text" 
+                    class="subtask-input" 
+                    placeholder="Add a step and press Enter"
+                    maxlength="200"
+                    aria-label="New checklist item"
+                >
+            </div>
+        </div>`;
+};
+
+/**
+ * Build the due date badge for a task
+ * @param {Object} task - Task object
+ * @returns {string} - Badge markup, empty when the task has no valid due date
+ */
+const createDueDateMarkup = (task) => {
+    const dueDate = parseDateKey(task.dueDate);
+    if (!dueDate) return '';
+    
+    const overdue = !task.completed && isOverdue(task.dueDate);
+    const label = formatRelativeDueDate(task.dueDate);
+    
+    return `
+            <time class="task-due ${overdue ? 'task-due-overdue' : ''}" datetime="${task.dueDate}" title="${escapeHTML(dueDate.toDateString())}">
+                ${escapeHTML(label)}
+            </time>`;
+};
+
+/**
+ * Build the repeat indicator for a recurring task; clicking it offers to stop repeating
+ * @param {Object} task - Task object
+ * @returns {string} - Indicator markup, empty when the task does not repeat
+ */
+const createRecurrenceMarkup = (task) => {
+    if (!task.recurrence) return '';
+    
+    const description = describeRecurrence(task.recurrence);
+    const doneCount = Array.isArray(task.completedOccurrences) ? task.completedOccurrences.length : 0;
+    const history = doneCount > 0 ? ` · ${doneCount} done` : '';
+    
+    return `
+            <button 
+                type="button" 
+                class="recurrence-badge" 
+                aria-label="Repeats ${escapeHTML(description)}${history}. Click to stop repeating"
+                title="Repeats ${escapeHTML(description)}. Click to stop repeating"
+            ><span aria-hidden="true">↻</span> ${escapeHTML(description)}${history}</button>`;
+};
+
+/**
+ * Build the priority badge for a task; clicking it cycles the priority
+ * @param {Object} task - Task object
+ * @returns {string} - Badge markup
+ */
+const createPriorityMarkup = (task) => {
+    const priority = PRIORITY_LEVELS.includes(task.priority) ? task.priority : DEFAULT_PRIORITY;
+    const label = priority.charAt(0).toUpperCase() + priority.slice(1);
+    
+    return `
+            <button 
+                type="button" 
+                class="priority-badge priority-${priority}" 
+                data-priority="${priority}"
+                aria-label="Priority: ${label}. Click to change"
+                title="Change priority"
+            >${label}</button>`;
+};
+
+/**
+ * Build clickable tag chips for a task
+ * @param {Object} task - Task object
+ * @returns {string} - Chip markup, empty when the task has no tags
+ */
+const createTagsMarkup = (task) => {
+    if (!Array.isArray(task.tags) || task.tags.length === 0) return '';
+    
+    const chips = task.tags.map(tag => `
+                <button type="button" class="tag-chip" data-tag="${escapeHTML(tag)}" aria-label="Show tasks tagged ${escapeHTML(tag)}">#${escapeHTML(tag)}</button>`).join('');
+    
+    return `
+            <span class="task-tags">${chips}
+            </span>`;
+};
+
+/**
+ * Replace a task's text with an inline edit input
+ * @param {HTMLElement} taskElement - The task element to edit
+ * @param {string} text - Current task text
+ * @returns {HTMLInputElement|null} - The focused edit input
+ */
+export const showTaskEditor = (taskElement, text) => {
+    const taskText = taskElement ? taskElement.querySelector('.task-text') : null;
+    if (!taskText) return null;
+    
+    const input = document.createElement('input');
+    input.type = 'text';
+    input.className = 'task-edit-input';
+    input.value = text;
+    input.setAttribute('aria-label', 'Edit task description');
+    
+    taskText.replaceWith(input);
+    taskElement.classList.add('editing');
+    // The row no longer matches its task, so the next render rebuilds it even if the edit is cancelled
+    renderedRows.delete(taskElement);
+    
+    input.focus();
+    input.select();
+    
+    return input;
+};
+
+// What each rendered row was built from; tasks are replaced rather than mutated, so an
+// unchanged task object with the same view state means the row is still up to date
+const renderedRows = new WeakMap();
+
+/**
+ * Describe everything a task row's markup depends on
+ * @param {Object} task - Task object
+ * @param {Object} options - View options (see createTaskElement)
+ * @param {string} today - Today's date key, since overdue styling changes at midnight
+ * @returns {Object} - Row state
+ */
+const getRowState = (task, options, today) => ({
+    task,
+    today,
+    query: options.query || '',
+    reorderable: Boolean(options.reorderable),
+    expanded: Boolean(options.expandedTaskIds && options.expandedTaskIds.has(task.id)),
+    selected: Boolean(options.selectedTaskIds && options.selectedTaskIds.has(task.id))
+});
+
+/**
+ * Check whether a rendered row can be kept as it is
+ * @param {Object|undefined} previous - State the row was built from
+ * @param {Object} next - State it should show now
+ * @returns {boolean} - Whether both states match
+ */
+const isSameRowState = (previous, next) => {
+    return Boolean(previous) && Object.keys(next).every(key => previous[key] === next[key]);
+};
+
+/**
+ * Remember which row and control had focus, so it can be restored after rows are replaced or moved
+ * @param {HTMLElement} taskListElement - The task list container
+ * @returns {Object|null} - { taskId, element, selector }, or null when focus is outside the list
+ */
+const captureFocus = (taskListElement) => {
+    const active = document.activeElement;
+    const row = active && active !== taskListElement && taskListElement.contains(active) ? active.closest('.task-item') : null;
+    if (!row) return null;
+    
+    const selector = active === row ? null : Array.from(active.classList, className => `.${className}`).join('');
+    return { taskId: row.dataset.id, element: active, selector: selector || null };
+};
+
+/**
+ * Put focus back on the same control of the same task
+ * @param {HTMLElement} taskListElement - The task list container
+ * @param {Object|null} focus - Result of captureFocus
+ */
+const restoreFocus = (taskListElement, focus) => {
+    if (!focus || document.activeElement === focus.element) return;
+    
+    const row = taskListElement.querySelector(`.task-item[data-id="${focus.taskId}"]`);
+    const target = row && focus.selector ? row.querySelector(focus.selector) : row;
+    if (target) {
+        target.focus({ preventScroll: true });
+    }
+};
+
+/**
+ * Update the list's rows to show the given tasks, keyed by task ID
+ * Unchanged rows are kept (with their focus, scroll position and running animations),
+ * changed rows are rebuilt, and rows are only moved when they are out of order
+ * @param {HTMLElement} taskListElement - The task list container
+ * @param {Array} tasks - Tasks to show, in display order
+ * @param {Object} options - View options (see createTaskElement)
+ * @returns {Object} - { created, updated, moved, removed } row counts
+ */
+export const reconcileTaskList = (taskListElement, tasks, options = {}) => {
+    const stats = { created: 0, updated: 0, moved: 0, removed: 0 };
+    const today = toDateKey(new Date());
+    const focus = captureFocus(taskListElement);
+    const nextIds = new Set(tasks.map(task => String(task.id)));
+    const existingRows = new Map();
+    
+    // Drop rows that are no longer shown first, so they do not make the remaining rows look out of order
+    let child = taskListElement.firstElementChild;
+    while (child) {
+        const nextChild = child.nextElementSibling;
+        const id = child.dataset.id;
+        if (id !== undefined && nextIds.has(id) && !existingRows.has(id)) {
+            existingRows.set(id, child);
+        } else {
+            child.remove();
+            stats.removed++;
+        }
+        child = nextChild;
+    }
+    
+    let previousRow = null;
+    tasks.forEach(task => {
+        const state = getRowState(task, options, today);
+        let row = existingRows.get(String(task.id));
+        
+        if (!row) {
+            row = createTaskElement(task, options);
+            stats.created++;
+        } else if (!isSameRowState(renderedRows.get(row), state)) {
+            const replacement = createTaskElement(task, options);
+            row.replaceWith(replacement);
+            row = replacement;
+            stats.updated++;
+        }
+        renderedRows.set(row, state);
+        
+        const expectedPosition = previousRow ? previousRow.nextSibling : taskListElement.firstChild;
+        if (row !== expectedPosition) {
+            if (row.parentNode === taskListElement) {
+                stats.moved++;
+            }
+            taskListElement.insertBefore(row, expectedPosition);
+        }
+        previousRow = row;
+    });
+    
+    restoreFocus(taskListElement, focus);
+    return stats;
+};
+
+// Windowing state for task lists long enough to need it: { virtualList, options, focusedTaskId }
+const windowedLists = new WeakMap();
+
+/**
+ * Get the ID of the task whose row (or a control in it) has focus
+ * While a long list is windowed, focus falls back to the list itself when the focused row scrolls
+ * out of the window; the task it was on is still reported
+ * @param {HTMLElement} taskListElement - The task list container
+ * @returns {number|null} - Task ID, or null when no task has focus
+ */
+export const getFocusedTaskId = (taskListElement) => {
+    const active = document.activeElement;
+    if (!taskListElement || !active || !taskListElement.contains(active)) return null;
+    
+    const row = active.closest('.task-item');
+    if (row) return Number(row.dataset.id);
+    
+    const windowed = windowedLists.get(taskListElement);
+    return active === taskListElement && windowed ? windowed.focusedTaskId : null;
+};
+
+/**
+ * Focus a task's row, scrolling it into view (and into the DOM when the list is windowed)
+ * @param {HTMLElement} taskListElement - The task list container
+ * @param {number} taskId - Task ID
+ * @returns {boolean} - Whether the row was found
+ */
+export const focusTaskRow = (taskListElement, taskId) => {
+    const windowed = windowedLists.get(taskListElement);
+    if (windowed) {
+        windowed.virtualList.scrollToItem(taskId);
+    }
+    
+    const row = taskListElement.querySelector(`.task-item[data-id="${taskId}"]`);
+    if (!row) return false;
+    
+    row.focus(windowed ? { preventScroll: true } : undefined);
+    return true;
+};
+
+/**
+ * Mount one window of a long task list
+ * Rows outside the window are not in the DOM, so each row is labelled with its place in the whole list
+ * @param {HTMLElement} taskListElement - The task list container
+ * @param {Object} windowed - Windowing state (see windowedLists)
+ * @param {Array} tasks - Tasks in the window
+ * @param {number} startIndex - Index of the first of them in the whole list
+ * @param {number} total - Length of the whole list
+ * @returns {Object} - Row counts (see reconcileTaskList)
+ */
+const renderTaskWindow = (taskListElement, windowed, tasks, startIndex, total) => {
+    const focusedTaskId = getFocusedTaskId(taskListElement);
+    if (focusedTaskId !== null) {
+        windowed.focusedTaskId = focusedTaskId;
+    }
+    
+    const stats = reconcileTaskList(taskListElement, tasks, windowed.options);
+    
+    let position = startIndex;
+    for (let row = taskListElement.firstElementChild; row; row = row.nextElementSibling) {
+        position++;
+        row.setAttribute('aria-posinset', position);
+        row.setAttribute('aria-setsize', total);
+    }
+    
+    // The focused row scrolled out of the window: hold focus on the list so arrow keys carry on from it
+    if (focusedTaskId !== null && !taskListElement.contains(document.activeElement)) {
+        taskListElement.focus({ preventScroll: true });
+    }
+    
+    return stats;
+};
+
+/**
+ * Render a long task list through a virtual list, setting one up on first use
+ * @param {HTMLElement} taskListElement - The task list container
+ * @param {Array} tasks - Tasks to show, in display order
+ * @param {Object} options - View options (see createTaskElement)
+ * @returns {Object} - Row counts for the mounted window (see reconcileTaskList)
+ */
+const renderWindowedTaskList = (taskListElement, tasks, options) => {
+    let windowed = windowedLists.get(taskListElement);
+    if (!windowed) {
+        windowed = { options, focusedTaskId: null };
+        windowed.virtualList = createVirtualList(taskListElement, (windowTasks, startIndex, total) =>
+            renderTaskWindow(taskListElement, windowed, windowTasks, startIndex, total));
+        windowedLists.set(taskListElement, windowed);
+        
+        taskListElement.classList.add('virtualized');
+        // Lets the list hold focus while the focused row is out of the window
+        taskListElement.tabIndex = -1;
+    }
+    
+    windowed.options = options;
+    return windowed.virtualList.setItems(tasks);
+};
+
+/**
+ * Go back to mounting every row once a list is short enough
+ * @param {HTMLElement} taskListElement - The task list container
+ */
+const stopWindowing = (taskListElement) => {
+    const windowed = windowedLists.get(taskListElement);
+    if (!windowed) return;
+    
+    windowed.virtualList.destroy();
+    windowedLists.delete(taskListElement);
+    
+    taskListElement.classList.remove('virtualized');
+    taskListElement.removeAttribute('tabindex');
+    for (let row = taskListElement.firstElementChild; row; row = row.nextElementSibling) {
+        row.removeAttribute('aria-posinset');
+        row.removeAttribute('aria-setsize');
+    }
+};
+
+/**
+ * Render the task list, patching only the rows that changed (see reconcileTaskList)
+ * Lists longer than the virtual list threshold (see virtual-list.js) scroll in their own box and only mount the rows near the view
  * @param {HTMLElement} taskListElement - The task list container
  * @param {Array} tasks - Array of task objects
- * @param {string} filter - Current filter ('all', 'active', 'completed')
+ * @param {string} filter - Current filter (see filterTasks)
+ * @param {Object} options - View options passed through to filterTasks
  */
-export const renderTaskList = (taskListElement, tasks, filter = 'all') => {
+export const renderTaskList = (taskListElement, tasks, filter = 'all', options = {}) => {
     if (!taskListElement) {
         console.error('Task list element not found');
         return;
     }
     
-    // Filter tasks based on current filter
-    const filteredTasks = filterTasks(tasks, filter);
-    
-    // Clear existing content
-    taskListElement.innerHTML = '';
+    // Filter and sort tasks based on current view options
+    const filteredTasks = filterTasks(tasks, filter, options);
+    let stats;
+    if (shouldVirtualize(filteredTasks.length)) {
+        stats = renderWindowedTaskList(taskListElement, filteredTasks, options);
+    } else {
+        stopWindowing(taskListElement);
+        stats = reconcileTaskList(taskListElement, filteredTasks, options);
+    }
     
     // Show empty state if no tasks
     if (filteredTasks.length === 0) {
-        showEmptyState(taskListElement, filter);
+        showEmptyState(taskListElement, filter, options);
         return;
     }
     
-    // Create document fragment for better performance
-    const fragment = document.createDocumentFragment();
+    hideEmptyState(taskListElement);
     
-    // Render each task
-    filteredTasks.forEach(task => {
-        const taskElement = createTaskElement(task);
-        fragment.appendChild(taskElement);
-    });
+    console.log(`Rendered ${filteredTasks.length} tasks (filter: ${filter}): ` +
+        `${stats.created} created, ${stats.updated} updated, ${stats.moved} moved, ${stats.removed} removed`);
+};
+
+/**
+ * Filter tasks based on completion status or due date, then sort them
+ * Trashed tasks only show up under the 'trash' filter; the 'archive' view shows archived tasks instead
+ * @param {Array} tasks - Array of task objects
+ * @param {string} filter - Filter type ('all', 'active', 'completed', 'overdue', 'today', 'this-week', 'trash', 'archive')
+ * @param {Object} options - View options
+ * @param {string} options.sort - Sort mode (see SORT_MODES); omit to keep array order
+ * @param {string} options.tag - Only keep tasks with this tag
+ * @param {string} options.query - Only keep tasks matching this search query
+ * @returns {Array} - Filtered tasks
+ */
+export const filterTasks = (tasks, filter, options = {}) => {
+    let filteredTasks = filterByStatus(tasks, filter);
     
-    // Append all tasks at once
-    taskListElement.appendChild(fragment);
+    if (options.tag) {
+        filteredTasks = filteredTasks.filter(task => Array.isArray(task.tags) && task.tags.includes(options.tag));
+    }
     
-    // Update task count display
-    updateTaskCount(tasks);
+    if (options.query) {
+        filteredTasks = filteredTasks.filter(task => matchesSearch(task, options.query));
+    }
     
-    console.log(`Rendered ${filteredTasks.length} tasks (filter: ${filter})`);
+    return options.sort ? sortTasks(filteredTasks, options.sort) : filteredTasks;
 };
 
 /**
- * Filter tasks based on completion status
+ * Filter tasks by completion status or due date
  * @param {Array} tasks - Array of task objects
- * @param {string} filter - Filter type ('all', 'active', 'completed')
+ * @param {string} filter - Filter type
  * @returns {Array} - Filtered tasks
  */
-export const filterTasks = (tasks, filter) => {
+const filterByStatus = (tasks, filter) => {
+    if (filter === 'trash') {
+        return tasks.filter(isTrashed);
+    }
+    if (filter === 'archive') {
+        return [];
+    }
+    
+    tasks = withoutTrashed(tasks);
     switch (filter) {
         case 'active':
             return tasks.filter(task => !task.completed);
         case 'completed':
             return tasks.filter(task => task.completed);
+        case 'overdue':
+            return tasks.filter(task => !task.completed && isOverdue(task.dueDate));
+        case 'today':
+            return tasks.filter(task => isDueToday(task.dueDate));
+        case 'this-week':
+            return tasks.filter(task => isDueThisWeek(task.dueDate));
         case 'all':
         default:
             return tasks;
     }
 };
 
+/**
+ * Sort tasks without mutating the input array
+ * Ties keep their original relative order
+ * @param {Array} tasks - Array of task objects
+ * @param {string} sortMode - Sort mode ('manual', 'created', 'priority', 'due-date', 'alphabetical')
+ * @returns {Array} - Sorted tasks
+ */
+export const sortTasks = (tasks, sortMode) => {
+    const priorityRank = (task) => {
+        const rank = PRIORITY_LEVELS.indexOf(task.priority);
+        return rank === -1 ? PRIORITY_LEVELS.indexOf(DEFAULT_PRIORITY) : rank;
+    };
+    const createdTime = (task) => Date.parse(task.createdAt) || 0;
+    
+    const comparators = {
+        // Newest first
+        'created': (a, b) => createdTime(b) - createdTime(a),
+        // Most urgent first
+        'priority': (a, b) => priorityRank(b) - priorityRank(a),
+        // Soonest first, undated tasks last
+        'due-date': (a, b) => {
+            if (!a.dueDate || !b.dueDate) {
+                return (a.dueDate ? 0 : 1) - (b.dueDate ? 0 : 1);
+            }
+            return a.dueDate.localeCompare(b.dueDate);
+        },
+        'alphabetical': (a, b) => a.text.localeCompare(b.text, undefined, { sensitivity: 'base' })
+    };
+    
+    const comparator = comparators[sortMode];
+    return comparator ? [...tasks].sort(comparator) : [...tasks];
+};
+
+/**
+ * Count how many tasks use each tag
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array} - [{ tag, count }] sorted by count, then name
+ */
+export const getTagCounts = (tasks) => {
+    const counts = new Map();
+    
+    withoutTrashed(tasks).forEach(task => {
+        (task.tags || []).forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    });
+    
+    return Array.from(counts, ([tag, count]) => ({ tag, count }))
+        .sort((a, b) => b.count - a.count || a.tag.localeCompare(b.tag));
+};
+
+/**
+ * Render the tag filter bar
+ * @param {HTMLElement} tagBarElement - Tag bar container
+ * @param {Array} tasks - Array of task objects
+ * @param {string|null} activeTag - Currently selected tag
+ */
+export const renderTagBar = (tagBarElement, tasks, activeTag = null) => {
+    if (!tagBarElement) return;
+    
+    const tagCounts = getTagCounts(tasks);
+    tagBarElement.innerHTML = '';
+    tagBarElement.hidden = tagCounts.length === 0;
+    
+    tagCounts.forEach(({ tag, count }) => {
+        const button = document.createElement('button');
+        button.type = 'button';
+        button.className = `tag-chip tag-filter ${tag === activeTag ? 'active' : ''}`;
+        button.dataset.tag = tag;
+        button.setAttribute('aria-pressed', String(tag === activeTag));
+        button.textContent = `#${tag}`;
+        
+        const countElement = document.createElement('span');
+        countElement.className = 'tag-count';
+        countElement.textContent = count;
+        button.appendChild(countElement);
+        
+        tagBarElement.appendChild(button);
+    });
+};
+
 /**
  * Show empty state message
  * @param {HTMLElement} taskListElement - The task list container
  * @param {string} filter - Current filter
+ * @param {Object} options - View options (see filterTasks)
  */
-export const showEmptyState = (taskListElement, filter) => {
+export const showEmptyState = (taskListElement, filter, options = {}) => {
     const emptyStateElement = document.getElementById('empty-state');
     
     if (emptyStateElement) {
@@ -137,12 +823,44 @@ export const showEmptyState = (taskListElement, filter) => {
                 title.textContent = 'No completed tasks';
                 description.textContent = 'Complete some tasks to see them here.';
                 break;
+            case 'overdue':
+                icon.textContent = '🎉';
+                title.textContent = 'Nothing overdue';
+                description.textContent = 'You are on top of your deadlines.';
+                break;
+            case 'today':
+                icon.textContent = '📅';
+                title.textContent = 'Nothing due today';
+                description.textContent = 'Tasks with today\'s due date will show up here.';
+                break;
+            case 'this-week':
+                icon.textContent = '📅';
+                title.textContent = 'Nothing due this week';
+                description.textContent = 'Tasks due before Sunday will show up here.';
+                break;
+            case 'trash':
+                icon.textContent = '🗑️';
+                title.textContent = 'Trash is empty';
+                description.textContent = 'Deleted tasks stay here until they are restored or purged.';
+                break;
             default:
                 icon.textContent = '📝';
                 title.textContent = 'No tasks yet';
                 description.textContent = 'Add your first task to get started!';
         }
         
+        if (options.tag) {
+            icon.textContent = '🏷️';
+            title.textContent = `No tasks tagged #${options.tag}`;
+            description.textContent = 'Try another filter or clear the tag.';
+        }
+        
+        if (options.query && options.query.trim()) {
+            icon.textContent = '🔍';
+            title.textContent = `No results for "${options.query.trim()}"`;
+            description.textContent = 'Check the spelling or try a different filter.';
+        }
+        
         emptyStateElement.hidden = false;
     }
     
@@ -160,27 +878,75 @@ export const hideEmptyState = (taskListElement) => {
         emptyStateElement.hidden = true;
     }
     
-    taskListElement.style.display = 'block';
+    taskListElement.style.display = '';
 };
 
 /**
  * Update task count display
- * @param {Array} tasks - Array of task objects
+ * Trashed tasks are left out of the totals and counted on the Trash filter instead
+ * @param {Object} counts - { total, completed, trashed } (see countTasks in store.js)
+ * @param {string} listName - Name of the list the counts belong to (optional)
  */
-export const updateTaskCount = (tasks) => {
+export const updateTaskCount = (counts, listName) => {
     const totalTasksElement = document.getElementById('total-tasks');
     const completedTasksElement = document.getElementById('completed-tasks');
+    const trashCountElement = document.getElementById('trash-count');
+    const listNameElement = document.getElementById('current-list-name');
     
     if (totalTasksElement) {
-        totalTasksElement.textContent = tasks.length;
+        totalTasksElement.textContent = counts.total;
     }
     
     if (completedTasksElement) {
-        const completedCount = tasks.filter(task => task.completed).length;
-        completedTasksElement.textContent = completedCount;
+        completedTasksElement.textContent = counts.completed;
+    }
+    
+    if (trashCountElement) {
+        trashCountElement.textContent = counts.trashed;
+        trashCountElement.hidden = counts.trashed === 0;
+    }
+    
+    if (listNameElement && listName !== undefined) {
+        listNameElement.textContent = listName;
     }
 };
 
+/**
+ * Show the remote sync status next to the task counts
+ * @param {HTMLElement} statusElement - Sync status button
+ * @param {Object} syncStatus - { status, label, pending, detail } from the remote module
+ */
+export const renderSyncStatus = (statusElement, syncStatus) => {
+    if (!statusElement) return;
+    
+    const pending = syncStatus.pending > 0 && syncStatus.status !== 'disabled'
+        ? ` · ${syncStatus.pending} pending`
+        : '';
+    
+    statusElement.dataset.status = syncStatus.status;
+    statusElement.textContent = `${syncStatus.label}${pending}`;
+    statusElement.title = syncStatus.detail || '';
+};
+
+/**
+ * Render the list switcher options with per-list counts
+ * @param {HTMLSelectElement} selectElement - List dropdown
+ * @param {Array} lists - List index entries ({ id, name, taskCount, completedCount })
+ * @param {string} activeListId - Currently selected list
+ */
+export const renderListSwitcher = (selectElement, lists, activeListId) => {
+    if (!selectElement) return;
+    
+    selectElement.innerHTML = '';
+    lists.forEach(list => {
+        const option = document.createElement('option');
+        option.value = list.id;
+        option.textContent = `${list.name} (${list.completedCount || 0}/${list.taskCount || 0})`;
+        option.selected = list.id === activeListId;
+        selectElement.appendChild(option);
+    });
+};
+
 /**
  * Update filter buttons state
  * @param {string} activeFilter - Currently active filter
@@ -201,123 +967,177 @@ export const updateFilterButtons = (activeFilter) => {
 };
 
 /**
- * Add a single task to the list (for performance when adding new tasks)
+ * Sync the selection checkboxes of rendered tasks without re-rendering them, so focus stays put
  * @param {HTMLElement} taskListElement - The task list container
- * @param {Object} task - Task object to add
- * @param {string} filter - Current filter
+ * @param {Set} selectedTaskIds - IDs of selected tasks
  */
-export const addTaskToList = (taskListElement, task, filter = 'all') => {
-    // Hide empty state if it's showing
-    hideEmptyState(taskListElement);
-    
-    // Check if task should be visible with current filter
-    const shouldShow = filter === 'all' || 
-                      (filter === 'active' && !task.completed) ||
-                      (filter === 'completed' && task.completed);
+export const updateTaskSelection = (taskListElement, selectedTaskIds) => {
+    if (!taskListElement) return;
     
-    if (shouldShow) {
-        const taskElement = createTaskElement(task);
-        
-        // Add to beginning of list for new tasks
-        if (taskListElement.firstChild) {
-            taskListElement.insertBefore(taskElement, taskListElement.firstChild);
-        } else {
-            taskListElement.appendChild(taskElement);
+    taskListElement.querySelectorAll('.task-item').forEach(taskElement => {
+        const selected = selectedTaskIds.has(Number(taskElement.dataset.id));
+        const checkbox = taskElement.querySelector('.task-select');
+        taskElement.classList.toggle('selected', selected);
+        if (checkbox) {
+            checkbox.checked = selected;
         }
-    }
+    });
+};
+
+/**
+ * Show the bulk action toolbar while tasks are selected
+ * @param {HTMLElement} toolbarElement - Selection toolbar
+ * @param {Object} selection - { count, lists, activeListId } where lists are the move targets
+ */
+export const renderSelectionToolbar = (toolbarElement, selection) => {
+    if (!toolbarElement) return;
     
-    // Update task count
-    const currentTasks = Array.from(taskListElement.children).map(el => ({
-        id: Number(el.dataset.id),
-        text: el.querySelector('.task-text').textContent,
-        completed: el.dataset.completed === 'true'
-    }));
+    toolbarElement.hidden = selection.count === 0;
+    toolbarElement.querySelector('.selection-count').textContent = `${selection.count} selected`;
     
-    updateTaskCount(currentTasks);
+    const moveSelect = toolbarElement.querySelector('.bulk-move');
+    moveSelect.innerHTML = '<option value="">Move to list…</option>';
+    selection.lists
+        .filter(list => list.id !== selection.activeListId)
+        .forEach(list => {
+            const option = document.createElement('option');
+            option.value = list.id;
+            option.textContent = list.name;
+            moveSelect.appendChild(option);
+        });
+    moveSelect.disabled = moveSelect.options.length === 1;
 };
 
 /**
- * Remove a task from the list
- * @param {HTMLElement} taskListElement - The task list container
- * @param {number} taskId - ID of task to remove
+ * Show the trash controls while the Trash filter is active
+ * @param {HTMLElement} controlsElement - Trash controls container
+ * @param {Object} trash - { visible, count, retentionDays }
  */
-export const removeTaskFromList = (taskListElement, taskId) => {
-    const taskElement = taskListElement.querySelector(`[data-id="${taskId}"]`);
+export const renderTrashControls = (controlsElement, trash) => {
+    if (!controlsElement) return;
     
-    if (taskElement) {
-        // Add removal animation
-        taskElement.style.transition = 'all 0.3s ease';
-        taskElement.style.opacity = '0';
-        taskElement.style.transform = 'translateX(-100%)';
-        
-        setTimeout(() => {
-            taskElement.remove();
-            
-            // Check if list is now empty
-            if (taskListElement.children.length === 0) {
-                showEmptyState(taskListElement, 'all');
-            }
-            
-            // Update task count
-            const currentTasks = Array.from(taskListElement.children).map(el => ({
-                id: Number(el.dataset.id),
-                text: el.querySelector('.task-text').textContent,
-                completed: el.dataset.completed === 'true'
-            }));
-            
-            updateTaskCount(currentTasks);
-        }, 300);
-    }
+    controlsElement.hidden = !trash.visible;
+    controlsElement.querySelector('.trash-retention-note').textContent = describeRetention(trash.retentionDays);
+    controlsElement.querySelector('.trash-retention').value = String(trash.retentionDays);
+    controlsElement.querySelector('.empty-trash-btn').disabled = trash.count === 0;
 };
 
 /**
- * Update a task's completion status in the DOM
- * @param {HTMLElement} taskElement - The task element to update
- * @param {boolean} completed - New completion status
+ * Create the markup for one archived task
+ * @param {Object} task - Archived task
+ * @param {string} query - Search query to highlight
+ * @returns {HTMLElement} - Archive list item element
  */
-export const updateTaskCompletion = (taskElement, completed) => {
-    if (!taskElement) return;
+const createArchiveItem = (task, query) => {
+    const item = document.createElement('li');
+    const completedDate = getCompletionDate(task);
+    item.className = 'archive-item';
+    item.dataset.id = task.id;
+    
+    const completedMarkup = completedDate ? `
+            <time class="archive-completed" datetime="${escapeHTML(completedDate.toISOString())}">Completed ${escapeHTML(completedDate.toLocaleDateString(undefined, { weekday: 'short', month: 'short', day: 'numeric' }))}</time>` : '';
     
-    const checkbox = taskElement.querySelector('.task-checkbox');
-    const taskText = taskElement.querySelector('.task-text');
+    item.innerHTML = `
+            <span class="task-text">${highlightMatches(task.text, query)}</span>
+            ${createTagsMarkup(task)}${completedMarkup}
+            <button type="button" class="action-btn unarchive-btn" aria-label="Restore to active tasks" title="Restore to active tasks">
+                ↩️
+            </button>
+    `;
     
-    if (checkbox) {
-        checkbox.checked = completed;
-        checkbox.setAttribute('aria-label', `Mark task as ${completed ? 'incomplete' : 'complete'}`);
+    return item;
+};
+
+/**
+ * Render archived tasks grouped by completion week, and the archive count on its filter button
+ * @param {HTMLElement} archiveElement - Archive view container
+ * @param {Array} archivedTasks - All archived tasks of the list
+ * @param {Object} options - View options
+ * @param {boolean} options.visible - Whether the archive view is open
+ * @param {string} options.tag - Only show tasks with this tag
+ * @param {string} options.query - Only show tasks matching this search query
+ */
+export const renderArchive = (archiveElement, archivedTasks, options = {}) => {
+    const archiveCountElement = document.getElementById('archive-count');
+    if (archiveCountElement) {
+        archiveCountElement.textContent = archivedTasks.length;
+        archiveCountElement.hidden = archivedTasks.length === 0;
     }
     
-    if (taskText) {
-        if (completed) {
-            taskElement.classList.add('completed');
-            taskText.style.textDecoration = 'line-through';
-            taskText.style.color = 'var(--text-muted)';
-        } else {
-            taskElement.classList.remove('completed');
-            taskText.style.textDecoration = 'none';
-            taskText.style.color = 'var(--text-primary)';
-        }
+    if (!archiveElement) return;
+    
+    archiveElement.hidden = !options.visible;
+    if (!options.visible) return;
+    
+    const matchingTasks = filterTasks(archivedTasks, 'all', { tag: options.tag, query: options.query });
+    const summaryElement = archiveElement.querySelector('.archive-summary');
+    const groupsElement = archiveElement.querySelector('.archive-groups');
+    const isFiltered = Boolean(options.tag || options.query);
+    
+    if (archivedTasks.length === 0) {
+        summaryElement.textContent = 'Nothing archived yet. "Archive Completed" moves finished tasks here.';
+    } else if (isFiltered) {
+        summaryElement.textContent = `${matchingTasks.length} of ${archivedTasks.length} archived task(s) match`;
+    } else {
+        summaryElement.textContent = `${archivedTasks.length} archived task(s)`;
     }
     
-    taskElement.dataset.completed = completed;
+    groupsElement.innerHTML = '';
+    const fragment = document.createDocumentFragment();
+    
+    groupByCompletionWeek(matchingTasks).forEach(({ weekStart, tasks }) => {
+        const group = document.createElement('section');
+        group.className = 'archive-week';
+        
+        const heading = document.createElement('h3');
+        heading.className = 'archive-week-title';
+        heading.textContent = `${describeWeek(weekStart)} · ${tasks.length} done`;
+        group.appendChild(heading);
+        
+        const list = document.createElement('ul');
+        list.className = 'archive-list';
+        tasks.forEach(task => list.appendChild(createArchiveItem(task, options.query)));
+        group.appendChild(list);
+        
+        fragment.appendChild(group);
+    });
+    
+    groupsElement.appendChild(fragment);
 };
 
+let validationMessageTimeout;
+
 /**
  * Show validation message
  * @param {string} message - Validation message to display
  * @param {string} type - Message type ('error', 'warning', 'success')
+ * @param {Object} action - Optional action button ({ label, onClick })
  */
-export const showValidationMessage = (message, type = 'error') => {
+export const showValidationMessage = (message, type = 'error', action = null) => {
     const validationElement = document.getElementById('validation-message');
     
     if (validationElement) {
+        clearTimeout(validationMessageTimeout);
         validationElement.textContent = message;
         validationElement.className = `validation-message validation-${type}`;
         
-        // Auto-hide success messages after 3 seconds
+        if (action && typeof action.onClick === 'function') {
+            const actionButton = document.createElement('button');
+            actionButton.type = 'button';
+            actionButton.className = 'validation-action';
+            actionButton.textContent = action.label;
+            actionButton.addEventListener('click', () => {
+                clearValidationMessage();
+                action.onClick();
+            });
+            validationElement.appendChild(actionButton);
+        }
+        
+        // Auto-hide success messages; leave more time when there is an action to take
         if (type === 'success') {
-            setTimeout(() => {
+            validationMessageTimeout = setTimeout(() => {
                 validationElement.textContent = '';
-            }, 3000);
+            }, action ? 6000 : 3000);
         }
     }
 };
@@ -328,10 +1148,117 @@ export const showValidationMessage = (message, type = 'error') => {
 export const clearValidationMessage = () => {
     const validationElement = document.getElementById('validation-message');
     if (validationElement) {
+        clearTimeout(validationMessageTimeout);
         validationElement.textContent = '';
     }
 };
 
+/**
+ * Offer text content as a file download
+ * @param {string} fileName - Suggested file name
+ * @param {string} content - File contents
+ * @param {string} mimeType - MIME type of the file
+ */
+export const downloadFile = (fileName, content, mimeType) => {
+    const url = URL.createObjectURL(new Blob([content], { type: `${mimeType};charset=utf-8` }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = fileName;
+    link.hidden = true;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser a moment to start the download before releasing the data
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+/**
+ * Show the import preview panel with valid and rejected row counts
+ * @param {HTMLElement} previewElement - Import preview section
+ * @param {Object|null} preview - Result of parseImportFile, or null to hide the panel
+ */
+export const renderImportPreview = (previewElement, preview) => {
+    if (!previewElement) return;
+    
+    if (!preview) {
+        previewElement.hidden = true;
+        return;
+    }
+    
+    const summaryElement = previewElement.querySelector('.import-summary');
+    const errorsElement = previewElement.querySelector('.import-errors');
+    const confirmButton = previewElement.querySelector('.import-confirm');
+    const validCount = preview.validTasks.length;
+    
+    summaryElement.innerHTML = `
+        <strong>${escapeHTML(preview.fileName)}</strong> (${escapeHTML(preview.format.toUpperCase())}):
+        <span class="import-count-valid">${validCount} valid</span>,
+        <span class="import-count-rejected">${preview.rejectedCount} rejected</span>
+        ${preview.migration ? `<span class="import-migration">${escapeHTML(preview.migration)}</span>` : ''}
+    `;
+    
+    // Only the first few problems are listed; the counts cover the rest
+    const errors = preview.report.errors.slice(0, 5);
+    errorsElement.innerHTML = errors.map(error => `<li>${escapeHTML(error)}</li>`).join('');
+    if (preview.report.errors.length > errors.length) {
+        errorsElement.innerHTML += `<li>…and ${preview.report.errors.length - errors.length} more</li>`;
+    }
+    errorsElement.hidden = errors.length === 0;
+    
+    confirmButton.disabled = validCount === 0;
+    confirmButton.textContent = `Import ${validCount} task(s)`;
+    previewElement.hidden = false;
+};
+
+/**
+ * Render what an import would change before it is committed
+ * @param {HTMLElement} previewElement - Import preview section
+ * @param {Object} plan - Plan from planMerge or planReplace
+ * @param {string} mode - 'merge' or 'replace'
+ */
+export const renderImportPlan = (previewElement, plan, mode) => {
+    if (!previewElement) return;
+    
+    const planElement = previewElement.querySelector('.import-plan');
+    const strategyElement = previewElement.querySelector('.import-strategy');
+    const confirmButton = previewElement.querySelector('.import-confirm');
+    const changeCount = plan.added.length + plan.updated.length;
+    
+    const counts = [
+        plan.removed ? `<span class="import-count-removed">${plan.removed} removed</span>` : '',
+        `<span class="import-count-added">${plan.added.length} added</span>`,
+        `<span class="import-count-updated">${plan.updated.length} updated</span>`,
+        `<span class="import-count-skipped">${plan.skipped.length} skipped</span>`
+    ].filter(Boolean);
+    const conflicts = plan.conflicts > 0 ? ` (${plan.conflicts} conflict${plan.conflicts === 1 ? '' : 's'})` : '';
+    
+    if (planElement) {
+        planElement.innerHTML = `Result: ${counts.join(', ')}${conflicts}`;
+    }
+    if (strategyElement) {
+        strategyElement.hidden = mode === 'replace';
+    }
+    
+    confirmButton.disabled = changeCount === 0;
+    confirmButton.textContent = changeCount === 0 ? 'Nothing to import' : `Import ${changeCount} task(s)`;
+};
+
+/**
+ * Announce a message to screen readers through the live region
+ * @param {string} message - Message to announce
+ */
+export const announce = (message) => {
+    const liveRegion = document.getElementById('live-region');
+    if (!liveRegion) return;
+    
+    // Clear first so repeating the same message is announced again
+    liveRegion.textContent = '';
+    requestAnimationFrame(() => {
+        liveRegion.textContent = message;
+    });
+};
+
 /**
  * Show loading state
  * @param {HTMLElement} element - Element to show loading state for
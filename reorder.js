@@ -0,0 +1,191 @@
+/**
+ * Reorder Module - Drag-and-drop and keyboard reordering for TaskFlow Lite
+ * Works on the visible rows and maps moves back onto the full task array
+ */
+
+/**
+ * Work out where a task lands in the full array when dropped next to a visible task
+ * Tasks hidden by the current filter keep their relative positions
+ * @param {Array} tasks - Full array of task objects
+ * @param {number} taskId - ID of the task being moved
+ * @param {number} targetId - ID of the task it is dropped next to
+ * @param {string} position - 'before' or 'after' the target
+ * @returns {Object|null} - { fromIndex, toIndex } or null when nothing moves
+ */
+export const getMoveIndexes = (tasks, taskId, targetId, position = 'before') => {
+    if (taskId === targetId) return null;
+
+    const fromIndex = tasks.findIndex(task => task.id === taskId);
+    if (fromIndex === -1) return null;
+
+    const remaining = tasks.filter(task => task.id !== taskId);
+    const targetIndex = remaining.findIndex(task => task.id === targetId);
+    if (targetIndex === -1) return null;
+
+    const toIndex = position === 'after' ? targetIndex + 1 : targetIndex;
+    return toIndex === fromIndex ? null : { fromIndex, toIndex };
+};
+
+/**
+ * Find the visible neighbour a task should swap past when moved one step
+ * @param {Array} visibleTasks - Tasks in the order they are shown
+ * @param {number} taskId - ID of the task being moved
+ * @param {number} direction - -1 for up, 1 for down
+ * @returns {Object|null} - { targetId, position, newPosition } or null at the list edge
+ */
+export const getKeyboardMoveTarget = (visibleTasks, taskId, direction) => {
+    const index = visibleTasks.findIndex(task => task.id === taskId);
+    const neighbour = visibleTasks[index + direction];
+    if (index === -1 || !neighbour) return null;
+
+    return {
+        targetId: neighbour.id,
+        position: direction < 0 ? 'before' : 'after',
+        newPosition: index + direction + 1
+    };
+};
+
+/**
+ * Decide whether the pointer is over the top or bottom half of a row
+ * @param {HTMLElement} element - Row under the pointer
+ * @param {number} clientY - Pointer Y coordinate
+ * @returns {string} - 'before' or 'after'
+ */
+const getDropPosition = (element, clientY) => {
+    const rect = element.getBoundingClientRect();
+    return clientY < rect.top + rect.height / 2 ? 'before' : 'after';
+};
+
+/**
+ * Set up drag-and-drop reordering on a task list (mouse and touch)
+ * Rows are dragged by their (draggable) .drag-handle and must carry data-id
+ * @param {HTMLElement} listElement - Task list container
+ * @param {Function} onReorder - Called with (taskId, targetId, position)
+ * @returns {Function} - Cleanup function
+ */
+export const setupDragReorder = (listElement, onReorder) => {
+    if (!listElement || typeof onReorder !== 'function') {
+        return () => {};
+    }
+
+    let draggedElement = null;
+    let dropTarget = null;
+    let dropPosition = 'before';
+
+    const clearDropIndicator = () => {
+        if (dropTarget) {
+            dropTarget.classList.remove('drop-before', 'drop-after');
+        }
+        dropTarget = null;
+    };
+
+    const updateDropIndicator = (element, clientY) => {
+        const target = element ? element.closest('.task-item') : null;
+        if (!target || target === draggedElement || !listElement.contains(target)) {
+            clearDropIndicator();
+            return;
+        }
+
+        const position = getDropPosition(target, clientY);
+        if (target !== dropTarget || position !== dropPosition) {
+            clearDropIndicator();
+            dropTarget = target;
+            dropPosition = position;
+            target.classList.add(position === 'before' ? 'drop-before' : 'drop-after');
+        }
+    };
+
+    const finishDrag = () => {
+        if (draggedElement && dropTarget) {
+            onReorder(Number(draggedElement.dataset.id), Number(dropTarget.dataset.id), dropPosition);
+        }
+        if (draggedElement) {
+            draggedElement.classList.remove('dragging');
+        }
+        clearDropIndicator();
+        draggedElement = null;
+    };
+
+    // Mouse: native HTML5 drag and drop
+    const handleDragStart = (event) => {
+        const handle = event.target.closest && event.target.closest('.drag-handle');
+        const taskElement = handle ? handle.closest('.task-item') : null;
+        if (!taskElement) return;
+
+        draggedElement = taskElement;
+        taskElement.classList.add('dragging');
+        event.dataTransfer.effectAllowed = 'move';
+        event.dataTransfer.setData('text/plain', taskElement.dataset.id);
+        event.dataTransfer.setDragImage(taskElement, 20, 20);
+    };
+
+    const handleDragOver = (event) => {
+        if (!draggedElement) return;
+        event.preventDefault();
+        event.dataTransfer.dropEffect = 'move';
+        updateDropIndicator(event.target, event.clientY);
+    };
+
+    const handleDrop = (event) => {
+        if (!draggedElement) return;
+        event.preventDefault();
+        finishDrag();
+    };
+
+    const handleDragEnd = () => {
+        // Dropped outside the list: cancel
+        clearDropIndicator();
+        finishDrag();
+    };
+
+    // Touch: drag by the handle and track the finger manually
+    const handleTouchStart = (event) => {
+        const handle = event.target.closest('.drag-handle');
+        if (!handle || event.touches.length !== 1) return;
+
+        draggedElement = handle.closest('.task-item');
+        if (draggedElement) {
+            draggedElement.classList.add('dragging');
+        }
+    };
+
+    const handleTouchMove = (event) => {
+        if (!draggedElement) return;
+
+        // Stop the page from scrolling while dragging
+        event.preventDefault();
+        const touch = event.touches[0];
+        updateDropIndicator(document.elementFromPoint(touch.clientX, touch.clientY), touch.clientY);
+    };
+
+    const handleTouchEnd = () => {
+        if (draggedElement) {
+            finishDrag();
+        }
+    };
+
+    const handleTouchCancel = () => {
+        clearDropIndicator();
+        finishDrag();
+    };
+
+    listElement.addEventListener('dragstart', handleDragStart);
+    listElement.addEventListener('dragover', handleDragOver);
+    listElement.addEventListener('drop', handleDrop);
+    listElement.addEventListener('dragend', handleDragEnd);
+    listElement.addEventListener('touchstart', handleTouchStart, { passive: true });
+    listElement.addEventListener('touchmove', handleTouchMove, { passive: false });
+    listElement.addEventListener('touchend', handleTouchEnd);
+    listElement.addEventListener('touchcancel', handleTouchCancel);
+
+    return () => {
+        listElement.removeEventListener('dragstart', handleDragStart);
+        listElement.removeEventListener('dragover', handleDragOver);
+        listElement.removeEventListener('drop', handleDrop);
+        listElement.removeEventListener('dragend', handleDragEnd);
+        listElement.removeEventListener('touchstart', handleTouchStart);
+        listElement.removeEventListener('touchmove', handleTouchMove);
+        listElement.removeEventListener('touchend', handleTouchEnd);
+        listElement.removeEventListener('touchcancel', handleTouchCancel);
+    };
+};
@@ -1,53 +1,183 @@
 /**
- * Storage Module - localStorage abstraction for TaskFlow Lite
- * Handles data persistence with JSON serialization/deserialization
+ * Storage Module - Persistence layer for TaskFlow Lite
+ * Tasks and history go to a pluggable async backend (IndexedDB, or localStorage as a fallback);
+ * the small list index and settings stay in localStorage
  */
 
+import {
+    createLocalStorageBackend,
+    openIndexedDBBackend,
+    isIndexedDBAvailable
+} from './backends.js';
+import { migrateTaskPayload, describeMigration, TASKS_SCHEMA_VERSION } from './migrations.js';
+import { withoutTrashed, DEFAULT_TRASH_RETENTION_DAYS } from './trash.js';
+import {
+    validateDueDate,
+    validatePriority,
+    normalizeTag,
+    sanitizeSubtasks,
+    validateRecurrence,
+    sanitizeCompletedOccurrences,
+    DEFAULT_PRIORITY
+} from './validation.js';
+
 const STORAGE_KEY = 'taskflow_tasks';
+const LISTS_KEY = 'taskflow_lists';
+const HISTORY_KEY = 'taskflow_history';
+const SETTINGS_KEY = 'taskflow_settings';
+const REMOTE_KEY = 'taskflow_remote';
+const ARCHIVE_KEY = 'taskflow_archive';
+// Version of the list index, history and settings payloads; task payloads use TASKS_SCHEMA_VERSION
 const STORAGE_VERSION = '1.0';
 
+// The default list keeps the original storage key, so single-list data needs no copying
+export const DEFAULT_LIST_ID = 'default';
+const DEFAULT_LIST_NAME = 'My Tasks';
+
+// Active backend; chosen by initStorage, localStorage until then
+let backend = null;
+
+/**
+ * Get the active backend, falling back to localStorage if initStorage was not called
+ * @returns {Object} - Storage backend
+ */
+const getBackend = () => {
+    if (!backend) {
+        backend = createLocalStorageBackend();
+    }
+    return backend;
+};
+
+/**
+ * Check whether a localStorage key holds data that moves to the backend
+ * @param {string} key - localStorage key
+ * @returns {boolean} - Whether the key is a task list, an archive, the history or the remote sync state
+ */
+const isBackendKey = (key) => {
+    return key === STORAGE_KEY || key.startsWith(`${STORAGE_KEY}_`) || key.startsWith(`${ARCHIVE_KEY}_`) ||
+        key === HISTORY_KEY || key === REMOTE_KEY;
+};
+
+/**
+ * Get when a stored payload was written
+ * @param {*} value - Stored payload
+ * @returns {number|null} - Milliseconds since epoch, or null when the payload has no timestamp
+ */
+const getPayloadTimestamp = (value) => {
+    return value && typeof value === 'object' && typeof value.timestamp === 'number' ? value.timestamp : null;
+};
+
+/**
+ * Move task lists and history from localStorage into a new backend
+ * When a key exists in both, the copy with the newer timestamp wins; without timestamps the backend's copy wins.
+ * A localStorage key is removed only once its value is in the backend, so nothing is lost if copying fails
+ * @param {Object} target - Backend to migrate into
+ * @returns {Promise<number>} - Number of keys migrated
+ */
+const migrateFromLocalStorage = async (target) => {
+    const source = createLocalStorageBackend();
+    const keys = (await source.keys()).filter(isBackendKey);
+    let migrated = 0;
+    
+    for (const key of keys) {
+        try {
+            const value = await source.get(key);
+            if (value === null) continue;
+            
+            const existing = await target.get(key);
+            const sourceTimestamp = getPayloadTimestamp(value);
+            const targetTimestamp = getPayloadTimestamp(existing);
+            const isNewer = existing === null ||
+                (sourceTimestamp !== null && targetTimestamp !== null && sourceTimestamp > targetTimestamp);
+            if (!isNewer) {
+                // The backend's copy is newer or cannot be compared: keep both rather than guess
+                continue;
+            }
+            
+            await target.set(key, value);
+            migrated++;
+            await source.remove(key);
+        } catch (error) {
+            // Leave unreadable data where it is rather than losing it
+            console.error(`Failed to migrate ${key} from localStorage:`, error);
+        }
+    }
+    
+    if (migrated > 0) {
+        console.log(`Migrated ${migrated} item(s) from localStorage to ${target.name}`);
+    }
+    return migrated;
+};
+
 /**
- * Save tasks to localStorage with error handling
+ * Pick the storage backend: IndexedDB when it opens, otherwise localStorage
+ * Existing localStorage data is migrated into IndexedDB on first use
+ * @returns {Promise<string>} - Name of the active backend
+ */
+export const initStorage = async () => {
+    if (backend) return backend.name;
+    
+    if (isIndexedDBAvailable()) {
+        try {
+            const indexedDBBackend = await openIndexedDBBackend();
+            if (isStorageAvailable()) {
+                await migrateFromLocalStorage(indexedDBBackend);
+            }
+            backend = indexedDBBackend;
+        } catch (error) {
+            console.warn('IndexedDB is not usable, falling back to localStorage:', error);
+        }
+    }
+    
+    if (!backend) {
+        if (!isStorageAvailable()) {
+            throw new Error('No storage is available');
+        }
+        backend = createLocalStorageBackend();
+    }
+    
+    console.log(`Using ${backend.name} storage`);
+    return backend.name;
+};
+
+/**
+ * Get the name of the active storage backend
+ * @returns {string} - 'indexedDB' or 'localStorage'
+ */
+export const getStorageBackendName = () => getBackend().name;
+
+/**
+ * Get the storage key holding a list's tasks
+ * @param {string} listId - List ID
+ * @returns {string} - Storage key
+ */
+const getTasksKey = (listId = DEFAULT_LIST_ID) => {
+    return listId === DEFAULT_LIST_ID ? STORAGE_KEY : `${STORAGE_KEY}_${listId}`;
+};
+
+/**
+ * Save tasks with error handling
  * @param {Array} tasks - Array of task objects
- * @returns {boolean} - Success status
+ * @param {string} listId - List the tasks belong to (defaults to the default list)
+ * @returns {Promise<boolean>} - Success status
  */
-export const saveTasks = (tasks) => {
+export const saveTasks = async (tasks, listId = DEFAULT_LIST_ID) => {
+    const storageKey = getTasksKey(listId);
+    
     try {
-        const dataToStore = {
-            version: STORAGE_VERSION,
+        await getBackend().set(storageKey, {
+            version: TASKS_SCHEMA_VERSION,
             timestamp: Date.now(),
             tasks: tasks
-        };
-        
-        localStorage.setItem(STORAGE_KEY, JSON.stringify(dataToStore));
-        
-        // Verify the data was saved correctly
-        const savedData = localStorage.getItem(STORAGE_KEY);
-        if (!savedData) {
-            console.error('Failed to save tasks: localStorage returned null');
-            return false;
-        }
+        });
         
         return true;
     } catch (error) {
-        console.error('Error saving tasks to localStorage:', error);
+        console.error(`Error saving tasks to ${getBackend().name}:`, error);
         
-        // Handle quota exceeded error
+        // Never clear storage to make room: it is shared with everything else on this origin
         if (error.name === 'QuotaExceededError') {
-            console.warn('localStorage quota exceeded. Attempting to clear old data...');
-            try {
-                // Clear old data and retry
-                localStorage.clear();
-                localStorage.setItem(STORAGE_KEY, JSON.stringify({
-                    version: STORAGE_VERSION,
-                    timestamp: Date.now(),
-                    tasks: tasks
-                }));
-                return true;
-            } catch (retryError) {
-                console.error('Failed to save even after clearing localStorage:', retryError);
-                return false;
-            }
+            console.warn(`${getBackend().name} quota exceeded, tasks were not saved`);
         }
         
         return false;
@@ -55,19 +185,51 @@ export const saveTasks = (tasks) => {
 };
 
 /**
- * Load tasks from localStorage with error handling and data validation
- * @returns {Array} - Array of task objects or empty array if error
+ * Run pending migrations on a stored task payload
+ * The original payload is kept under a backup key before the upgraded one replaces it
+ * @param {string} storageKey - Key the payload was read from
+ * @param {*} storedData - Payload as stored
+ * @returns {Promise<*>} - Upgraded payload, or the stored one if it cannot be migrated
+ */
+const upgradeStoredTasks = async (storageKey, storedData) => {
+    const { payload, report } = migrateTaskPayload(storedData);
+    
+    if (report.error) {
+        // Leave data from a newer version untouched rather than guessing at it
+        console.warn(`${describeMigration(report)}; loading stored tasks without migrating`);
+        return storedData;
+    }
+    
+    if (report.migrated) {
+        try {
+            await getBackend().set(`${storageKey}_backup_v${report.fromVersion}`, storedData);
+            await getBackend().set(storageKey, payload);
+        } catch (error) {
+            console.error('Failed to store migrated tasks, they will be migrated again next time:', error);
+        }
+        console.log(`${describeMigration(report)} (backup kept under ${storageKey}_backup_v${report.fromVersion})`);
+    }
+    
+    return payload;
+};
+
+/**
+ * Load tasks with error handling and data validation
+ * @param {string} listId - List to load (defaults to the default list)
+ * @returns {Promise<Array>} - Array of task objects or empty array if error
  */
-export const loadTasks = () => {
+export const loadTasks = async (listId = DEFAULT_LIST_ID) => {
+    const storageKey = getTasksKey(listId);
+    
     try {
-        const storedData = localStorage.getItem(STORAGE_KEY);
+        const storedData = await getBackend().get(storageKey);
         
         if (!storedData) {
             console.log('No stored tasks found, returning empty array');
             return [];
         }
         
-        const parsedData = JSON.parse(storedData);
+        const parsedData = await upgradeStoredTasks(storageKey, storedData);
         
         // Validate data structure
         if (!parsedData || typeof parsedData !== 'object') {
@@ -88,25 +250,40 @@ export const loadTasks = () => {
                    typeof task.id === 'number' &&
                    typeof task.text === 'string' &&
                    typeof task.completed === 'boolean';
+        }).map(task => {
+            // Tasks saved before checklists existed have no subtasks
+            if (task.subtasks === undefined) return task;
+            
+            const subtasks = sanitizeSubtasks(task.subtasks);
+            if (!Array.isArray(task.subtasks) || subtasks.length !== task.subtasks.length) {
+                console.warn(`Dropped invalid checklist items from task ${task.id}`);
+            }
+            return { ...task, subtasks };
+        }).map(task => {
+            // A broken repeat rule turns the task into a one-off instead of dropping it
+            if (!task.recurrence || validateRecurrence(task.recurrence).isValid) return task;
+            
+            console.warn(`Dropped invalid repeat rule from task ${task.id}`);
+            return { ...task, recurrence: null };
         });
         
         if (validTasks.length !== parsedData.tasks.length) {
             console.warn(`Filtered out ${parsedData.tasks.length - validTasks.length} invalid tasks`);
         }
         
-        console.log(`Loaded ${validTasks.length} tasks from localStorage`);
+        console.log(`Loaded ${validTasks.length} tasks from ${getBackend().name}`);
         return validTasks;
         
     } catch (error) {
-        console.error('Error loading tasks from localStorage:', error);
+        console.error(`Error loading tasks from ${getBackend().name}:`, error);
         
         // If JSON parsing fails, try to clear corrupted data
         if (error instanceof SyntaxError) {
-            console.warn('Corrupted data in localStorage, clearing...');
+            console.warn('Corrupted task data in storage, clearing...');
             try {
-                localStorage.removeItem(STORAGE_KEY);
+                await getBackend().remove(storageKey);
             } catch (clearError) {
-                console.error('Failed to clear corrupted localStorage data:', clearError);
+                console.error('Failed to clear corrupted task data:', clearError);
             }
         }
         
@@ -115,28 +292,338 @@ export const loadTasks = () => {
 };
 
 /**
- * Clear all stored tasks
+ * Clear all stored tasks of a list
+ * @param {string} listId - List to clear (defaults to the default list)
+ * @returns {Promise<boolean>} - Success status
+ */
+export const clearTasks = async (listId = DEFAULT_LIST_ID) => {
+    const storageKey = getTasksKey(listId);
+    
+    try {
+        await getBackend().remove(storageKey);
+        console.log(`Tasks cleared from ${getBackend().name}`);
+        return true;
+    } catch (error) {
+        console.error(`Error clearing tasks from ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Create the list index used before any lists were saved
+ * @returns {Object} - Index with only the default list
+ */
+const createDefaultListIndex = () => ({
+    activeListId: DEFAULT_LIST_ID,
+    lists: [{
+        id: DEFAULT_LIST_ID,
+        name: DEFAULT_LIST_NAME,
+        createdAt: new Date().toISOString(),
+        filter: 'all',
+        taskCount: 0,
+        completedCount: 0
+    }]
+});
+
+/**
+ * Save the list index (names, per-list filter and counts, active list)
+ * @param {Object} index - Object with activeListId and lists
  * @returns {boolean} - Success status
  */
-export const clearTasks = () => {
+export const saveListIndex = (index) => {
     try {
-        localStorage.removeItem(STORAGE_KEY);
-        console.log('Tasks cleared from localStorage');
+        localStorage.setItem(LISTS_KEY, JSON.stringify({
+            version: STORAGE_VERSION,
+            timestamp: Date.now(),
+            activeListId: index.activeListId,
+            lists: index.lists
+        }));
         return true;
     } catch (error) {
-        console.error('Error clearing tasks from localStorage:', error);
+        console.error('Error saving list index to localStorage:', error);
         return false;
     }
 };
 
 /**
- * Get storage statistics
- * @returns {Object} - Storage info including size and task count
+ * Load the list index, creating it on first run
+ * Existing single-list data already lives under the default list's key,
+ * so migrating it only needs an index entry with its counts
+ * @returns {Promise<Object>} - Object with activeListId and lists
  */
-export const getStorageInfo = () => {
+export const loadListIndex = async () => {
     try {
-        const storedData = localStorage.getItem(STORAGE_KEY);
+        const storedData = localStorage.getItem(LISTS_KEY);
+        
+        if (storedData) {
+            const parsedData = JSON.parse(storedData);
+            const lists = Array.isArray(parsedData && parsedData.lists)
+                ? parsedData.lists.filter(list => list && typeof list.id === 'string' && typeof list.name === 'string')
+                : [];
+            
+            if (lists.length > 0) {
+                const activeListId = lists.some(list => list.id === parsedData.activeListId)
+                    ? parsedData.activeListId
+                    : lists[0].id;
+                return { activeListId, lists };
+            }
+            
+            console.warn('Stored list index is empty or invalid, rebuilding it');
+        }
+    } catch (error) {
+        console.error('Error loading list index from localStorage:', error);
+    }
+    
+    const index = createDefaultListIndex();
+    const existingTasks = await loadTasks(DEFAULT_LIST_ID);
+    if (existingTasks.length > 0) {
+        index.lists[0].taskCount = existingTasks.length;
+        index.lists[0].completedCount = existingTasks.filter(task => task.completed).length;
+        console.log(`Migrated ${existingTasks.length} existing tasks into the default list`);
+    }
+    
+    saveListIndex(index);
+    return index;
+};
+
+/**
+ * Save undo/redo history
+ * @param {Object} history - Object with undoStack and redoStack arrays
+ * @returns {Promise<boolean>} - Success status
+ */
+export const saveHistory = async (history) => {
+    try {
+        await getBackend().set(HISTORY_KEY, {
+            version: STORAGE_VERSION,
+            undoStack: history.undoStack,
+            redoStack: history.redoStack
+        });
+        return true;
+    } catch (error) {
+        console.error(`Error saving history to ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Load undo/redo history
+ * @returns {Promise<Object>} - Object with undoStack and redoStack arrays
+ */
+export const loadHistory = async () => {
+    const emptyHistory = { undoStack: [], redoStack: [] };
+    
+    try {
+        const parsedData = await getBackend().get(HISTORY_KEY);
+        if (!parsedData) {
+            return emptyHistory;
+        }
+        
+        if (!parsedData || !Array.isArray(parsedData.undoStack) || !Array.isArray(parsedData.redoStack)) {
+            console.warn('Invalid stored history format, starting fresh');
+            return emptyHistory;
+        }
+        
+        return {
+            undoStack: parsedData.undoStack,
+            redoStack: parsedData.redoStack
+        };
+    } catch (error) {
+        console.error(`Error loading history from ${getBackend().name}:`, error);
+        return emptyHistory;
+    }
+};
+
+/**
+ * Save the remote sync state (pending and deleted list IDs, ETags and last synced tasks)
+ * @param {Object} state - Sync state from the remote module
+ * @returns {Promise<boolean>} - Success status
+ */
+export const saveRemoteState = async (state) => {
+    try {
+        await getBackend().set(REMOTE_KEY, {
+            version: STORAGE_VERSION,
+            queue: state.queue,
+            deleted: state.deleted,
+            lists: state.lists
+        });
+        return true;
+    } catch (error) {
+        console.error(`Error saving sync state to ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Load the remote sync state
+ * @returns {Promise<Object>} - Object with queue, deleted and lists
+ */
+export const loadRemoteState = async () => {
+    const emptyState = { queue: [], deleted: [], lists: {} };
+    
+    try {
+        const parsedData = await getBackend().get(REMOTE_KEY);
+        if (!parsedData) {
+            return emptyState;
+        }
+        
+        if (!Array.isArray(parsedData.queue) || typeof parsedData.lists !== 'object' || parsedData.lists === null) {
+            console.warn('Invalid stored sync state format, starting fresh');
+            return emptyState;
+        }
+        
+        return {
+            queue: parsedData.queue.filter(listId => typeof listId === 'string'),
+            deleted: Array.isArray(parsedData.deleted) ? parsedData.deleted.filter(listId => typeof listId === 'string') : [],
+            lists: parsedData.lists
+        };
+    } catch (error) {
+        console.error(`Error loading sync state from ${getBackend().name}:`, error);
+        return emptyState;
+    }
+};
+
+/**
+ * Clear the remote sync state, e.g. when disconnecting from a server
+ * @returns {Promise<boolean>} - Success status
+ */
+export const clearRemoteState = async () => {
+    try {
+        await getBackend().remove(REMOTE_KEY);
+        return true;
+    } catch (error) {
+        console.error(`Error clearing sync state from ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Get the storage key for a list's archive
+ * @param {string} listId - List ID
+ * @returns {string} - Storage key
+ */
+const getArchiveKey = (listId = DEFAULT_LIST_ID) => `${ARCHIVE_KEY}_${listId}`;
+
+/**
+ * Save a list's archived tasks
+ * @param {Array} tasks - Archived task objects
+ * @param {string} listId - List the archive belongs to
+ * @returns {Promise<boolean>} - Success status
+ */
+export const saveArchive = async (tasks, listId = DEFAULT_LIST_ID) => {
+    try {
+        await getBackend().set(getArchiveKey(listId), {
+            version: TASKS_SCHEMA_VERSION,
+            timestamp: Date.now(),
+            tasks: tasks
+        });
+        return true;
+    } catch (error) {
+        console.error(`Error saving archive to ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Load a list's archived tasks
+ * @param {string} listId - List to load the archive of
+ * @returns {Promise<Array>} - Archived task objects
+ */
+export const loadArchive = async (listId = DEFAULT_LIST_ID) => {
+    try {
+        const parsedData = await getBackend().get(getArchiveKey(listId));
+        if (!parsedData) {
+            return [];
+        }
+        
+        if (!Array.isArray(parsedData.tasks)) {
+            console.warn('Invalid stored archive format, ignoring it');
+            return [];
+        }
+        
+        return parsedData.tasks.filter(task => task && typeof task === 'object' && typeof task.text === 'string');
+    } catch (error) {
+        console.error(`Error loading archive from ${getBackend().name}:`, error);
+        return [];
+    }
+};
+
+/**
+ * Remove a list's archive, e.g. when the list is deleted
+ * @param {string} listId - List whose archive to remove
+ * @returns {Promise<boolean>} - Success status
+ */
+export const clearArchive = async (listId = DEFAULT_LIST_ID) => {
+    try {
+        await getBackend().remove(getArchiveKey(listId));
+        return true;
+    } catch (error) {
+        console.error(`Error clearing archive from ${getBackend().name}:`, error);
+        return false;
+    }
+};
+
+/**
+ * Default user settings
+ * syncUrl is the remote sync server; empty keeps everything on this device
+ * trashRetentionDays is how long deleted tasks stay in the trash; 0 keeps them until purged
+ */
+export const DEFAULT_SETTINGS = {
+    sort: 'manual',
+    syncUrl: '',
+    trashRetentionDays: DEFAULT_TRASH_RETENTION_DAYS
+};
+
+/**
+ * Save user settings to localStorage
+ * @param {Object} settings - Settings object
+ * @returns {boolean} - Success status
+ */
+export const saveSettings = (settings) => {
+    try {
+        localStorage.setItem(SETTINGS_KEY, JSON.stringify({
+            version: STORAGE_VERSION,
+            settings: settings
+        }));
+        return true;
+    } catch (error) {
+        console.error('Error saving settings to localStorage:', error);
+        return false;
+    }
+};
+
+/**
+ * Load user settings from localStorage, filling in defaults
+ * @returns {Object} - Settings object
+ */
+export const loadSettings = () => {
+    try {
+        const storedData = localStorage.getItem(SETTINGS_KEY);
         if (!storedData) {
+            return { ...DEFAULT_SETTINGS };
+        }
+        
+        const parsedData = JSON.parse(storedData);
+        if (!parsedData || typeof parsedData.settings !== 'object' || parsedData.settings === null) {
+            console.warn('Invalid stored settings format, using defaults');
+            return { ...DEFAULT_SETTINGS };
+        }
+        
+        return { ...DEFAULT_SETTINGS, ...parsedData.settings };
+    } catch (error) {
+        console.error('Error loading settings from localStorage:', error);
+        return { ...DEFAULT_SETTINGS };
+    }
+};
+
+/**
+ * Get storage statistics
+ * @param {string} listId - List to inspect (defaults to the default list)
+ * @returns {Promise<Object>} - Storage info including size and task count
+ */
+export const getStorageInfo = async (listId = DEFAULT_LIST_ID) => {
+    try {
+        const parsedData = await getBackend().get(getTasksKey(listId));
+        if (!parsedData) {
             return {
                 hasData: false,
                 size: 0,
@@ -145,12 +632,12 @@ export const getStorageInfo = () => {
             };
         }
         
-        const parsedData = JSON.parse(storedData);
         const tasks = parsedData.tasks || [];
         
         return {
             hasData: true,
-            size: storedData.length,
+            backend: getBackend().name,
+            size: JSON.stringify(parsedData).length,
             taskCount: tasks.length,
             lastModified: parsedData.timestamp || null,
             version: parsedData.version || 'unknown'
@@ -170,12 +657,18 @@ export const getStorageInfo = () => {
 /**
  * Export tasks as JSON string
  * @param {Array} tasks - Array of task objects
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeTrashed - Keep tasks that are in the trash
  * @returns {string} - JSON string representation
  */
-export const exportTasks = (tasks) => {
+export const exportTasks = (tasks, { includeTrashed = false } = {}) => {
     try {
+        if (!includeTrashed) {
+            tasks = withoutTrashed(tasks);
+        }
+        
         const exportData = {
-            version: STORAGE_VERSION,
+            version: TASKS_SCHEMA_VERSION,
             exportedAt: new Date().toISOString(),
             taskCount: tasks.length,
             tasks: tasks
@@ -195,12 +688,21 @@ export const exportTasks = (tasks) => {
  */
 export const importTasks = (jsonString) => {
     try {
-        const importedData = JSON.parse(jsonString);
+        const parsedData = JSON.parse(jsonString);
         
-        if (!importedData || typeof importedData !== 'object') {
+        if (!parsedData || typeof parsedData !== 'object') {
             throw new Error('Invalid import data format');
         }
         
+        // Files exported by older versions are upgraded before validation
+        const { payload: importedData, report } = migrateTaskPayload(parsedData);
+        if (report.error && report.fromVersion !== null) {
+            throw new Error(describeMigration(report));
+        }
+        if (report.migrated) {
+            console.log(describeMigration(report));
+        }
+        
         if (!importedData.tasks || !Array.isArray(importedData.tasks)) {
             throw new Error('Import data missing tasks array');
         }
@@ -215,7 +717,19 @@ export const importTasks = (jsonString) => {
             id: task.id || Date.now() + Math.random(),
             text: task.text.trim(),
             completed: Boolean(task.completed),
-            createdAt: task.createdAt || new Date().toISOString()
+            createdAt: task.createdAt || new Date().toISOString(),
+            dueDate: validateDueDate(task.dueDate).sanitizedDate || null,
+            priority: validatePriority(task.priority).sanitizedPriority || DEFAULT_PRIORITY,
+            tags: Array.isArray(task.tags) ? [...new Set(task.tags.map(normalizeTag).filter(Boolean))] : [],
+            subtasks: sanitizeSubtasks(task.subtasks),
+            recurrence: validateRecurrence(task.recurrence).sanitizedRecurrence || null,
+            ...(task.seriesId && { seriesId: task.seriesId }),
+            ...(task.completedOccurrences && {
+                completedOccurrences: sanitizeCompletedOccurrences(task.completedOccurrences)
+            }),
+            ...(task.updatedAt && { updatedAt: task.updatedAt }),
+            ...(task.completedAt && { completedAt: task.completedAt }),
+            ...(task.deletedAt && { deletedAt: task.deletedAt })
         }));
         
         console.log(`Imported ${validTasks.length} valid tasks`);
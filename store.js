@@ -0,0 +1,261 @@
+/**
+ * Store Module - Observable state of the active task list for TaskFlow Lite
+ * State only changes through dispatched actions; the reducer works out the next state and
+ * subscribers (the view, persistence and list stats) react to each change
+ */
+
+import { applyCommand, revertCommand } from './history.js';
+import { filterTasks } from './render.js';
+import { isTrashed, withoutTrashed } from './trash.js';
+
+export const ACTION_TYPES = {
+    LIST_LOADED: 'list/loaded',
+    TASKS_REPLACED: 'tasks/replaced',
+    COMMAND_APPLIED: 'tasks/commandApplied',
+    COMMAND_REVERTED: 'tasks/commandReverted',
+    ARCHIVE_REPLACED: 'archive/replaced',
+    FILTER_CHANGED: 'view/filterChanged',
+    TAG_CHANGED: 'view/tagChanged',
+    QUERY_CHANGED: 'view/queryChanged'
+};
+
+/**
+ * Create the state before any list has been loaded
+ * @param {string} listId - ID of the list to start on
+ * @returns {Object} - { listId, tasks, archivedTasks, filter, tag, query }
+ */
+export const createInitialState = (listId) => ({
+    listId,
+    tasks: [],
+    archivedTasks: [],
+    filter: 'all',
+    tag: null,
+    query: ''
+});
+
+/**
+ * Show a list that was just read from storage; it is not saved again
+ * Tag and search filters start fresh on every list
+ * @param {Object} list - { listId, tasks, archivedTasks, filter }
+ * @returns {Object} - Action
+ */
+export const listLoaded = ({ listId, tasks, archivedTasks, filter = 'all' }) => ({
+    type: ACTION_TYPES.LIST_LOADED,
+    listId,
+    tasks,
+    archivedTasks,
+    filter,
+    persist: false
+});
+
+/**
+ * Replace the active list's tasks outside of undo history
+ * @param {Array} tasks - New tasks
+ * @param {Object} options - Action options
+ * @param {boolean} options.persist - Whether the tasks should be saved (false when they came from storage)
+ * @param {boolean} options.fromSync - Whether another tab or device made the change
+ * @returns {Object} - Action
+ */
+export const tasksReplaced = (tasks, { persist = true, fromSync = false } = {}) => ({
+    type: ACTION_TYPES.TASKS_REPLACED,
+    tasks,
+    persist,
+    fromSync
+});
+
+/**
+ * Apply a history command (see history.js) to the tasks
+ * @param {Object} command - Command with a list of changes
+ * @returns {Object} - Action
+ */
+export const commandApplied = (command) => ({ type: ACTION_TYPES.COMMAND_APPLIED, command });
+
+/**
+ * Undo a history command on the tasks
+ * @param {Object} command - Command with a list of changes
+ * @returns {Object} - Action
+ */
+export const commandReverted = (command) => ({ type: ACTION_TYPES.COMMAND_REVERTED, command });
+
+/**
+ * Replace the active list's archive, optionally together with its tasks when tasks move in or out
+ * The archive is saved by the caller, before the change is dispatched
+ * @param {Array} archivedTasks - New archived tasks
+ * @param {Object} options - Action options
+ * @param {Array} options.tasks - New tasks, when they changed too
+ * @param {boolean} options.fromSync - Whether another tab made the change
+ * @returns {Object} - Action
+ */
+export const archiveReplaced = (archivedTasks, { tasks = null, fromSync = false } = {}) => ({
+    type: ACTION_TYPES.ARCHIVE_REPLACED,
+    archivedTasks,
+    tasks,
+    fromSync
+});
+
+/**
+ * Switch the view filter
+ * @param {string} filter - Filter name (see filterTasks)
+ * @returns {Object} - Action
+ */
+export const filterChanged = (filter) => ({ type: ACTION_TYPES.FILTER_CHANGED, filter });
+
+/**
+ * Filter by a tag, or stop filtering by tag
+ * @param {string|null} tag - Tag, or null
+ * @returns {Object} - Action
+ */
+export const tagChanged = (tag) => ({ type: ACTION_TYPES.TAG_CHANGED, tag: tag || null });
+
+/**
+ * Change the search query
+ * @param {string} query - Search text
+ * @returns {Object} - Action
+ */
+export const queryChanged = (query) => ({ type: ACTION_TYPES.QUERY_CHANGED, query });
+
+/**
+ * Get the tasks the tag bar lists; the archive view filters archived tasks by tag
+ * @param {Object} state - Store state
+ * @returns {Array} - Tasks
+ */
+export const selectTaggedTasks = (state) => (state.filter === 'archive' ? state.archivedTasks : state.tasks);
+
+// Counts are asked for several times per render, so they are kept per tasks array
+const taskCounts = new WeakMap();
+
+/**
+ * Count tasks; trashed tasks are left out of the totals and counted separately
+ * @param {Array} tasks - Array of task objects
+ * @returns {Object} - { total, completed, trashed }
+ */
+export const countTasks = (tasks) => {
+    if (!taskCounts.has(tasks)) {
+        const liveTasks = withoutTrashed(tasks);
+        taskCounts.set(tasks, {
+            total: liveTasks.length,
+            completed: liveTasks.filter(task => task.completed).length,
+            trashed: tasks.filter(isTrashed).length
+        });
+    }
+    return taskCounts.get(tasks);
+};
+
+/**
+ * Get the active list's task counts
+ * @param {Object} state - Store state
+ * @returns {Object} - { total, completed, trashed }
+ */
+export const selectTaskCounts = (state) => countTasks(state.tasks);
+
+/**
+ * Get the tasks the list view shows
+ * @param {Object} state - Store state
+ * @param {Object} options - Other view options, such as sort (see filterTasks)
+ * @returns {Array} - Filtered and sorted tasks
+ */
+export const selectVisibleTasks = (state, options = {}) => {
+    return filterTasks(state.tasks, state.filter, { ...options, tag: state.tag, query: state.query });
+};
+
+/**
+ * Work out the next state for an action
+ * @param {Object} state - Current state
+ * @param {Object} action - Dispatched action
+ * @returns {Object} - Next state; the same object when nothing changed
+ */
+const reduceState = (state, action) => {
+    switch (action.type) {
+        case ACTION_TYPES.LIST_LOADED:
+            return {
+                ...state,
+                listId: action.listId,
+                tasks: action.tasks,
+                archivedTasks: action.archivedTasks,
+                filter: action.filter,
+                tag: null,
+                query: ''
+            };
+        case ACTION_TYPES.TASKS_REPLACED:
+            return action.tasks === state.tasks ? state : { ...state, tasks: action.tasks };
+        case ACTION_TYPES.COMMAND_APPLIED:
+            return { ...state, tasks: applyCommand(state.tasks, action.command) };
+        case ACTION_TYPES.COMMAND_REVERTED:
+            return { ...state, tasks: revertCommand(state.tasks, action.command) };
+        case ACTION_TYPES.ARCHIVE_REPLACED:
+            return { ...state, archivedTasks: action.archivedTasks, tasks: action.tasks || state.tasks };
+        case ACTION_TYPES.FILTER_CHANGED:
+            return action.filter === state.filter ? state : { ...state, filter: action.filter };
+        case ACTION_TYPES.TAG_CHANGED:
+            return action.tag === state.tag ? state : { ...state, tag: action.tag };
+        case ACTION_TYPES.QUERY_CHANGED:
+            return action.query === state.query ? state : { ...state, query: action.query };
+        default:
+            console.warn('Unknown store action:', action.type);
+            return state;
+    }
+};
+
+/**
+ * Drop the tag filter once no task in view carries that tag any more
+ * @param {Object} state - Store state
+ * @returns {Object} - State without a stale tag filter
+ */
+const dropUnusedTag = (state) => {
+    if (!state.tag) return state;
+
+    const tagInUse = withoutTrashed(selectTaggedTasks(state)).some(task => (task.tags || []).includes(state.tag));
+    return tagInUse ? state : { ...state, tag: null };
+};
+
+/**
+ * Reducer for the app's store
+ * @param {Object} state - Current state
+ * @param {Object} action - Dispatched action
+ * @returns {Object} - Next state
+ */
+export const appReducer = (state, action) => dropUnusedTag(reduceState(state, action));
+
+/**
+ * Create an observable store
+ * Subscribers run in the order they subscribed, once per dispatch that changed the state,
+ * with (state, previousState, action); they should not dispatch themselves
+ * @param {Function} reducer - (state, action) => next state
+ * @param {Object} initialState - Starting state
+ * @returns {Object} - { getState(), dispatch(action), subscribe(listener) }
+ */
+export const createStore = (reducer, initialState) => {
+    let state = initialState;
+    const listeners = new Set();
+
+    return {
+        getState() {
+            return state;
+        },
+
+        dispatch(action) {
+            const previousState = state;
+            state = reducer(state, action);
+            if (state === previousState) return action;
+
+            listeners.forEach(listener => {
+                try {
+                    listener(state, previousState, action);
+                } catch (error) {
+                    console.error('Error in store subscriber:', error);
+                }
+            });
+            return action;
+        },
+
+        /**
+         * Call a function after every change
+         * @param {Function} listener - Called with (state, previousState, action)
+         * @returns {Function} - Unsubscribe function
+         */
+        subscribe(listener) {
+            listeners.add(listener);
+            return () => listeners.delete(listener);
+        }
+    };
+};
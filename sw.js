@@ -0,0 +1,109 @@
+/**
+ * TaskFlow Lite - Service Worker
+ * Precaches the app shell and serves it cache-first so the app works offline
+ */
+
+// Bump on every deploy; a new version makes open tabs offer a reload
+const CACHE_VERSION = 'taskflow-v8';
+
+const PRECACHE_URLS = [
+    './',
+    './index.html',
+    './app.js',
+    './manifest.webmanifest',
+    './styles/main.css',
+    './styles/utilities.css',
+    './modules/archive.js',
+    './modules/backends.js',
+    './modules/dates.js',
+    './modules/dialog.js',
+    './modules/history.js',
+    './modules/merge.js',
+    './modules/migrations.js',
+    './modules/pwa.js',
+    './modules/recurrence.js',
+    './modules/remote.js',
+    './modules/render.js',
+    './modules/reorder.js',
+    './modules/storage.js',
+    './modules/store.js',
+    './modules/sync.js',
+    './modules/transfer.js',
+    './modules/trash.js',
+    './modules/validation.js',
+    './modules/virtual-list.js',
+    './icons/icon.svg',
+    './icons/icon-192.png',
+    './icons/icon-512.png',
+    './icons/icon-maskable-512.png'
+];
+
+// Paths served cache-first; everything else (API calls, JSON, other files) goes to the network untouched
+const PRECACHE_PATHS = new Set(PRECACHE_URLS.map(url => new URL(url, self.location).pathname));
+
+self.addEventListener('install', (event) => {
+    // The new version waits until the page asks it to take over (see SKIP_WAITING)
+    event.waitUntil(
+        caches.open(CACHE_VERSION).then(cache => cache.addAll(PRECACHE_URLS))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys.filter(key => key.startsWith('taskflow-') && key !== CACHE_VERSION)
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+/**
+ * Answer an app shell request from the cache, falling back to the network and caching what it returns
+ * Navigations fall back to the cached index.html when offline
+ * @param {Request} request - Request to answer
+ * @returns {Promise<Response>} - Response
+ */
+const cacheFirst = async (request) => {
+    const cache = await caches.open(CACHE_VERSION);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) {
+        return cached;
+    }
+
+    try {
+        const response = await fetch(request);
+        if (response.ok && response.type === 'basic') {
+            cache.put(request, response.clone());
+        }
+        return response;
+    } catch (error) {
+        if (request.mode === 'navigate') {
+            const shell = await cache.match('./index.html');
+            if (shell) {
+                return shell;
+            }
+        }
+        throw error;
+    }
+};
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    const url = new URL(request.url);
+    if (request.method !== 'GET' || url.origin !== self.location.origin) {
+        return;
+    }
+    if (request.mode !== 'navigate' && !PRECACHE_PATHS.has(url.pathname)) {
+        return;
+    }
+
+    event.respondWith(cacheFirst(request));
+});
@@ -0,0 +1,89 @@
+/**
+ * Sync Module - Change notifications between TaskFlow Lite tabs
+ * Uses BroadcastChannel where available and falls back to localStorage 'storage' events
+ */
+
+const CHANNEL_NAME = 'taskflow';
+const FALLBACK_KEY = 'taskflow_sync';
+
+/**
+ * Create an ID for this tab so it can ignore its own messages
+ * @returns {string} - Tab ID
+ */
+const createTabId = () => `tab-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+
+/**
+ * Check whether the browser supports BroadcastChannel
+ * @returns {boolean} - Availability status
+ */
+export const isBroadcastChannelAvailable = () => typeof BroadcastChannel === 'function';
+
+/**
+ * Connect this tab to the others showing TaskFlow Lite
+ * Messages are small notices such as { type: 'tasks', listId }; the data itself stays in storage
+ * @param {Function} onMessage - Called with each message sent by another tab
+ * @param {Object} options - Sync options
+ * @param {string} options.channelName - Channel name shared by all tabs
+ * @returns {Object} - { tabId, transport, broadcast(message), close() }
+ */
+export const createTabSync = (onMessage, { channelName = CHANNEL_NAME } = {}) => {
+    const tabId = createTabId();
+
+    /**
+     * Pass on a message unless this tab sent it
+     * @param {Object} message - Received message
+     */
+    const receive = (message) => {
+        if (!message || typeof message !== 'object' || message.tabId === tabId) return;
+
+        try {
+            onMessage(message);
+        } catch (error) {
+            console.error('Error handling sync message:', error);
+        }
+    };
+
+    if (isBroadcastChannelAvailable()) {
+        const channel = new BroadcastChannel(channelName);
+        channel.onmessage = (event) => receive(event.data);
+
+        return {
+            tabId,
+            transport: 'BroadcastChannel',
+            broadcast(message) {
+                channel.postMessage({ ...message, tabId });
+            },
+            close() {
+                channel.close();
+            }
+        };
+    }
+
+    // 'storage' events fire in every other tab when a localStorage key changes
+    const handleStorage = (event) => {
+        if (event.key !== FALLBACK_KEY || !event.newValue) return;
+
+        try {
+            receive(JSON.parse(event.newValue));
+        } catch (error) {
+            console.warn('Ignoring malformed sync message:', error);
+        }
+    };
+    window.addEventListener('storage', handleStorage);
+
+    return {
+        tabId,
+        transport: 'storage',
+        broadcast(message) {
+            try {
+                // The timestamp makes every message a change, so repeated notices still fire
+                localStorage.setItem(FALLBACK_KEY, JSON.stringify({ ...message, tabId, sentAt: Date.now() }));
+            } catch (error) {
+                console.warn('Could not notify other tabs:', error);
+            }
+        },
+        close() {
+            window.removeEventListener('storage', handleStorage);
+        }
+    };
+};
@@ -0,0 +1,279 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, waitFor } from './helpers/dom.js';
+import { silenceConsole } from './helpers/console.js';
+
+let runs = 0;
+let dom;
+let app;
+
+silenceConsole();
+
+/**
+ * Load the app into a fresh page and wait for it to finish initializing
+ * app.js is imported under a new URL each time so its DOMContentLoaded listener is added to this page
+ * @param {Object} options - Page options passed to setupDOM, such as the localStorage to start with
+ * @returns {Promise<Object>} - The TaskFlowApp instance
+ */
+const startApp = async (options = {}) => {
+    dom = setupDOM({ ...options, page: true });
+    await import(`../app.js?run=${++runs}`);
+    document.dispatchEvent(new Event('DOMContentLoaded'));
+    await waitFor(() => window.taskFlowApp && window.taskFlowApp.isInitialized);
+    return window.taskFlowApp;
+};
+
+const getTaskList = () => document.getElementById('task-list');
+const getRowTexts = () => Array.from(getTaskList().querySelectorAll('.task-item .task-text'), text => text.textContent);
+const getRow = (text) => Array.from(getTaskList().querySelectorAll('.task-item'))
+    .find(row => row.querySelector('.task-text').textContent === text);
+
+/**
+ * Close the page the app runs in
+ */
+const stopApp = async () => {
+    await app.pendingSave;
+    app.tabSync.close();
+    dom.close();
+};
+
+/**
+ * Type a task into the form and submit it
+ * @param {string} text - Task text
+ */
+const submitTask = (text) => {
+    document.getElementById('task-input').value = text;
+    document.getElementById('task-form').requestSubmit();
+};
+
+/**
+ * Answer the open confirmation dialog
+ * @param {boolean} confirm - Click the confirming button rather than the cancelling one
+ * @returns {Promise} - Resolves once the dialog is gone
+ */
+const answerDialog = async (confirm) => {
+    await waitFor(() => document.querySelector('.modal [role="dialog"]'));
+    document.querySelector(confirm ? '.modal-confirm' : '.modal-cancel').click();
+    await waitFor(() => !document.querySelector('.modal'));
+};
+
+const clickFilter = (filter) => document.querySelector(`.filter-btn[data-filter="${filter}"]`).click();
+
+beforeEach(async () => {
+    app = await startApp();
+});
+
+afterEach(stopApp);
+
+describe('adding tasks', () => {
+    it('adds a submitted task to the top of the list and saves it', async () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+
+        assert.deepEqual(getRowTexts(), ['Call Ana', 'Buy milk']);
+        assert.equal(document.getElementById('task-input').value, '');
+        assert.equal(document.getElementById('total-tasks').textContent, '2');
+
+        await app.pendingSave;
+        const saved = JSON.parse(localStorage.getItem('taskflow_tasks'));
+        assert.deepEqual(saved.tasks.map(task => task.text), ['Call Ana', 'Buy milk']);
+    });
+
+    it('rejects an empty task and keeps the input', () => {
+        submitTask('   ');
+
+        assert.deepEqual(getRowTexts(), []);
+        assert.equal(document.getElementById('validation-message').classList.contains('validation-error'), true);
+    });
+
+    it('reloads saved tasks in a new session', async () => {
+        submitTask('Buy milk');
+        await stopApp();
+
+        app = await startApp({ localStorage: dom.localStorage });
+        assert.deepEqual(getRowTexts(), ['Buy milk']);
+    });
+});
+
+describe('completing tasks', () => {
+    it('toggles a task from its checkbox and updates the counts', () => {
+        submitTask('Buy milk');
+
+        getRow('Buy milk').querySelector('.task-checkbox').click();
+        assert.equal(app.tasks[0].completed, true);
+        assert.ok(app.tasks[0].completedAt);
+        assert.equal(app.tasks[0].updatedAt, app.tasks[0].completedAt);
+        assert.equal(getRow('Buy milk').classList.contains('completed'), true);
+        assert.equal(document.getElementById('completed-tasks').textContent, '1');
+
+        getRow('Buy milk').querySelector('.task-checkbox').click();
+        assert.equal(app.tasks[0].completed, false);
+        assert.equal(app.tasks[0].completedAt, null);
+        assert.ok(app.tasks[0].updatedAt);
+        assert.equal(document.getElementById('completed-tasks').textContent, '0');
+    });
+
+    it('completes the selected tasks from the toolbar and stamps them as changed', () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+
+        getRow('Buy milk').querySelector('.task-select').click();
+        getRow('Call Ana').querySelector('.task-select').click();
+        document.querySelector('.bulk-btn[data-action="complete"]').click();
+
+        assert.deepEqual(app.tasks.map(task => task.completed), [true, true]);
+        app.tasks.forEach(task => assert.equal(task.updatedAt, task.completedAt));
+        assert.equal(document.getElementById('completed-tasks').textContent, '2');
+    });
+});
+
+describe('deleting tasks', () => {
+    it('moves a deleted task to the trash and deletes it forever once confirmed', async () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+
+        getRow('Buy milk').querySelector('.delete-btn').click();
+        assert.deepEqual(getRowTexts(), ['Call Ana']);
+        assert.equal(document.getElementById('trash-count').textContent, '1');
+
+        clickFilter('trash');
+        assert.deepEqual(getRowTexts(), ['Buy milk']);
+
+        getRow('Buy milk').querySelector('.purge-btn').click();
+        await answerDialog(false);
+        assert.equal(app.tasks.length, 2);
+
+        getRow('Buy milk').querySelector('.purge-btn').click();
+        assert.match(document.querySelector('.modal-message').textContent, /Permanently delete "Buy milk"\?/);
+        await answerDialog(true);
+        await waitFor(() => app.tasks.length === 1);
+
+        assert.deepEqual(app.tasks.map(task => task.text), ['Call Ana']);
+        assert.equal(document.getElementById('empty-state').hidden, false);
+    });
+
+    it('ignores undo shortcuts while a confirmation dialog is open', async () => {
+        submitTask('Buy milk');
+        getRow('Buy milk').querySelector('.delete-btn').click();
+        clickFilter('trash');
+
+        getRow('Buy milk').querySelector('.purge-btn').click();
+        await waitFor(() => document.querySelector('.modal [role="dialog"]'));
+        document.activeElement.dispatchEvent(new KeyboardEvent('keydown', { key: 'z', ctrlKey: true, bubbles: true }));
+        await answerDialog(false);
+
+        assert.equal(app.history.canUndo(), true);
+        assert.ok(app.tasks[0].deletedAt);
+    });
+
+    it('clears completed tasks only after confirmation', async () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+        getRow('Buy milk').querySelector('.task-checkbox').click();
+
+        document.getElementById('clear-completed').click();
+        await answerDialog(false);
+        assert.deepEqual(getRowTexts(), ['Call Ana', 'Buy milk']);
+
+        document.getElementById('clear-completed').click();
+        await answerDialog(true);
+        await waitFor(() => getRowTexts().length === 1);
+        assert.deepEqual(getRowTexts(), ['Call Ana']);
+    });
+});
+
+describe('moving tasks', () => {
+    it('moves selected tasks to another list and brings them back on undo', async () => {
+        app.createList('Work');
+        await waitFor(() => app.getActiveList().name === 'Work');
+        submitTask('Write report');
+        const [home, work] = app.lists;
+        await app.switchList(home.id);
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+
+        getRow('Buy milk').querySelector('.task-select').click();
+        const move = document.querySelector('.bulk-move');
+        move.value = work.id;
+        move.dispatchEvent(new Event('change', { bubbles: true }));
+        await waitFor(() => getRowTexts().length === 1);
+
+        assert.deepEqual(getRowTexts(), ['Call Ana']);
+        assert.equal(app.lists[1].taskCount, 2);
+        assert.equal(app.history.canUndo(), true);
+
+        await app.undo();
+        assert.equal(app.activeListId, home.id);
+        assert.deepEqual(getRowTexts(), ['Call Ana', 'Buy milk']);
+        assert.equal(app.lists[1].taskCount, 1);
+
+        await app.switchList(work.id);
+        assert.deepEqual(getRowTexts(), ['Write report']);
+    });
+});
+
+describe('filtering tasks', () => {
+    it('shows active and completed tasks under their filters and remembers the choice', () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+        getRow('Buy milk').querySelector('.task-checkbox').click();
+
+        clickFilter('active');
+        assert.deepEqual(getRowTexts(), ['Call Ana']);
+        assert.equal(document.querySelector('.filter-btn.active').dataset.filter, 'active');
+
+        clickFilter('completed');
+        assert.deepEqual(getRowTexts(), ['Buy milk']);
+        assert.equal(app.getActiveList().filter, 'completed');
+
+        clickFilter('all');
+        assert.deepEqual(getRowTexts(), ['Call Ana', 'Buy milk']);
+    });
+
+    it('narrows the list as the search box is typed into', async () => {
+        submitTask('Buy milk');
+        submitTask('Call Ana');
+
+        const search = document.getElementById('task-search');
+        search.value = 'milk';
+        search.dispatchEvent(new Event('input', { bubbles: true }));
+
+        await waitFor(() => getRowTexts().length === 1);
+        assert.deepEqual(getRowTexts(), ['Buy milk']);
+    });
+});
+
+describe('closing the page', () => {
+    it('saves nothing when the tasks are already stored', async () => {
+        submitTask('Buy milk');
+        await app.pendingSave;
+        const saveTasks = mock.method(app, 'saveTasks');
+
+        window.dispatchEvent(new Event('beforeunload'));
+        assert.equal(saveTasks.mock.callCount(), 0);
+    });
+
+    it('saves nothing after taking in tasks another tab saved', async () => {
+        submitTask('Buy milk');
+        await app.pendingSave;
+
+        const saved = JSON.parse(localStorage.getItem('taskflow_tasks'));
+        const otherTabTask = { ...saved.tasks[0], id: saved.tasks[0].id + 1, text: 'Call Ana' };
+        localStorage.setItem('taskflow_tasks', JSON.stringify({ ...saved, tasks: [otherTabTask, ...saved.tasks] }));
+        app.handleSyncMessage({ type: 'tasks', listId: app.activeListId });
+        await app.syncQueue;
+        assert.deepEqual(getRowTexts(), ['Call Ana', 'Buy milk']);
+
+        const saveTasks = mock.method(app, 'saveTasks');
+        window.dispatchEvent(new Event('beforeunload'));
+        assert.equal(saveTasks.mock.callCount(), 0);
+    });
+
+    it('saves changes that have not been stored yet, once', () => {
+        submitTask('Buy milk');
+        const saveTasks = mock.method(app, 'saveTasks');
+
+        window.dispatchEvent(new Event('beforeunload'));
+        assert.equal(saveTasks.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,29 @@
+/**
+ * Console test helper - Keeps the modules' progress logging out of test output
+ * The silenced methods are node:test mocks, so tests can still inspect what was logged
+ */
+
+import { mock } from 'node:test';
+
+/**
+ * Replace console.log, info, warn and error with silent mocks
+ */
+export const silenceConsole = () => {
+    ['log', 'info', 'warn', 'error'].forEach(method => {
+        mock.method(console, method, () => {});
+    });
+};
+
+/**
+ * Get the messages passed to a silenced console method since the last reset
+ * @param {string} method - Console method name
+ * @returns {Array} - First argument of every call
+ */
+export const getLogged = (method) => console[method].mock.calls.map(call => String(call.arguments[0]));
+
+/**
+ * Forget earlier console calls
+ */
+export const resetConsole = () => {
+    ['log', 'info', 'warn', 'error'].forEach(method => console[method].mock.resetCalls());
+};
@@ -0,0 +1,141 @@
+/**
+ * DOM test helpers - A simulated browser window and a localStorage stub for tests
+ * Modules read browser APIs as globals, so the window's are copied onto globalThis
+ */
+
+import { readFileSync } from 'node:fs';
+import { JSDOM } from 'jsdom';
+
+// Browser globals the modules and app use; Node's own URL, Blob and BroadcastChannel are left alone
+const WINDOW_GLOBALS = [
+    'window',
+    'document',
+    'navigator',
+    'Node',
+    'HTMLElement',
+    'HTMLFormElement',
+    'HTMLInputElement',
+    'HTMLSelectElement',
+    'DocumentFragment',
+    'MutationObserver',
+    'Event',
+    'KeyboardEvent',
+    'MouseEvent',
+    'FocusEvent',
+    'CustomEvent',
+    'FormData',
+    'FileReader',
+    'getComputedStyle',
+    'requestAnimationFrame',
+    'cancelAnimationFrame'
+];
+
+const INDEX_HTML = new URL('../../index.html', import.meta.url);
+
+/**
+ * Create a localStorage stand-in that can run out of space
+ * Sizes are counted like browsers do: the length of every key and value
+ * @param {Object} options - Stub options
+ * @param {Object} options.entries - Items to start with
+ * @param {number} options.quota - Characters that fit before setItem throws QuotaExceededError
+ * @returns {Object} - Object with the Storage API
+ */
+export const createLocalStorageStub = ({ entries = {}, quota = Infinity } = {}) => {
+    const items = new Map(Object.entries(entries).map(([key, value]) => [key, String(value)]));
+
+    const getUsedSpace = () => {
+        let used = 0;
+        items.forEach((value, key) => {
+            used += key.length + value.length;
+        });
+        return used;
+    };
+
+    return {
+        get length() {
+            return items.size;
+        },
+
+        key(index) {
+            const keys = Array.from(items.keys());
+            return index < keys.length ? keys[index] : null;
+        },
+
+        getItem(key) {
+            return items.has(String(key)) ? items.get(String(key)) : null;
+        },
+
+        setItem(key, value) {
+            key = String(key);
+            value = String(value);
+            const current = items.has(key) ? key.length + items.get(key).length : 0;
+            if (getUsedSpace() - current + key.length + value.length > quota) {
+                throw new DOMException(`Setting the value of '${key}' exceeded the quota.`, 'QuotaExceededError');
+            }
+            items.set(key, value);
+        },
+
+        removeItem(key) {
+            items.delete(String(key));
+        },
+
+        clear() {
+            items.clear();
+        }
+    };
+};
+
+/**
+ * Set up a simulated window and expose it through the usual globals
+ * @param {Object} options - Window options
+ * @param {string} options.html - Page markup; defaults to an empty page
+ * @param {boolean} options.page - Load the app's index.html instead of options.html
+ * @param {Object} options.localStorage - Storage to expose as localStorage (see createLocalStorageStub)
+ * @returns {Object} - { window, document, localStorage, close() }
+ */
+export const setupDOM = ({ html = '<!DOCTYPE html><html><body></body></html>', page = false, localStorage = createLocalStorageStub() } = {}) => {
+    const dom = new JSDOM(page ? readFileSync(INDEX_HTML, 'utf8') : html, {
+        url: 'http://localhost/',
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    Object.defineProperty(window, 'localStorage', { value: localStorage, configurable: true });
+    WINDOW_GLOBALS.forEach(name => {
+        const value = typeof window[name] === 'function' && /^[a-z]/.test(name) ? window[name].bind(window) : window[name];
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    });
+    Object.defineProperty(globalThis, 'localStorage', { value: localStorage, configurable: true, writable: true });
+
+    return {
+        window,
+        document: window.document,
+        localStorage,
+        close() {
+            window.close();
+        }
+    };
+};
+
+/**
+ * Wait for timers and pending promise callbacks
+ * @param {number} ms - Time to wait
+ * @returns {Promise} - Resolves after the wait
+ */
+export const wait = (ms = 0) => new Promise(resolve => setTimeout(resolve, ms));
+
+/**
+ * Wait until a condition holds
+ * @param {Function} condition - Checked every few milliseconds
+ * @param {number} timeout - Time to give up after
+ * @returns {Promise} - Resolves once the condition holds, rejects on timeout
+ */
+export const waitFor = async (condition, timeout = 2000) => {
+    const start = Date.now();
+    while (!condition()) {
+        if (Date.now() - start > timeout) {
+            throw new Error('Timed out waiting for condition');
+        }
+        await wait(5);
+    }
+};
@@ -0,0 +1,8 @@
+/**
+ * Test setup - Loaded with --import before any test file
+ * Registers the module resolution hook in resolve-modules.js
+ */
+
+import { register } from 'node:module';
+
+register('./resolve-modules.js', import.meta.url);
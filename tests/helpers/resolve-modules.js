@@ -0,0 +1,25 @@
+/**
+ * Module resolution hook for tests
+ * app.js imports its modules from './modules/' as they are served; when this checkout keeps
+ * them next to app.js instead, the same import is resolved from there
+ */
+
+const MODULES_PREFIX = './modules/';
+
+/**
+ * Resolve a specifier, retrying './modules/x.js' as './x.js' when it is not found
+ * @param {string} specifier - Import specifier
+ * @param {Object} context - Resolution context
+ * @param {Function} nextResolve - Default resolver
+ * @returns {Promise<Object>} - Resolution result
+ */
+export const resolve = async (specifier, context, nextResolve) => {
+    try {
+        return await nextResolve(specifier, context);
+    } catch (error) {
+        if (error.code !== 'ERR_MODULE_NOT_FOUND' || !specifier.startsWith(MODULES_PREFIX)) {
+            throw error;
+        }
+        return nextResolve(`./${specifier.slice(MODULES_PREFIX.length)}`, context);
+    }
+};
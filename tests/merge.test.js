@@ -0,0 +1,114 @@
+import { describe, it } from 'node:test';
+import assert from 'node:assert/strict';
+import { planMerge, planReplace, describeMergePlan } from '../merge.js';
+
+const createTask = (id, text, overrides = {}) => ({
+    id,
+    text,
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+});
+
+describe('planMerge', () => {
+    it('matches imported tasks by ID first, then by normalized text', () => {
+        const local = [createTask(1, 'Buy milk'), createTask(2, 'Call Ana')];
+        const imported = [
+            createTask(1, 'Buy oat milk', { updatedAt: '2024-02-01T00:00:00.000Z' }),
+            createTask(9, '  call ANA ', { completed: true, updatedAt: '2024-02-01T00:00:00.000Z' }),
+            createTask(10, 'Plan trip')
+        ];
+
+        const plan = planMerge(local, imported);
+
+        assert.deepEqual(plan.updated.map(({ before, after }) => [before.id, after.id, after.text]), [
+            [1, 1, 'Buy oat milk'],
+            [2, 2, '  call ANA ']
+        ]);
+        assert.deepEqual(plan.added.map(task => task.id), [10]);
+        assert.equal(plan.conflicts, 2);
+    });
+
+    it('skips duplicates within the file and unchanged tasks', () => {
+        const local = [createTask(1, 'Buy milk')];
+        const imported = [createTask(1, 'Buy milk'), createTask(5, 'buy milk '), createTask(6, 'New'), createTask(7, 'NEW')];
+
+        const plan = planMerge(local, imported);
+
+        assert.deepEqual(plan.skipped.map(({ task, reason }) => [task.id, reason]), [
+            [1, 'unchanged'],
+            [5, 'duplicate in file'],
+            [7, 'duplicate in file']
+        ]);
+        assert.deepEqual(plan.added.map(task => task.id), [6]);
+        assert.equal(plan.conflicts, 0);
+    });
+
+    it('matches each local task once, taking same-text tasks in list order', () => {
+        const newer = { updatedAt: '2024-02-01T00:00:00.000Z' };
+        const local = [createTask(1, 'Water plants'), createTask(2, 'water plants')];
+        const imported = [
+            createTask(1, 'Dust shelves', newer),
+            createTask(9, 'Water Plants', newer),
+            createTask(1, 'Feed cat')
+        ];
+
+        const plan = planMerge(local, imported);
+
+        // Task 1 was matched by ID, so the same text matches task 2 and the second ID 1 is new
+        assert.deepEqual(plan.updated.map(({ before, after }) => [before.id, after.text]), [
+            [1, 'Dust shelves'],
+            [2, 'Water Plants']
+        ]);
+        assert.deepEqual(plan.added.map(task => task.text), ['Feed cat']);
+        assert.notEqual(plan.added[0].id, 1);
+    });
+
+    it('does not match trashed tasks and gives clashing IDs a new one', () => {
+        const local = [createTask(1, 'Buy milk', { deletedAt: '2024-01-05T00:00:00.000Z' })];
+
+        const plan = planMerge(local, [createTask(1, 'Buy milk')]);
+
+        assert.equal(plan.added.length, 1);
+        assert.notEqual(plan.added[0].id, 1);
+        assert.equal(plan.updated.length, 0);
+    });
+
+    it('resolves conflicts with the chosen strategy', () => {
+        const local = [createTask(1, 'Buy milk', { updatedAt: '2024-03-01T00:00:00.000Z' })];
+        const imported = [createTask(1, 'Buy oat milk', { updatedAt: '2024-02-01T00:00:00.000Z' })];
+
+        assert.deepEqual(planMerge(local, imported, 'keep-newest').skipped, [{ task: local[0], reason: 'kept local' }]);
+        assert.deepEqual(planMerge(local, imported, 'keep-local').skipped, [{ task: local[0], reason: 'kept local' }]);
+        assert.equal(planMerge(local, imported, 'keep-imported').updated[0].after.text, 'Buy oat milk');
+
+        const both = planMerge(local, imported, 'keep-both');
+        assert.equal(both.added[0].text, 'Buy oat milk');
+        assert.notEqual(both.added[0].id, 1);
+    });
+
+    it('plans large imports in roughly linear time', () => {
+        const size = 20000;
+        const local = Array.from({ length: size }, (_, index) => createTask(index + 1, `Task ${index}`));
+        const imported = Array.from({ length: size }, (_, index) => createTask(size + index + 1, ` task ${index}`, {
+            completed: true,
+            updatedAt: '2024-02-01T00:00:00.000Z'
+        }));
+
+        const start = performance.now();
+        const plan = planMerge(local, imported);
+        const elapsed = performance.now() - start;
+
+        assert.equal(plan.updated.length, size);
+        // Scanning the list for every imported task took tens of seconds at this size
+        assert.ok(elapsed < 2000, `planMerge took ${Math.round(elapsed)} ms`);
+    });
+});
+
+describe('planReplace and describeMergePlan', () => {
+    it('describes replacing the list', () => {
+        const plan = planReplace([createTask(1, 'A'), createTask(2, 'B')], [createTask(3, 'C')]);
+        assert.equal(describeMergePlan(plan), '2 removed, 1 added, 0 updated, 0 skipped');
+        assert.equal(describeMergePlan({ added: [], updated: [1], skipped: [1, 2] }), '0 added, 1 updated, 2 skipped');
+    });
+});
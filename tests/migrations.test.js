@@ -0,0 +1,231 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFileSync } from 'node:fs';
+import { createLocalStorageStub } from './helpers/dom.js';
+import { silenceConsole, getLogged, resetConsole } from './helpers/console.js';
+import { TASKS_SCHEMA_VERSION, compareVersions, migrateTaskPayload, describeMigration } from '../migrations.js';
+import { initStorage, loadTasks, importTasks } from '../storage.js';
+
+/**
+ * Read a fixture as the raw JSON text a file or storage entry would hold
+ * @param {string} name - File name in tests/fixtures
+ * @returns {string} - JSON text
+ */
+const readFixture = (name) => readFileSync(new URL(`./fixtures/${name}`, import.meta.url), 'utf8');
+
+/**
+ * Parse a fresh copy of a fixture
+ * @param {string} name - File name in tests/fixtures
+ * @returns {*} - Parsed payload
+ */
+const loadFixture = (name) => JSON.parse(readFixture(name));
+
+/**
+ * Migrate a fixture and check the input came through untouched
+ * @param {string} name - File name in tests/fixtures
+ * @returns {Object} - { payload, report } from migrateTaskPayload
+ */
+const migrateFixture = (name) => {
+    const input = loadFixture(name);
+    const result = migrateTaskPayload(input);
+    assert.deepEqual(input, loadFixture(name), 'migrateTaskPayload must not mutate its input');
+    return result;
+};
+
+/**
+ * Give the storage module a fresh localStorage that records the order of writes
+ * @param {Object} entries - Items to start with
+ * @returns {Object} - { storage, writes } where writes lists the keys set, in order
+ */
+const useRecordingStorage = (entries) => {
+    const storage = createLocalStorageStub({ entries });
+    const writes = [];
+    const setItem = storage.setItem;
+    storage.setItem = (key, value) => {
+        writes.push(key);
+        setItem(key, value);
+    };
+    globalThis.localStorage = storage;
+    return { storage, writes };
+};
+
+silenceConsole();
+
+describe('compareVersions', () => {
+    it('compares dotted versions numerically', () => {
+        assert.ok(compareVersions('1.10', '1.9') > 0);
+        assert.ok(compareVersions('0', '1.0') < 0);
+        assert.equal(compareVersions('1.1', '1.1.0'), 0);
+    });
+});
+
+describe('migrateTaskPayload', () => {
+    it('wraps a bare array (version 0) and brings it up to date', () => {
+        const { payload, report } = migrateFixture('tasks-v0.json');
+
+        assert.equal(payload.version, TASKS_SCHEMA_VERSION);
+        assert.equal(typeof payload.timestamp, 'number');
+        assert.deepEqual(payload.tasks[0], {
+            id: 1,
+            text: 'Buy milk',
+            completed: false,
+            createdAt: '2023-05-01T09:00:00.000Z',
+            dueDate: null,
+            priority: 'normal',
+            tags: [],
+            subtasks: [],
+            recurrence: null
+        });
+
+        assert.equal(report.fromVersion, '0');
+        assert.equal(report.toVersion, '1.1');
+        assert.equal(report.migrated, true);
+        assert.equal(report.error, null);
+        assert.deepEqual(report.steps.map(step => [step.from, step.to]), [['0', '1.0'], ['1.0', '1.1']]);
+        assert.deepEqual(report.steps[0].changes, ['Wrapped 2 task(s) in a versioned payload']);
+        assert.deepEqual(report.steps[1].changes, ['Added missing fields with defaults to 2 task(s)']);
+    });
+
+    it('converts string IDs and "true" completion flags from version 1.0', () => {
+        const { payload, report } = migrateFixture('tasks-v1.0.json');
+
+        assert.deepEqual(payload.tasks.map(task => [task.id, task.completed]), [[1, true], [2, false], [3, false]]);
+        assert.equal(payload.tasks[2].dueDate, '2023-12-01');
+        assert.equal(payload.timestamp, 1700000000000);
+
+        assert.equal(report.fromVersion, '1.0');
+        assert.equal(report.error, null);
+        assert.equal(report.steps.length, 1);
+        assert.equal(report.steps[0].description, 'Coerce IDs and completion flags, add due date, priority, tags, checklist and repeat fields');
+        assert.deepEqual(report.steps[0].changes, [
+            'Converted 2 text ID(s) to numbers',
+            'Converted 2 completion flag(s) to true/false',
+            'Added missing fields with defaults to 3 task(s)'
+        ]);
+    });
+
+    it('treats a versionless payload object as version 1.0', () => {
+        const input = { tasks: [{ id: 1, text: 'A', completed: false }] };
+        assert.equal(migrateTaskPayload(input).report.fromVersion, '1.0');
+    });
+
+    it('returns a current (1.1) payload unchanged', () => {
+        const input = loadFixture('tasks-v1.1.json');
+        const { payload, report } = migrateTaskPayload(input);
+
+        assert.equal(payload, input);
+        assert.deepEqual(report, { fromVersion: '1.1', toVersion: '1.1', migrated: false, steps: [], error: null });
+        assert.equal(describeMigration(report), 'Task data is up to date (version 1.1)');
+    });
+
+    it('refuses data from a newer version and leaves it as it is', () => {
+        const input = loadFixture('tasks-v9.0.json');
+        const { payload, report } = migrateTaskPayload(input);
+
+        assert.equal(payload, input);
+        assert.equal(report.fromVersion, '9.0');
+        assert.equal(report.migrated, false);
+        assert.deepEqual(report.steps, []);
+        assert.equal(report.error, 'Task data is from a newer version (9.0) of TaskFlow Lite');
+    });
+
+    it('reports an unrecognised object without touching it', () => {
+        const input = loadFixture('tasks-unrecognised.json');
+        const { payload, report } = migrateTaskPayload(input);
+
+        assert.equal(payload, input);
+        assert.equal(report.fromVersion, null);
+        assert.deepEqual(report.steps, []);
+        assert.equal(report.error, 'Unrecognised task data format');
+        assert.equal(migrateTaskPayload('tasks').report.error, 'Unrecognised task data format');
+    });
+
+    it('summarizes every step’s changes in one line', () => {
+        const { report } = migrateFixture('tasks-v1.0.json');
+        assert.equal(describeMigration(report),
+            'Upgraded task data from version 1.0 to 1.1: Converted 2 text ID(s) to numbers; ' +
+            'Converted 2 completion flag(s) to true/false; Added missing fields with defaults to 3 task(s)');
+    });
+});
+
+describe('upgrading stored tasks', () => {
+    beforeEach(async () => {
+        globalThis.localStorage = createLocalStorageStub();
+        await initStorage();
+        resetConsole();
+    });
+
+    it('writes the backup before replacing the stored payload', async () => {
+        const stored = readFixture('tasks-v1.0.json');
+        const { storage, writes } = useRecordingStorage({ taskflow_tasks: stored });
+
+        const tasks = await loadTasks();
+
+        assert.deepEqual(writes, ['taskflow_tasks_backup_v1.0', 'taskflow_tasks']);
+        assert.deepEqual(JSON.parse(storage.getItem('taskflow_tasks_backup_v1.0')), JSON.parse(stored));
+        assert.equal(JSON.parse(storage.getItem('taskflow_tasks')).version, TASKS_SCHEMA_VERSION);
+        assert.deepEqual(tasks.map(task => [task.id, task.completed]), [[1, true], [2, false], [3, false]]);
+        assert.ok(getLogged('log').some(message => message.includes('backup kept under taskflow_tasks_backup_v1.0')));
+    });
+
+    it('keeps a bare array under a version 0 backup, per list', async () => {
+        const stored = readFixture('tasks-v0.json');
+        const { storage, writes } = useRecordingStorage({ taskflow_tasks_work: stored });
+
+        assert.equal((await loadTasks('work')).length, 2);
+        assert.deepEqual(writes, ['taskflow_tasks_work_backup_v0', 'taskflow_tasks_work']);
+        assert.deepEqual(JSON.parse(storage.getItem('taskflow_tasks_work_backup_v0')), JSON.parse(stored));
+    });
+
+    it('leaves the original in place when the backup cannot be written', async () => {
+        const stored = readFixture('tasks-v1.0.json');
+        globalThis.localStorage = createLocalStorageStub({
+            entries: { taskflow_tasks: stored },
+            quota: 'taskflow_tasks'.length + stored.length
+        });
+
+        assert.equal((await loadTasks()).length, 3);
+        assert.equal(localStorage.getItem('taskflow_tasks'), stored);
+        assert.equal(localStorage.length, 1);
+        assert.ok(getLogged('error').some(message => message.includes('will be migrated again next time')));
+    });
+
+    it('writes nothing for current or newer data', async () => {
+        const { writes } = useRecordingStorage({
+            taskflow_tasks: readFixture('tasks-v1.1.json'),
+            taskflow_tasks_future: readFixture('tasks-v9.0.json')
+        });
+
+        assert.equal((await loadTasks()).length, 1);
+        assert.equal((await loadTasks('future')).length, 1);
+        assert.deepEqual(writes, []);
+        assert.ok(getLogged('warn').some(message => message.startsWith('Task data is from a newer version (9.0)')));
+    });
+});
+
+describe('migrating imported files', () => {
+    beforeEach(resetConsole);
+
+    it('upgrades bare arrays and version 1.0 files before cleaning them', () => {
+        const fromArray = importTasks(readFixture('tasks-v0.json'));
+        assert.deepEqual(fromArray.map(task => task.text), ['Buy milk', 'Call the bank']);
+
+        const fromOld = importTasks(readFixture('tasks-v1.0.json'));
+        assert.deepEqual(fromOld.map(task => [task.id, task.completed]), [[1, true], [2, false], [3, false]]);
+        assert.ok(getLogged('log').includes(describeMigration(migrateFixture('tasks-v1.0.json').report)));
+    });
+
+    it('imports current files as they are', () => {
+        const [task] = importTasks(readFixture('tasks-v1.1.json'));
+        assert.equal(task.priority, 'high');
+        assert.deepEqual(task.tags, ['errand']);
+        assert.equal(task.subtasks[0].text, 'Oat milk');
+    });
+
+    it('rejects files from a newer version or without tasks', () => {
+        assert.throws(() => importTasks(readFixture('tasks-v9.0.json')),
+            { message: 'Import failed: Task data is from a newer version (9.0) of TaskFlow Lite' });
+        assert.throws(() => importTasks(readFixture('tasks-unrecognised.json')),
+            { message: 'Import failed: Import data missing tasks array' });
+    });
+});
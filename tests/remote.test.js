@@ -0,0 +1,447 @@
+import { describe, it, before, after, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, waitFor } from './helpers/dom.js';
+import { silenceConsole } from './helpers/console.js';
+import { SYNC_STATUS, getRetryDelay, createSyncState, createRestAdapter, createRemoteSync } from '../remote.js';
+import { createMockServer } from '../mock-server.mjs';
+
+const createTask = (id, text, overrides = {}) => ({
+    id,
+    text,
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+});
+
+/**
+ * Start the mock sync server on a free port, with a fetch that records and can fail requests
+ * @returns {Promise<Object>} - { baseUrl, requests, fetchImpl, getList(listId), setList(listId, tasks),
+ *   failNext(count, failure), clearRequests(), close() }
+ */
+const startServer = async () => {
+    const server = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    const baseUrl = `http://127.0.0.1:${server.address().port}`;
+    // Every request as { method, path, headers, body, status }
+    const requests = [];
+    let failures = [];
+
+    const fetchImpl = async (url, options = {}) => {
+        const { method = 'GET', headers = {}, body } = options;
+        const path = new URL(url).pathname;
+        const parsedBody = body === undefined ? undefined : JSON.parse(body);
+
+        if (failures.length > 0 && (!failures[0].method || failures[0].method === method)) {
+            const failure = failures.shift();
+            requests.push({ method, path, headers, body: parsedBody, status: failure.status || 'network error' });
+            if (failure.error) throw failure.error;
+            return new Response(JSON.stringify({ error: 'Simulated failure' }), { status: failure.status });
+        }
+
+        const response = await fetch(url, options);
+        requests.push({ method, path, headers, body: parsedBody, status: response.status });
+        return response;
+    };
+
+    /**
+     * Read a list straight from the server
+     * @param {string} listId - List ID
+     * @returns {Promise<Object|null>} - { name, tasks, etag }, or null when the server does not have it
+     */
+    const getList = async (listId) => {
+        const response = await fetch(`${baseUrl}/lists/${encodeURIComponent(listId)}/tasks`);
+        if (response.status === 404) return null;
+        return { ...(await response.json()), etag: response.headers.get('ETag') };
+    };
+
+    return {
+        baseUrl,
+        requests,
+        fetchImpl,
+        getList,
+
+        /**
+         * Change a list on the server as another client would
+         * @param {string} listId - List ID
+         * @param {Array} tasks - New tasks
+         * @returns {Promise<string>} - The list's new ETag
+         */
+        async setList(listId, tasks) {
+            const current = await getList(listId);
+            const response = await fetch(`${baseUrl}/lists/${encodeURIComponent(listId)}/tasks`, {
+                method: 'PUT',
+                headers: current ? { 'If-Match': current.etag } : { 'If-None-Match': '*' },
+                body: JSON.stringify({ name: listId, tasks })
+            });
+            return response.headers.get('ETag');
+        },
+
+        /**
+         * Fail the next requests, with an HTTP status or by throwing like fetch does offline
+         * @param {number} count - Number of requests to fail
+         * @param {Object} failure - { status } or { error }, plus a method to fail only those requests
+         */
+        failNext(count, failure = { status: 503 }) {
+            failures = Array.from({ length: count }, () => failure);
+        },
+
+        clearRequests() {
+            requests.length = 0;
+        },
+
+        close() {
+            server.closeAllConnections();
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+};
+
+/**
+ * Create a sync engine over in-memory local lists
+ * @param {Object} server - Server from startServer
+ * @param {Object} localLists - listId -> tasks held locally
+ * @param {Object} savedState - Sync state to start from
+ * @returns {Object} - { sync, local, statuses, merges, remoteLists, removedLists, getSavedState() }
+ */
+const createClient = (server, localLists, savedState = createSyncState()) => {
+    const local = new Map(Object.entries(localLists));
+    const statuses = [];
+    const merges = [];
+    const remoteLists = [];
+    const removedLists = [];
+    let saved = savedState;
+
+    const sync = createRemoteSync({
+        adapter: createRestAdapter({ baseUrl: `${server.baseUrl}/`, fetchImpl: server.fetchImpl }),
+        loadState: async () => saved,
+        saveState: async (state) => {
+            saved = JSON.parse(JSON.stringify(state));
+        },
+        getListIds: () => Array.from(local.keys()),
+        getListName: (listId) => listId,
+        getTasks: async (listId) => local.get(listId) || [],
+        setTasks: async (listId, tasks, conflicts) => {
+            local.set(listId, tasks);
+            merges.push({ listId, tasks, conflicts });
+        },
+        onRemoteList: (list) => {
+            remoteLists.push(list);
+            local.set(list.id, []);
+        },
+        onRemoteDelete: (listId) => {
+            removedLists.push(listId);
+            local.delete(listId);
+        },
+        onStatusChange: (status) => statuses.push(status),
+        // Tests trigger runs themselves
+        pollInterval: 60 * 60 * 1000
+    });
+
+    return { sync, local, statuses, merges, remoteLists, removedLists, getSavedState: () => saved };
+};
+
+const describeRequests = (requests) => requests.map(request => `${request.method} ${request.path} ${request.status}`);
+
+let dom;
+let server;
+let client;
+
+silenceConsole();
+
+before(() => {
+    dom = setupDOM();
+});
+
+after(() => dom.close());
+
+afterEach(async () => {
+    if (client) {
+        client.sync.stop();
+        client = null;
+    }
+    if (server) {
+        await server.close();
+        server = null;
+    }
+});
+
+describe('getRetryDelay', () => {
+    it('doubles from one second and stops at a minute', () => {
+        assert.deepEqual([0, 1, 2, 3, 4, 5].map(getRetryDelay), [1000, 2000, 4000, 8000, 16000, 32000]);
+        assert.equal(getRetryDelay(6), 60000);
+        assert.equal(getRetryDelay(20), 60000);
+    });
+});
+
+describe('createRestAdapter', () => {
+    it('answers 304 when the ETag still matches', async () => {
+        server = await startServer();
+        const etag = await server.setList('default', [createTask(1, 'Buy milk')]);
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+
+        const first = await adapter.pull('default', null);
+        assert.equal(first.status, 'ok');
+        assert.equal(first.etag, etag);
+        assert.equal(server.requests[0].headers['If-None-Match'], undefined);
+
+        assert.deepEqual(await adapter.pull('default', etag), { status: 'unchanged', etag });
+        assert.equal(server.requests[1].headers['If-None-Match'], etag);
+        assert.equal(server.requests[1].status, 304);
+    });
+
+    it('reports unknown lists as missing', async () => {
+        server = await startServer();
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+        assert.deepEqual(await adapter.pull('work', '"old"'), { status: 'missing', etag: null });
+    });
+
+    it('creates lists with If-None-Match: * and updates them with If-Match', async () => {
+        server = await startServer();
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+        const tasks = [createTask(1, 'Buy milk')];
+
+        const created = await adapter.push('my list', { name: 'My list', tasks }, null);
+        assert.equal(server.requests[0].path, '/lists/my%20list/tasks');
+        assert.equal(server.requests[0].headers['If-None-Match'], '*');
+        assert.equal(created.status, 'ok');
+
+        const updated = await adapter.push('my list', { name: 'My list', tasks: [] }, created.etag);
+        assert.equal(server.requests[1].headers['If-Match'], created.etag);
+        assert.equal(updated.status, 'ok');
+        assert.deepEqual((await server.getList('my list')).tasks, []);
+    });
+
+    it('returns the server copy on a 412 conflict', async () => {
+        server = await startServer();
+        const serverTasks = [createTask(1, 'Buy milk'), createTask(2, 'Call Ana')];
+        const etag = await server.setList('default', serverTasks);
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+
+        const result = await adapter.push('default', { name: 'default', tasks: [] }, '"stale"');
+        assert.deepEqual(result, { status: 'conflict', name: 'default', tasks: serverTasks, etag });
+    });
+
+    it('deletes lists, treating one that is already gone as deleted', async () => {
+        server = await startServer();
+        await server.setList('work', []);
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+
+        await adapter.remove('work');
+        await adapter.remove('work');
+        assert.deepEqual(describeRequests(server.requests), ['DELETE /lists/work 204', 'DELETE /lists/work 404']);
+        assert.equal(await server.getList('work'), null);
+    });
+
+    it('throws with the status for other failures', async () => {
+        server = await startServer();
+        server.failNext(1);
+        const adapter = createRestAdapter({ baseUrl: server.baseUrl, fetchImpl: server.fetchImpl });
+
+        await assert.rejects(adapter.listLists(), { message: 'Sync server answered 503', status: 503 });
+    });
+});
+
+describe('createRemoteSync', () => {
+    it('pushes a list the server does not know (404) as a new list', async () => {
+        server = await startServer();
+        const tasks = [createTask(1, 'Buy milk')];
+        client = createClient(server, { default: tasks });
+
+        await client.sync.start();
+
+        assert.deepEqual(describeRequests(server.requests), [
+            'GET /lists 200',
+            'GET /lists/default/tasks 404',
+            'PUT /lists/default/tasks 200'
+        ]);
+        assert.equal(server.requests[2].headers['If-None-Match'], '*');
+        assert.deepEqual((await server.getList('default')).tasks, tasks);
+        assert.deepEqual(client.sync.getStatus(), { status: 'synced', label: SYNC_STATUS.synced, pending: 0 });
+        assert.equal(client.getSavedState().lists.default.etag, (await server.getList('default')).etag);
+    });
+
+    it('sends the ETag it has and changes nothing on a 304', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [createTask(1, 'Buy milk')] });
+        await client.sync.start();
+        const { etag } = await server.getList('default');
+        server.clearRequests();
+
+        await client.sync.syncNow();
+
+        assert.deepEqual(describeRequests(server.requests), ['GET /lists 200', 'GET /lists/default/tasks 304']);
+        assert.equal(server.requests[1].headers['If-None-Match'], etag);
+        assert.deepEqual(client.merges, []);
+    });
+
+    it('merges the server copy after a 412 conflict and pushes the result', async () => {
+        server = await startServer();
+        const shared = createTask(1, 'Buy milk');
+        client = createClient(server, { default: [shared] });
+        await client.sync.start();
+
+        // Another client adds a task while this one adds its own
+        const theirs = createTask(2, 'Call Ana');
+        const theirETag = await server.setList('default', [shared, theirs]);
+        const mine = createTask(3, 'Plan trip');
+        client.local.set('default', [mine, shared]);
+        server.clearRequests();
+
+        client.sync.queueChange('default');
+        await waitFor(() => client.sync.getStatus().status === 'synced' && server.requests.length > 0);
+
+        assert.deepEqual(describeRequests(server.requests), [
+            'PUT /lists/default/tasks 412',
+            'PUT /lists/default/tasks 200'
+        ]);
+        const merged = client.local.get('default');
+        assert.deepEqual(merged.map(task => task.id).sort(), [1, 2, 3]);
+        assert.deepEqual(client.merges.map(merge => merge.conflicts), [[]]);
+        assert.deepEqual((await server.getList('default')).tasks, merged);
+        assert.equal(server.requests[1].headers['If-Match'], theirETag);
+        assert.equal(client.getSavedState().lists.default.etag, (await server.getList('default')).etag);
+    });
+
+    it('picks up lists that only exist on the server', async () => {
+        server = await startServer();
+        await server.setList('work', [createTask(5, 'Report')]);
+        client = createClient(server, { default: [] });
+
+        await client.sync.start();
+
+        assert.deepEqual(client.remoteLists, [{ id: 'work', name: 'work' }]);
+        assert.deepEqual(client.local.get('work').map(task => task.id), [5]);
+    });
+
+    it('deletes queued lists on the server before pulling', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [], work: [createTask(5, 'Report')] });
+        await client.sync.start();
+        assert.ok(await server.getList('work'));
+
+        client.local.delete('work');
+        client.sync.queueDelete('work');
+        assert.deepEqual(client.getSavedState().deleted, ['work']);
+        server.clearRequests();
+
+        await client.sync.syncNow();
+
+        assert.deepEqual(describeRequests(server.requests).slice(0, 2), ['DELETE /lists/work 204', 'GET /lists 200']);
+        assert.equal(await server.getList('work'), null);
+        assert.deepEqual(client.getSavedState().deleted, []);
+        assert.equal(client.getSavedState().lists.work, undefined);
+        assert.deepEqual(client.remoteLists, []);
+    });
+
+    it('removes a list another device deleted instead of uploading it again', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [], work: [createTask(5, 'Report')] });
+        await client.sync.start();
+        const otherDevice = createClient(server, {});
+
+        try {
+            await otherDevice.sync.start();
+            assert.deepEqual(Array.from(otherDevice.local.keys()).sort(), ['default', 'work']);
+
+            client.local.delete('work');
+            client.sync.queueDelete('work');
+            await client.sync.syncNow();
+            server.clearRequests();
+
+            // An edit made before the device heard about the delete does not bring the list back
+            otherDevice.local.set('work', [createTask(6, 'Send report')]);
+            otherDevice.sync.queueChange('work');
+            await otherDevice.sync.syncNow();
+
+            assert.deepEqual(otherDevice.removedLists, ['work']);
+            assert.deepEqual(Array.from(otherDevice.local.keys()), ['default']);
+            assert.deepEqual(describeRequests(server.requests), ['GET /lists 200', 'GET /lists/default/tasks 304']);
+            assert.equal(await server.getList('work'), null);
+            assert.equal(otherDevice.getSavedState().lists.work, undefined);
+            assert.deepEqual(otherDevice.getSavedState().queue, []);
+        } finally {
+            otherDevice.sync.stop();
+        }
+    });
+
+    it('keeps queued changes and deletions through failed runs', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [createTask(1, 'Buy milk')], work: [] });
+        await client.sync.start();
+
+        client.local.set('default', [createTask(2, 'Call Ana'), createTask(1, 'Buy milk')]);
+        client.local.delete('work');
+        client.sync.queueDelete('work');
+        client.sync.queueChange('default');
+        server.failNext(2);
+
+        await client.sync.syncNow();
+        assert.equal(client.sync.getStatus().status, 'error');
+        assert.deepEqual(client.getSavedState().deleted, ['work']);
+        assert.deepEqual(client.getSavedState().queue, ['default']);
+
+        server.failNext(1, { error: new TypeError('Failed to fetch') });
+        await client.sync.syncNow();
+        assert.deepEqual(client.sync.getStatus(), { status: 'offline', label: SYNC_STATUS.offline, pending: 1 });
+        assert.deepEqual(client.getSavedState().queue, ['default']);
+
+        // A change made while offline joins the queue without starting a run
+        client.sync.queueChange('default');
+        assert.deepEqual(client.getSavedState().queue, ['default']);
+        assert.equal(client.statuses[client.statuses.length - 1].pending, 1);
+
+        await client.sync.syncNow();
+        assert.equal(client.sync.getStatus().status, 'synced');
+        assert.deepEqual(client.getSavedState().queue, []);
+        assert.deepEqual(client.getSavedState().deleted, []);
+        assert.equal(await server.getList('work'), null);
+        assert.deepEqual((await server.getList('default')).tasks.map(task => task.id), [2, 1]);
+    });
+
+    it('requeues a list whose push fails', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [createTask(1, 'Buy milk')] });
+        await client.sync.start();
+        server.clearRequests();
+
+        client.local.set('default', []);
+        client.sync.queueChange('default');
+        server.failNext(1, { status: 500, method: 'PUT' });
+        await client.sync.syncNow();
+
+        assert.deepEqual(describeRequests(server.requests), [
+            'GET /lists 200',
+            'GET /lists/default/tasks 304',
+            'PUT /lists/default/tasks 500'
+        ]);
+        assert.deepEqual(client.sync.getStatus(), { status: 'error', label: SYNC_STATUS.error, pending: 1 });
+        assert.equal(client.statuses[client.statuses.length - 1].detail, 'Sync server answered 500');
+    });
+
+    it('backs off between retries and starts over after a success', async () => {
+        server = await startServer();
+        client = createClient(server, { default: [] });
+        await client.sync.start();
+        const setTimeoutMock = mock.method(globalThis, 'setTimeout');
+        // fetch sets timers of its own, so only those set in remote.js count
+        const getRetryDelays = () => setTimeoutMock.mock.calls
+            .filter(call => /\/remote\.js:/.test(call.stack.stack))
+            .map(call => call.arguments[1])
+            .filter(delay => delay >= 1000);
+
+        try {
+            for (let run = 0; run < 4; run++) {
+                server.failNext(1);
+                await client.sync.syncNow();
+            }
+            assert.deepEqual(getRetryDelays(), [1000, 2000, 4000, 8000]);
+
+            await client.sync.syncNow();
+            server.failNext(1);
+            await client.sync.syncNow();
+            assert.deepEqual(getRetryDelays(), [1000, 2000, 4000, 8000, 1000]);
+        } finally {
+            setTimeoutMock.mock.restore();
+        }
+    });
+});
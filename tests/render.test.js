@@ -0,0 +1,597 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, wait } from './helpers/dom.js';
+import { silenceConsole } from './helpers/console.js';
+import { toDateKey } from '../dates.js';
+import {
+    SORT_MODES,
+    escapeHTML,
+    normalizeSearchText,
+    matchesSearch,
+    highlightMatches,
+    createTaskElement,
+    getSubtaskProgress,
+    showTaskEditor,
+    reconcileTaskList,
+    getFocusedTaskId,
+    focusTaskRow,
+    renderTaskList,
+    filterTasks,
+    sortTasks,
+    getTagCounts,
+    renderTagBar,
+    showEmptyState,
+    hideEmptyState,
+    updateTaskCount,
+    renderSyncStatus,
+    renderListSwitcher,
+    updateFilterButtons,
+    updateTaskSelection,
+    renderSelectionToolbar,
+    renderTrashControls,
+    renderArchive,
+    showValidationMessage,
+    clearValidationMessage,
+    downloadFile,
+    renderImportPreview,
+    renderImportPlan,
+    announce,
+    showLoading,
+    hideLoading,
+    animateElement,
+    debounce,
+    throttle
+} from '../render.js';
+
+const createTask = (overrides = {}) => ({
+    id: 1,
+    text: 'Buy milk',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    priority: 'normal',
+    tags: [],
+    ...overrides
+});
+
+/**
+ * Get a date key a number of days from today
+ * @param {number} days - Days to add (negative for the past)
+ * @returns {string} - 'YYYY-MM-DD'
+ */
+const daysFromToday = (days) => {
+    const date = new Date();
+    date.setDate(date.getDate() + days);
+    return toDateKey(date);
+};
+
+const getRowIds = (list) => Array.from(list.querySelectorAll('.task-item'), row => row.dataset.id);
+
+let dom;
+let taskList;
+
+silenceConsole();
+
+before(() => {
+    dom = setupDOM({ page: true });
+});
+
+after(() => dom.close());
+
+beforeEach(() => {
+    taskList = document.getElementById('task-list');
+    taskList.innerHTML = '';
+});
+
+describe('text helpers', () => {
+    it('escapeHTML escapes markup', () => {
+        assert.equal(escapeHTML('<img src=x onerror="a()">&'), '&lt;img src=x onerror="a()"&gt;&amp;');
+    });
+
+    it('normalizeSearchText lowercases and removes accents', () => {
+        assert.equal(normalizeSearchText('Crème BRÛLÉE'), 'creme brulee');
+    });
+
+    it('matchesSearch needs every term in the text or tags', () => {
+        const task = createTask({ text: 'Café with Ana', tags: ['errand'] });
+        assert.equal(matchesSearch(task, 'cafe ERRAND'), true);
+        assert.equal(matchesSearch(task, 'cafe work'), false);
+        assert.equal(matchesSearch(task, '   '), true);
+    });
+
+    it('highlightMatches marks matches in the original text and escapes the rest', () => {
+        assert.equal(highlightMatches('Café <b>crème</b>', 'cafe creme'),
+            '<mark class="search-match">Café</mark> &lt;b&gt;<mark class="search-match">crème</mark>&lt;/b&gt;');
+        assert.equal(highlightMatches('banana split', 'ban ana'), '<mark class="search-match">bana</mark>na split');
+        assert.equal(highlightMatches('<i>', ''), '&lt;i&gt;');
+    });
+});
+
+describe('createTaskElement', () => {
+    it('builds a row with escaped text and the task’s state', () => {
+        const row = createTaskElement(createTask({
+            text: '<script>x</script>',
+            completed: true,
+            priority: 'high',
+            tags: ['home'],
+            recurrence: { frequency: 'daily', interval: 1 }
+        }));
+
+        assert.equal(row.dataset.id, '1');
+        assert.equal(row.classList.contains('completed'), true);
+        assert.equal(row.querySelector('script'), null);
+        assert.equal(row.querySelector('.task-text').textContent, '<script>x</script>');
+        assert.equal(row.querySelector('.task-checkbox').checked, true);
+        assert.equal(row.querySelector('.priority-badge').dataset.priority, 'high');
+        assert.equal(row.querySelector('.tag-chip').dataset.tag, 'home');
+        assert.ok(row.querySelector('.recurrence-badge'));
+        assert.equal(row.querySelector('.drag-handle'), null);
+    });
+
+    it('shows overdue, selection, drag handle and an open checklist when asked', () => {
+        const task = createTask({ dueDate: daysFromToday(-2), subtasks: [{ id: 5, text: 'Step', completed: true }] });
+        const row = createTaskElement(task, {
+            reorderable: true,
+            selectedTaskIds: new Set([1]),
+            expandedTaskIds: new Set([1]),
+            query: 'milk'
+        });
+
+        assert.equal(row.classList.contains('overdue'), true);
+        assert.equal(row.classList.contains('selected'), true);
+        assert.equal(row.querySelector('.task-select').checked, true);
+        assert.ok(row.querySelector('.drag-handle'));
+        assert.equal(row.querySelector('.subtasks-progress').textContent, '1/1 done');
+        assert.equal(row.querySelector('.subtasks-body').hidden, false);
+        assert.equal(row.querySelector('mark').textContent, 'milk');
+    });
+
+    it('offers only restore and delete forever for trashed tasks', () => {
+        const row = createTaskElement(createTask({ deletedAt: '2024-02-01T00:00:00.000Z' }));
+        assert.equal(row.classList.contains('trashed'), true);
+        assert.ok(row.querySelector('.restore-btn'));
+        assert.ok(row.querySelector('.purge-btn'));
+        assert.equal(row.querySelector('.task-checkbox'), null);
+    });
+});
+
+describe('getSubtaskProgress', () => {
+    it('counts done and total checklist items', () => {
+        assert.deepEqual(getSubtaskProgress(createTask({ subtasks: [{ completed: true }, { completed: false }] })), { done: 1, total: 2 });
+        assert.deepEqual(getSubtaskProgress(createTask()), { done: 0, total: 0 });
+    });
+});
+
+describe('showTaskEditor', () => {
+    it('swaps the text for a focused input', () => {
+        const row = createTaskElement(createTask());
+        taskList.appendChild(row);
+
+        const input = showTaskEditor(row, 'Buy milk');
+        assert.equal(input.value, 'Buy milk');
+        assert.equal(document.activeElement, input);
+        assert.equal(row.classList.contains('editing'), true);
+        assert.equal(row.querySelector('.task-text'), null);
+        assert.equal(showTaskEditor(null, 'x'), null);
+    });
+
+    it('makes the next reconcile rebuild the row', () => {
+        const tasks = [createTask()];
+        reconcileTaskList(taskList, tasks);
+        showTaskEditor(taskList.firstElementChild, 'Buy milk');
+
+        assert.equal(reconcileTaskList(taskList, tasks).updated, 1);
+        assert.ok(taskList.querySelector('.task-text'));
+    });
+});
+
+describe('reconcileTaskList', () => {
+    const tasks = [createTask({ id: 1 }), createTask({ id: 2, text: 'Call' }), createTask({ id: 3, text: 'Read' })];
+
+    it('creates rows on first render and keeps unchanged ones afterwards', () => {
+        assert.deepEqual(reconcileTaskList(taskList, tasks), { created: 3, updated: 0, moved: 0, removed: 0 });
+        const firstRow = taskList.firstElementChild;
+
+        assert.deepEqual(reconcileTaskList(taskList, tasks), { created: 0, updated: 0, moved: 0, removed: 0 });
+        assert.equal(taskList.firstElementChild, firstRow);
+    });
+
+    it('rebuilds changed rows, removes missing ones and fixes the order', () => {
+        reconcileTaskList(taskList, tasks);
+        const next = [createTask({ id: 3, text: 'Read' }), { ...tasks[0], completed: true }];
+        next[0] = tasks[2];
+
+        const stats = reconcileTaskList(taskList, next);
+        assert.deepEqual(stats, { created: 0, updated: 1, moved: 1, removed: 1 });
+        assert.deepEqual(getRowIds(taskList), ['3', '1']);
+        assert.equal(taskList.querySelector('[data-id="1"]').classList.contains('completed'), true);
+    });
+
+    it('rebuilds rows when view options change', () => {
+        reconcileTaskList(taskList, tasks);
+        assert.equal(reconcileTaskList(taskList, tasks, { selectedTaskIds: new Set([2]) }).updated, 1);
+    });
+
+    it('keeps focus on the same control when its row is rebuilt', () => {
+        reconcileTaskList(taskList, tasks);
+        taskList.querySelector('[data-id="2"] .edit-btn').focus();
+
+        reconcileTaskList(taskList, [tasks[0], { ...tasks[1], text: 'Call Ana' }, tasks[2]]);
+        assert.equal(document.activeElement, taskList.querySelector('[data-id="2"] .edit-btn'));
+    });
+});
+
+describe('focus helpers', () => {
+    it('getFocusedTaskId reports the task whose row or control has focus', () => {
+        reconcileTaskList(taskList, [createTask({ id: 7 })]);
+        assert.equal(getFocusedTaskId(taskList), null);
+
+        taskList.querySelector('.task-checkbox').focus();
+        assert.equal(getFocusedTaskId(taskList), 7);
+    });
+
+    it('focusTaskRow focuses a rendered row', () => {
+        reconcileTaskList(taskList, [createTask({ id: 7 }), createTask({ id: 8 })]);
+        assert.equal(focusTaskRow(taskList, 8), true);
+        assert.equal(document.activeElement.dataset.id, '8');
+        assert.equal(focusTaskRow(taskList, 9), false);
+    });
+});
+
+describe('renderTaskList', () => {
+    it('renders the filtered tasks and hides the empty state', () => {
+        renderTaskList(taskList, [createTask({ id: 1 }), createTask({ id: 2, completed: true })], 'active');
+        assert.deepEqual(getRowIds(taskList), ['1']);
+        assert.equal(document.getElementById('empty-state').hidden, true);
+        assert.equal(taskList.style.display, '');
+    });
+
+    it('shows the empty state when nothing matches', () => {
+        renderTaskList(taskList, [createTask()], 'completed');
+        assert.equal(document.getElementById('empty-state').hidden, false);
+        assert.equal(document.querySelector('.empty-state-title').textContent, 'No completed tasks');
+        assert.equal(taskList.style.display, 'none');
+    });
+
+    it('windows long lists and labels rows with their place in the whole list', () => {
+        const tasks = Array.from({ length: 600 }, (_, index) => createTask({ id: index + 1, text: `Task ${index + 1}` }));
+        renderTaskList(taskList, tasks, 'all');
+
+        const rows = taskList.querySelectorAll('.task-item');
+        assert.equal(taskList.classList.contains('virtualized'), true);
+        assert.ok(rows.length > 0 && rows.length < 600);
+        assert.equal(rows[0].getAttribute('aria-posinset'), '1');
+        assert.equal(rows[0].getAttribute('aria-setsize'), '600');
+
+        focusTaskRow(taskList, 550);
+        assert.equal(document.activeElement.dataset.id, '550');
+        assert.equal(document.activeElement.getAttribute('aria-posinset'), '550');
+
+        renderTaskList(taskList, tasks.slice(0, 10), 'all');
+        assert.equal(taskList.classList.contains('virtualized'), false);
+        assert.equal(taskList.querySelectorAll('.task-item').length, 10);
+        assert.equal(taskList.firstElementChild.hasAttribute('aria-setsize'), false);
+    });
+
+    it('logs an error without a list element', () => {
+        renderTaskList(null, []);
+        assert.ok(console.error.mock.calls.some(call => call.arguments[0] === 'Task list element not found'));
+    });
+});
+
+describe('filterTasks', () => {
+    const today = daysFromToday(0);
+    const tasks = [
+        createTask({ id: 1, text: 'Pay rent', dueDate: daysFromToday(-1), tags: ['home'] }),
+        createTask({ id: 2, text: 'Call Ana', dueDate: today, completed: true }),
+        createTask({ id: 3, text: 'Plan trip', tags: ['travel', 'home'] }),
+        createTask({ id: 4, text: 'Old', deletedAt: '2024-01-01T00:00:00.000Z' })
+    ];
+    const ids = (filtered) => filtered.map(task => task.id);
+
+    it('filters by status and due date, leaving trashed tasks out', () => {
+        assert.deepEqual(ids(filterTasks(tasks, 'all')), [1, 2, 3]);
+        assert.deepEqual(ids(filterTasks(tasks, 'active')), [1, 3]);
+        assert.deepEqual(ids(filterTasks(tasks, 'completed')), [2]);
+        assert.deepEqual(ids(filterTasks(tasks, 'overdue')), [1]);
+        assert.deepEqual(ids(filterTasks(tasks, 'today')), [2]);
+        assert.ok(filterTasks(tasks, 'this-week').some(task => task.id === 2));
+    });
+
+    it('shows only trashed tasks in the trash and nothing in the archive view', () => {
+        assert.deepEqual(ids(filterTasks(tasks, 'trash')), [4]);
+        assert.deepEqual(filterTasks(tasks, 'archive'), []);
+    });
+
+    it('narrows by tag and search query, then sorts', () => {
+        assert.deepEqual(ids(filterTasks(tasks, 'all', { tag: 'home' })), [1, 3]);
+        assert.deepEqual(ids(filterTasks(tasks, 'all', { query: 'PLAN' })), [3]);
+        assert.deepEqual(ids(filterTasks(tasks, 'all', { tag: 'home', sort: 'alphabetical' })), [1, 3]);
+        assert.deepEqual(ids(filterTasks(tasks, 'all', { sort: 'due-date' })), [1, 2, 3]);
+    });
+});
+
+describe('sortTasks', () => {
+    const tasks = [
+        createTask({ id: 1, text: 'banana', priority: 'low', createdAt: '2024-01-02T00:00:00.000Z', dueDate: '2024-03-01' }),
+        createTask({ id: 2, text: 'Apple', priority: 'urgent', createdAt: '2024-01-03T00:00:00.000Z', dueDate: null }),
+        createTask({ id: 3, text: 'cherry', priority: 'bogus', createdAt: '2024-01-01T00:00:00.000Z', dueDate: '2024-02-01' })
+    ];
+    const ids = (sorted) => sorted.map(task => task.id);
+
+    it('supports every sort mode without mutating the input', () => {
+        assert.deepEqual(SORT_MODES, ['manual', 'created', 'priority', 'due-date', 'alphabetical']);
+        assert.deepEqual(ids(sortTasks(tasks, 'manual')), [1, 2, 3]);
+        assert.deepEqual(ids(sortTasks(tasks, 'created')), [2, 1, 3]);
+        assert.deepEqual(ids(sortTasks(tasks, 'priority')), [2, 3, 1]);
+        assert.deepEqual(ids(sortTasks(tasks, 'due-date')), [3, 1, 2]);
+        assert.deepEqual(ids(sortTasks(tasks, 'alphabetical')), [2, 1, 3]);
+        assert.deepEqual(ids(tasks), [1, 2, 3]);
+    });
+});
+
+describe('tags', () => {
+    const tasks = [
+        createTask({ id: 1, tags: ['work', 'home'] }),
+        createTask({ id: 2, tags: ['home'] }),
+        createTask({ id: 3, tags: ['work'], deletedAt: '2024-01-01T00:00:00.000Z' })
+    ];
+
+    it('getTagCounts counts live tasks by tag, most used first', () => {
+        assert.deepEqual(getTagCounts(tasks), [{ tag: 'home', count: 2 }, { tag: 'work', count: 1 }]);
+    });
+
+    it('renderTagBar renders a pressed chip for the active tag and hides when empty', () => {
+        const tagBar = document.getElementById('tag-bar');
+        renderTagBar(tagBar, tasks, 'work');
+
+        const chips = tagBar.querySelectorAll('.tag-filter');
+        assert.equal(tagBar.hidden, false);
+        assert.deepEqual(Array.from(chips, chip => chip.textContent), ['#home2', '#work1']);
+        assert.equal(chips[1].getAttribute('aria-pressed'), 'true');
+
+        renderTagBar(tagBar, [createTask()]);
+        assert.equal(tagBar.hidden, true);
+    });
+});
+
+describe('empty state', () => {
+    it('explains an empty tag filter or search, and hides again', () => {
+        showEmptyState(taskList, 'all', { tag: 'home' });
+        assert.equal(document.querySelector('.empty-state-title').textContent, 'No tasks tagged #home');
+
+        showEmptyState(taskList, 'trash', { query: ' milk ' });
+        assert.equal(document.querySelector('.empty-state-title').textContent, 'No results for "milk"');
+
+        showEmptyState(taskList, 'trash');
+        assert.equal(document.querySelector('.empty-state-title').textContent, 'Trash is empty');
+
+        hideEmptyState(taskList);
+        assert.equal(document.getElementById('empty-state').hidden, true);
+        assert.equal(taskList.style.display, '');
+    });
+});
+
+describe('header and toolbars', () => {
+    it('updateTaskCount shows totals, the trash count and the list name', () => {
+        updateTaskCount({ total: 5, completed: 2, trashed: 0 }, 'Work');
+        assert.equal(document.getElementById('total-tasks').textContent, '5');
+        assert.equal(document.getElementById('completed-tasks').textContent, '2');
+        assert.equal(document.getElementById('trash-count').hidden, true);
+        assert.equal(document.getElementById('current-list-name').textContent, 'Work');
+
+        updateTaskCount({ total: 5, completed: 2, trashed: 3 });
+        assert.equal(document.getElementById('trash-count').textContent, '3');
+        assert.equal(document.getElementById('current-list-name').textContent, 'Work');
+    });
+
+    it('renderSyncStatus shows pending changes unless sync is off', () => {
+        const status = document.getElementById('sync-status');
+        renderSyncStatus(status, { status: 'offline', label: 'Offline', pending: 2, detail: 'No connection' });
+        assert.equal(status.textContent, 'Offline · 2 pending');
+        assert.equal(status.dataset.status, 'offline');
+        assert.equal(status.title, 'No connection');
+
+        renderSyncStatus(status, { status: 'disabled', label: 'Local only', pending: 2 });
+        assert.equal(status.textContent, 'Local only');
+    });
+
+    it('renderListSwitcher lists every list with its counts', () => {
+        const select = document.getElementById('list-select');
+        renderListSwitcher(select, [{ id: 'a', name: 'A', taskCount: 3, completedCount: 1 }, { id: 'b', name: 'B' }], 'b');
+        assert.deepEqual(Array.from(select.options, option => option.textContent), ['A (1/3)', 'B (0/0)']);
+        assert.equal(select.value, 'b');
+    });
+
+    it('updateFilterButtons presses only the active filter', () => {
+        updateFilterButtons('trash');
+        const pressed = Array.from(document.querySelectorAll('.filter-btn[aria-pressed="true"]'), button => button.dataset.filter);
+        assert.deepEqual(pressed, ['trash']);
+        assert.equal(document.querySelector('.filter-btn.active').dataset.filter, 'trash');
+    });
+
+    it('updateTaskSelection ticks selected rows in place', () => {
+        reconcileTaskList(taskList, [createTask({ id: 1 }), createTask({ id: 2 })]);
+        const row = taskList.lastElementChild;
+
+        updateTaskSelection(taskList, new Set([2]));
+        assert.equal(taskList.lastElementChild, row);
+        assert.equal(row.classList.contains('selected'), true);
+        assert.equal(row.querySelector('.task-select').checked, true);
+        assert.equal(taskList.firstElementChild.classList.contains('selected'), false);
+    });
+
+    it('renderSelectionToolbar offers the other lists as move targets', () => {
+        const toolbar = document.getElementById('selection-toolbar');
+        renderSelectionToolbar(toolbar, { count: 2, activeListId: 'a', lists: [{ id: 'a', name: 'A' }, { id: 'b', name: 'B' }] });
+
+        const move = toolbar.querySelector('.bulk-move');
+        assert.equal(toolbar.hidden, false);
+        assert.equal(toolbar.querySelector('.selection-count').textContent, '2 selected');
+        assert.deepEqual(Array.from(move.options, option => option.value), ['', 'b']);
+        assert.equal(move.disabled, false);
+
+        renderSelectionToolbar(toolbar, { count: 0, activeListId: 'a', lists: [{ id: 'a', name: 'A' }] });
+        assert.equal(toolbar.hidden, true);
+        assert.equal(move.disabled, true);
+    });
+
+    it('renderTrashControls describes retention and disables emptying an empty trash', () => {
+        const controls = document.getElementById('trash-controls');
+        renderTrashControls(controls, { visible: true, count: 0, retentionDays: 7 });
+        assert.equal(controls.hidden, false);
+        assert.equal(controls.querySelector('.trash-retention-note').textContent, 'Deleted tasks are kept for 7 days');
+        assert.equal(controls.querySelector('.trash-retention').value, '7');
+        assert.equal(controls.querySelector('.empty-trash-btn').disabled, true);
+    });
+});
+
+describe('renderArchive', () => {
+    const archived = [
+        createTask({ id: 1, text: 'Filed taxes', completed: true, completedAt: new Date().toISOString(), tags: ['home'] }),
+        createTask({ id: 2, text: 'Old report', completed: true, completedAt: '2020-03-04T10:00:00.000Z' })
+    ];
+
+    it('groups archived tasks by completion week', () => {
+        const view = document.getElementById('archive-view');
+        renderArchive(view, archived, { visible: true });
+
+        assert.equal(view.hidden, false);
+        assert.equal(document.getElementById('archive-count').textContent, '2');
+        assert.equal(view.querySelector('.archive-summary').textContent, '2 archived task(s)');
+        assert.deepEqual(Array.from(view.querySelectorAll('.archive-week-title'), title => title.textContent.split(' · ')[0])[0], 'This week');
+        assert.equal(view.querySelectorAll('.archive-item').length, 2);
+    });
+
+    it('counts matches when filtered and stays hidden when closed', () => {
+        const view = document.getElementById('archive-view');
+        renderArchive(view, archived, { visible: true, tag: 'home' });
+        assert.equal(view.querySelector('.archive-summary').textContent, '1 of 2 archived task(s) match');
+
+        renderArchive(view, archived, { visible: false });
+        assert.equal(view.hidden, true);
+    });
+});
+
+describe('messages', () => {
+    it('showValidationMessage shows a typed message with an optional action', () => {
+        const onClick = mock.fn();
+        showValidationMessage('Task moved to Trash', 'success', { label: 'Undo', onClick });
+
+        const element = document.getElementById('validation-message');
+        assert.equal(element.className, 'validation-message validation-success');
+        element.querySelector('.validation-action').click();
+        assert.equal(onClick.mock.callCount(), 1);
+        assert.equal(element.textContent, '');
+    });
+
+    it('clearValidationMessage empties the message', () => {
+        showValidationMessage('Bad', 'error');
+        clearValidationMessage();
+        assert.equal(document.getElementById('validation-message').textContent, '');
+    });
+
+    it('announce updates the live region on the next frame', async () => {
+        announce('Task added');
+        assert.equal(document.getElementById('live-region').textContent, '');
+        await wait(50);
+        assert.equal(document.getElementById('live-region').textContent, 'Task added');
+    });
+});
+
+describe('import preview', () => {
+    it('renderImportPreview lists counts and the first five errors', () => {
+        const preview = document.getElementById('import-preview');
+        const errors = Array.from({ length: 7 }, (_, index) => `Row ${index + 1}: bad`);
+        renderImportPreview(preview, {
+            fileName: '<tasks>.csv',
+            format: 'csv',
+            validTasks: [createTask()],
+            rejectedCount: 7,
+            migration: null,
+            report: { errors }
+        });
+
+        assert.equal(preview.hidden, false);
+        assert.match(preview.querySelector('.import-summary').textContent, /<tasks>\.csv \(CSV\):\s+1 valid,\s+7 rejected/);
+        assert.equal(preview.querySelectorAll('.import-errors li').length, 6);
+        assert.equal(preview.querySelector('.import-confirm').textContent, 'Import 1 task(s)');
+
+        renderImportPreview(preview, null);
+        assert.equal(preview.hidden, true);
+    });
+
+    it('renderImportPlan summarizes what an import would change', () => {
+        const preview = document.getElementById('import-preview');
+        renderImportPlan(preview, { added: [1, 2], updated: [3], skipped: [], conflicts: 1, removed: 0 }, 'merge');
+        assert.equal(preview.querySelector('.import-plan').textContent, 'Result: 2 added, 1 updated, 0 skipped (1 conflict)');
+        assert.equal(preview.querySelector('.import-strategy').hidden, false);
+        assert.equal(preview.querySelector('.import-confirm').textContent, 'Import 3 task(s)');
+
+        renderImportPlan(preview, { added: [], updated: [], skipped: [1], conflicts: 0, removed: 4 }, 'replace');
+        assert.equal(preview.querySelector('.import-plan').textContent, 'Result: 4 removed, 0 added, 0 updated, 1 skipped');
+        assert.equal(preview.querySelector('.import-confirm').disabled, true);
+    });
+});
+
+describe('downloadFile', () => {
+    it('clicks a temporary link to the file and removes it', () => {
+        const clicks = [];
+        const listener = event => {
+            clicks.push({ download: event.target.download, href: event.target.href });
+            event.preventDefault();
+        };
+        document.addEventListener('click', listener);
+
+        downloadFile('tasks.json', '{}', 'application/json');
+        document.removeEventListener('click', listener);
+
+        assert.equal(clicks.length, 1);
+        assert.equal(clicks[0].download, 'tasks.json');
+        assert.match(clicks[0].href, /^blob:/);
+        assert.equal(document.querySelector('a[download]'), null);
+    });
+});
+
+describe('element state helpers', () => {
+    it('showLoading and hideLoading toggle the busy state', () => {
+        const element = document.createElement('div');
+        showLoading(element);
+        assert.equal(element.getAttribute('aria-busy'), 'true');
+        assert.equal(element.classList.contains('loading'), true);
+        hideLoading(element);
+        assert.equal(element.getAttribute('aria-busy'), 'false');
+        assert.equal(element.classList.contains('loading'), false);
+    });
+
+    it('animateElement fades an element in', async () => {
+        const element = document.createElement('div');
+        animateElement(element, 'slide');
+        assert.equal(element.style.opacity, '0');
+        assert.equal(element.style.transform, 'translateY(20px)');
+        await wait(50);
+        assert.equal(element.style.opacity, '1');
+        assert.equal(element.style.transform, 'none');
+    });
+});
+
+describe('timing helpers', () => {
+    it('debounce runs once after calls stop, with the last arguments', async () => {
+        const calls = [];
+        const debounced = debounce(value => calls.push(value), 20);
+        debounced(1);
+        debounced(2);
+        assert.deepEqual(calls, []);
+        await wait(40);
+        assert.deepEqual(calls, [2]);
+    });
+
+    it('throttle runs at most once per interval', async () => {
+        const calls = [];
+        const throttled = throttle(value => calls.push(value), 20);
+        throttled(1);
+        throttled(2);
+        await wait(40);
+        throttled(3);
+        assert.deepEqual(calls, [1, 3]);
+    });
+});
@@ -0,0 +1,117 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { IDBFactory } from 'fake-indexeddb';
+import { createLocalStorageStub } from './helpers/dom.js';
+import { silenceConsole, getLogged, resetConsole } from './helpers/console.js';
+import { openIndexedDBBackend } from '../backends.js';
+
+const createPayload = (text, timestamp) => ({
+    version: '1.1',
+    timestamp,
+    tasks: [{ id: 1, text, completed: false, createdAt: '2024-01-01T00:00:00.000Z' }]
+});
+
+let runs = 0;
+
+/**
+ * Load a fresh copy of the storage module, which picks its backend once per page load
+ * @returns {Promise<Object>} - The module's exports
+ */
+const loadStorageModule = () => import(`../storage.js?run=${++runs}`);
+
+/**
+ * Store a value in the simulated IndexedDB as an earlier session would have
+ * @param {string} key - Record key
+ * @param {*} value - Record value
+ */
+const seedIndexedDB = async (key, value) => {
+    const backend = await openIndexedDBBackend();
+    await backend.set(key, value);
+};
+
+const readIndexedDB = async (key) => (await openIndexedDBBackend()).get(key);
+
+silenceConsole();
+
+beforeEach(() => {
+    globalThis.indexedDB = new IDBFactory();
+    globalThis.localStorage = createLocalStorageStub();
+    resetConsole();
+});
+
+describe('moving localStorage data into IndexedDB', () => {
+    it('copies keys IndexedDB does not have, then removes them from localStorage', async () => {
+        const payload = createPayload('Buy milk', 1000);
+        localStorage.setItem('taskflow_tasks', JSON.stringify(payload));
+        localStorage.setItem('taskflow_settings', JSON.stringify({ theme: 'dark' }));
+        const storage = await loadStorageModule();
+
+        assert.equal(await storage.initStorage(), 'indexedDB');
+
+        assert.deepEqual(await readIndexedDB('taskflow_tasks'), payload);
+        assert.equal(localStorage.getItem('taskflow_tasks'), null);
+        assert.notEqual(localStorage.getItem('taskflow_settings'), null);
+        assert.deepEqual((await storage.loadTasks()).map(task => task.text), ['Buy milk']);
+        assert.ok(getLogged('log').includes('Migrated 1 item(s) from localStorage to indexedDB'));
+    });
+
+    it('replaces an older IndexedDB copy with a newer localStorage one', async () => {
+        await seedIndexedDB('taskflow_tasks', createPayload('Old', 1000));
+        localStorage.setItem('taskflow_tasks', JSON.stringify(createPayload('New', 2000)));
+        const storage = await loadStorageModule();
+
+        await storage.initStorage();
+
+        assert.equal((await readIndexedDB('taskflow_tasks')).tasks[0].text, 'New');
+        assert.equal(localStorage.getItem('taskflow_tasks'), null);
+    });
+
+    it('keeps a newer IndexedDB copy and leaves the localStorage one in place', async () => {
+        const older = JSON.stringify(createPayload('Old', 1000));
+        await seedIndexedDB('taskflow_tasks', createPayload('New', 2000));
+        localStorage.setItem('taskflow_tasks', older);
+        const storage = await loadStorageModule();
+
+        await storage.initStorage();
+
+        assert.deepEqual((await storage.loadTasks()).map(task => task.text), ['New']);
+        assert.equal(localStorage.getItem('taskflow_tasks'), older);
+    });
+
+    it('leaves both copies when they cannot be compared', async () => {
+        await seedIndexedDB('taskflow_history', { undo: [], redo: [] });
+        localStorage.setItem('taskflow_history', JSON.stringify({ undo: [{ label: 'Add' }], redo: [] }));
+        const storage = await loadStorageModule();
+
+        await storage.initStorage();
+
+        assert.deepEqual(await readIndexedDB('taskflow_history'), { undo: [], redo: [] });
+        assert.notEqual(localStorage.getItem('taskflow_history'), null);
+    });
+
+    it('keeps the localStorage copy when writing to IndexedDB fails', async () => {
+        const stored = JSON.stringify(createPayload('Buy milk', 1000));
+        localStorage.setItem('taskflow_tasks', stored);
+        const open = globalThis.indexedDB.open.bind(globalThis.indexedDB);
+        globalThis.indexedDB.open = (...args) => {
+            const request = open(...args);
+            request.addEventListener('success', () => {
+                const db = request.result;
+                const transaction = db.transaction.bind(db);
+                db.transaction = (storeName, mode) => {
+                    if (mode === 'readwrite') {
+                        throw new DOMException('The quota has been exceeded.', 'QuotaExceededError');
+                    }
+                    return transaction(storeName, mode);
+                };
+            });
+            return request;
+        };
+        const storage = await loadStorageModule();
+
+        await storage.initStorage();
+
+        assert.equal(localStorage.getItem('taskflow_tasks'), stored);
+        assert.ok(getLogged('error').some(message => message === 'Failed to migrate taskflow_tasks from localStorage:'));
+    });
+});
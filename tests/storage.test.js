@@ -0,0 +1,316 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { createLocalStorageStub } from './helpers/dom.js';
+import { silenceConsole, getLogged, resetConsole } from './helpers/console.js';
+import {
+    DEFAULT_LIST_ID,
+    DEFAULT_SETTINGS,
+    initStorage,
+    getStorageBackendName,
+    saveTasks,
+    loadTasks,
+    clearTasks,
+    saveListIndex,
+    loadListIndex,
+    saveHistory,
+    loadHistory,
+    saveRemoteState,
+    loadRemoteState,
+    clearRemoteState,
+    saveArchive,
+    loadArchive,
+    clearArchive,
+    saveSettings,
+    loadSettings,
+    getStorageInfo,
+    exportTasks,
+    importTasks,
+    isStorageAvailable,
+    getStorageSpace
+} from '../storage.js';
+import { TASKS_SCHEMA_VERSION } from '../migrations.js';
+
+const createTask = (overrides = {}) => ({
+    id: 1,
+    text: 'Buy milk',
+    completed: false,
+    createdAt: '2024-01-01T00:00:00.000Z',
+    ...overrides
+});
+
+/**
+ * Give the storage module a fresh localStorage
+ * @param {Object} options - Stub options (see createLocalStorageStub)
+ * @returns {Object} - The stub
+ */
+const useLocalStorage = (options) => {
+    globalThis.localStorage = createLocalStorageStub(options);
+    return globalThis.localStorage;
+};
+
+const readJSON = (key) => JSON.parse(localStorage.getItem(key));
+
+silenceConsole();
+
+describe('initStorage', () => {
+    it('falls back to localStorage without IndexedDB', async () => {
+        useLocalStorage();
+        assert.equal(await initStorage(), 'localStorage');
+        assert.equal(getStorageBackendName(), 'localStorage');
+    });
+});
+
+describe('saveTasks and loadTasks', () => {
+    beforeEach(() => {
+        useLocalStorage();
+        resetConsole();
+    });
+
+    it('round-trips tasks with the current schema version', async () => {
+        const tasks = [createTask(), createTask({ id: 2, text: 'Call', completed: true, subtasks: [] })];
+        assert.equal(await saveTasks(tasks), true);
+
+        const stored = readJSON('taskflow_tasks');
+        assert.equal(stored.version, TASKS_SCHEMA_VERSION);
+        assert.equal(typeof stored.timestamp, 'number');
+        assert.deepEqual(await loadTasks(), tasks);
+    });
+
+    it('keeps each list under its own key', async () => {
+        await saveTasks([createTask({ text: 'Home' })], DEFAULT_LIST_ID);
+        await saveTasks([createTask({ text: 'Work' })], 'work');
+
+        assert.deepEqual(readJSON('taskflow_tasks_work').tasks.map(task => task.text), ['Work']);
+        assert.deepEqual((await loadTasks()).map(task => task.text), ['Home']);
+    });
+
+    it('reports a full quota without clearing anything', async () => {
+        const storage = useLocalStorage({ entries: { 'other-app': 'keep me' }, quota: 200 });
+        const tasks = Array.from({ length: 20 }, (_, index) => createTask({ id: index + 1 }));
+
+        assert.equal(await saveTasks(tasks), false);
+        assert.equal(storage.getItem('other-app'), 'keep me');
+        assert.equal(storage.getItem('taskflow_tasks'), null);
+        assert.deepEqual(getLogged('warn'), ['localStorage quota exceeded, tasks were not saved']);
+    });
+
+    it('returns no tasks and removes corrupted JSON', async () => {
+        const storage = useLocalStorage({ entries: { taskflow_tasks: '{"tasks": [', taskflow_tasks_work: '{"tasks":[]}' } });
+
+        assert.deepEqual(await loadTasks(), []);
+        assert.equal(storage.getItem('taskflow_tasks'), null);
+        assert.equal(storage.getItem('taskflow_tasks_work'), '{"tasks":[]}');
+        assert.deepEqual(getLogged('warn'), ['Corrupted task data in storage, clearing...']);
+    });
+
+    it('returns no tasks for payloads without a tasks array', async () => {
+        useLocalStorage({ entries: { taskflow_tasks: '"just text"' } });
+        assert.deepEqual(await loadTasks(), []);
+
+        useLocalStorage({ entries: { taskflow_tasks: '{"version":"1.1","items":[]}' } });
+        assert.deepEqual(await loadTasks(), []);
+    });
+
+    it('drops invalid tasks, checklist items and repeat rules', async () => {
+        useLocalStorage({
+            entries: {
+                taskflow_tasks: JSON.stringify({
+                    version: TASKS_SCHEMA_VERSION,
+                    tasks: [
+                        createTask({ subtasks: [{ id: 1, text: 'ok' }, { id: 'x', text: 'bad' }] }),
+                        createTask({ id: 2, recurrence: { frequency: 'hourly' } }),
+                        { id: 3, text: 'No flag' },
+                        null
+                    ]
+                })
+            }
+        });
+
+        const tasks = await loadTasks();
+        assert.deepEqual(tasks.map(task => task.id), [1, 2]);
+        assert.deepEqual(tasks[0].subtasks, [{ id: 1, text: 'ok', completed: false }]);
+        assert.equal(tasks[1].recurrence, null);
+        assert.ok(getLogged('warn').includes('Filtered out 2 invalid tasks'));
+    });
+
+    it('returns an empty list when nothing is stored', async () => {
+        assert.deepEqual(await loadTasks('missing'), []);
+    });
+
+    it('clearTasks removes only the given list', async () => {
+        await saveTasks([createTask()]);
+        await saveTasks([createTask()], 'work');
+
+        assert.equal(await clearTasks('work'), true);
+        assert.equal(localStorage.getItem('taskflow_tasks_work'), null);
+        assert.equal((await loadTasks()).length, 1);
+    });
+});
+
+describe('list index', () => {
+    beforeEach(() => useLocalStorage());
+
+    it('creates the default list on first run, counting existing tasks', async () => {
+        await saveTasks([createTask(), createTask({ id: 2, completed: true })]);
+
+        const index = await loadListIndex();
+        assert.equal(index.activeListId, DEFAULT_LIST_ID);
+        assert.equal(index.lists.length, 1);
+        assert.equal(index.lists[0].name, 'My Tasks');
+        assert.equal(index.lists[0].taskCount, 2);
+        assert.equal(index.lists[0].completedCount, 1);
+        assert.equal(readJSON('taskflow_lists').lists.length, 1);
+    });
+
+    it('round-trips the index and drops invalid entries', async () => {
+        saveListIndex({ activeListId: 'gone', lists: [{ id: 'a', name: 'A' }, { id: 7 }, { id: 'b', name: 'B' }] });
+
+        const index = await loadListIndex();
+        assert.equal(index.activeListId, 'a');
+        assert.deepEqual(index.lists.map(list => list.id), ['a', 'b']);
+    });
+
+    it('rebuilds an unreadable index', async () => {
+        useLocalStorage({ entries: { taskflow_lists: 'not json' } });
+        assert.equal((await loadListIndex()).lists[0].id, DEFAULT_LIST_ID);
+    });
+});
+
+describe('history, sync state and archive', () => {
+    beforeEach(() => useLocalStorage());
+
+    it('round-trips undo history and ignores malformed history', async () => {
+        const history = { undoStack: [{ label: 'Add' }], redoStack: [] };
+        assert.equal(await saveHistory(history), true);
+        assert.deepEqual(await loadHistory(), history);
+
+        localStorage.setItem('taskflow_history', JSON.stringify({ undoStack: 'x' }));
+        assert.deepEqual(await loadHistory(), { undoStack: [], redoStack: [] });
+    });
+
+    it('round-trips and clears the remote sync state', async () => {
+        await saveRemoteState({ queue: ['a', 3], deleted: ['b'], lists: { a: { etag: '"1"' } } });
+        assert.deepEqual(await loadRemoteState(), { queue: ['a'], deleted: ['b'], lists: { a: { etag: '"1"' } } });
+
+        assert.equal(await clearRemoteState(), true);
+        assert.deepEqual(await loadRemoteState(), { queue: [], deleted: [], lists: {} });
+    });
+
+    it('round-trips and clears a list archive', async () => {
+        const archived = [createTask({ completed: true, archivedAt: '2024-01-02T00:00:00.000Z' })];
+        assert.equal(await saveArchive(archived, 'work'), true);
+        assert.deepEqual(await loadArchive('work'), archived);
+        assert.deepEqual(await loadArchive(), []);
+
+        assert.equal(await clearArchive('work'), true);
+        assert.deepEqual(await loadArchive('work'), []);
+    });
+});
+
+describe('settings', () => {
+    beforeEach(() => useLocalStorage());
+
+    it('fills in defaults around saved settings', () => {
+        assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+        assert.equal(saveSettings({ sort: 'priority' }), true);
+        assert.deepEqual(loadSettings(), { ...DEFAULT_SETTINGS, sort: 'priority' });
+    });
+
+    it('uses the defaults when stored settings are unreadable', () => {
+        localStorage.setItem('taskflow_settings', '{"settings":null}');
+        assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+        localStorage.setItem('taskflow_settings', '{');
+        assert.deepEqual(loadSettings(), DEFAULT_SETTINGS);
+    });
+});
+
+describe('getStorageInfo', () => {
+    beforeEach(() => useLocalStorage());
+
+    it('describes a saved list', async () => {
+        await saveTasks([createTask(), createTask({ id: 2 })]);
+
+        const info = await getStorageInfo();
+        assert.equal(info.hasData, true);
+        assert.equal(info.backend, 'localStorage');
+        assert.equal(info.taskCount, 2);
+        assert.equal(info.version, TASKS_SCHEMA_VERSION);
+        assert.equal(info.size, localStorage.getItem('taskflow_tasks').length);
+    });
+
+    it('reports an empty list', async () => {
+        assert.deepEqual(await getStorageInfo('missing'), { hasData: false, size: 0, taskCount: 0, lastModified: null });
+    });
+});
+
+describe('exportTasks and importTasks', () => {
+    it('exports live tasks unless trashed ones are asked for', () => {
+        const tasks = [createTask(), createTask({ id: 2, deletedAt: '2024-01-03T00:00:00.000Z' })];
+
+        const exported = JSON.parse(exportTasks(tasks));
+        assert.equal(exported.version, TASKS_SCHEMA_VERSION);
+        assert.equal(exported.taskCount, 1);
+        assert.deepEqual(exported.tasks, [tasks[0]]);
+        assert.equal(JSON.parse(exportTasks(tasks, { includeTrashed: true })).taskCount, 2);
+    });
+
+    it('imports its own export unchanged', () => {
+        const task = createTask({ dueDate: '2024-05-01', priority: 'high', tags: ['home'], subtasks: [], recurrence: null });
+        assert.deepEqual(importTasks(exportTasks([task])), [task]);
+    });
+
+    it('cleans imported tasks and skips ones without text', () => {
+        const tasks = importTasks(JSON.stringify({
+            version: TASKS_SCHEMA_VERSION,
+            tasks: [
+                { text: '  Water plants ', completed: 'yes', priority: 'huge', tags: ['#Home', 'bad tag'], dueDate: 'tomorrow' },
+                { text: '   ' },
+                { id: 4 }
+            ]
+        }));
+
+        assert.equal(tasks.length, 1);
+        assert.equal(typeof tasks[0].id, 'number');
+        assert.equal(tasks[0].text, 'Water plants');
+        assert.equal(tasks[0].completed, true);
+        assert.equal(tasks[0].priority, 'normal');
+        assert.deepEqual(tasks[0].tags, ['home']);
+        assert.equal(tasks[0].dueDate, null);
+    });
+
+    it('upgrades files from older versions', () => {
+        const tasks = importTasks(JSON.stringify([{ id: '5', text: 'Old', completed: 'true' }]));
+        assert.equal(tasks[0].id, 5);
+        assert.equal(tasks[0].completed, true);
+    });
+
+    it('rejects files it cannot read', () => {
+        assert.throws(() => importTasks('{'), /^Error: Import failed: /);
+        assert.throws(() => importTasks('null'), /Invalid import data format/);
+        assert.throws(() => importTasks('{"version":"1.1"}'), /Import data missing tasks array/);
+        assert.throws(() => importTasks('{"version":"9.0","tasks":[]}'), /newer version \(9\.0\)/);
+    });
+});
+
+describe('isStorageAvailable and getStorageSpace', () => {
+    before(() => resetConsole());
+
+    it('detects whether localStorage accepts writes', () => {
+        useLocalStorage();
+        assert.equal(isStorageAvailable(), true);
+        useLocalStorage({ quota: 0 });
+        assert.equal(isStorageAvailable(), false);
+    });
+
+    it('estimates space by filling storage and cleans up after itself', async () => {
+        const storage = useLocalStorage({ quota: 5000 });
+        await saveTasks([createTask()]);
+        const used = storage.getItem('taskflow_tasks').length;
+
+        const space = getStorageSpace();
+        assert.equal(space.used, used);
+        assert.equal(space.total > 0 && space.total < 5000, true);
+        assert.equal(space.available, space.total - used);
+        assert.equal(storage.length, 1);
+    });
+});
@@ -0,0 +1,427 @@
+import { describe, it, before, after } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDOM, wait } from './helpers/dom.js';
+import {
+    PRIORITY_LEVELS,
+    DEFAULT_PRIORITY,
+    validateTaskText,
+    sanitizeTaskText,
+    validateTaskObject,
+    validateSubtask,
+    validateSubtasks,
+    sanitizeSubtasks,
+    normalizeTag,
+    validateTags,
+    extractTags,
+    validatePriority,
+    validateDueDate,
+    validateRecurrence,
+    sanitizeCompletedOccurrences,
+    validateListName,
+    validateTaskArray,
+    setupRealTimeValidation,
+    validateFormSubmission,
+    getDuplicateKey,
+    checkForDuplicates,
+    validateTaskId,
+    validateCompletionStatus,
+    getValidationMessage,
+    createValidationReport,
+    sanitizeTaskForStorage
+} from '../validation.js';
+
+const createTask = (overrides = {}) => ({
+    id: 1,
+    text: 'Buy milk',
+    completed: false,
+    ...overrides
+});
+
+describe('validateTaskText', () => {
+    it('accepts ordinary text and trims it', () => {
+        assert.deepEqual(validateTaskText('  Buy milk  '), { isValid: true, message: '', sanitizedText: 'Buy milk' });
+    });
+
+    it('rejects missing, non-string and blank input', () => {
+        assert.equal(validateTaskText('').message, 'Please enter a task description');
+        assert.equal(validateTaskText(null).message, 'Please enter a task description');
+        assert.equal(validateTaskText(42).message, 'Please enter a task description');
+        assert.equal(validateTaskText('   ').message, 'Task description cannot be empty');
+    });
+
+    it('rejects text over 200 characters', () => {
+        assert.equal(validateTaskText('ab'.repeat(100)).isValid, true);
+        assert.equal(validateTaskText('ab'.repeat(100) + 'c').message, 'Task description cannot exceed 200 characters');
+    });
+
+    it('rejects characters outside the allowed set', () => {
+        assert.equal(validateTaskText('Café').message, 'Task description contains invalid characters');
+    });
+
+    it('rejects script-like words in any case', () => {
+        assert.equal(validateTaskText('Learn JavaScript').message, 'Task description contains forbidden content');
+        assert.equal(validateTaskText('img onerror=x').message, 'Task description contains forbidden content');
+    });
+
+    it('rejects runs of whitespace and repeated characters', () => {
+        assert.equal(validateTaskText('a   b').message, 'Task description contains excessive whitespace');
+        assert.equal(validateTaskText('aaaaa').message, 'Task description contains too many repeated characters');
+        assert.equal(validateTaskText('aaaa').isValid, true);
+    });
+});
+
+describe('sanitizeTaskText', () => {
+    it('collapses whitespace, strips angle brackets and caps the length', () => {
+        assert.equal(sanitizeTaskText('  a \n b  <b>c</b> '), 'a b bc/b');
+        assert.equal(sanitizeTaskText('x'.repeat(250)).length, 200);
+    });
+
+    it('returns an empty string for non-strings', () => {
+        assert.equal(sanitizeTaskText(undefined), '');
+        assert.equal(sanitizeTaskText({}), '');
+    });
+});
+
+describe('validateTaskObject', () => {
+    it('fills in defaults for optional fields', () => {
+        const result = validateTaskObject(createTask({ text: ' Buy milk ' }));
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.sanitizedTask, {
+            id: 1,
+            text: 'Buy milk',
+            completed: false,
+            dueDate: null,
+            priority: DEFAULT_PRIORITY,
+            tags: [],
+            subtasks: [],
+            recurrence: null
+        });
+    });
+
+    it('rejects missing or invalid required fields', () => {
+        assert.equal(validateTaskObject(null).message, 'Invalid task object');
+        assert.equal(validateTaskObject(createTask({ id: 0 })).message, 'Task must have a valid ID');
+        assert.equal(validateTaskObject(createTask({ id: '1' })).message, 'Task must have a valid ID');
+        assert.equal(validateTaskObject(createTask({ text: ' ' })).message, 'Task must have a valid text description');
+        assert.equal(validateTaskObject(createTask({ completed: 'true' })).message, 'Task must have a valid completion status');
+    });
+
+    it('passes on the first failing optional field', () => {
+        assert.equal(validateTaskObject(createTask({ dueDate: '2024-02-30' })).message, 'Due date must be a valid date');
+        assert.match(validateTaskObject(createTask({ priority: 'huge' })).message, /^Priority must be one of/);
+        assert.equal(validateTaskObject(createTask({ tags: 'work' })).message, 'Tags must be a list');
+        assert.equal(validateTaskObject(createTask({ subtasks: {} })).message, 'Checklist must be a list');
+        assert.match(validateTaskObject(createTask({ recurrence: { frequency: 'hourly' } })).message, /^Repeat must be one of/);
+    });
+});
+
+describe('validateSubtask and validateSubtasks', () => {
+    it('sanitizes a valid checklist item', () => {
+        assert.deepEqual(validateSubtask({ id: 2, text: ' Step ', extra: true }).sanitizedSubtask, {
+            id: 2,
+            text: 'Step',
+            completed: false
+        });
+    });
+
+    it('rejects malformed items', () => {
+        assert.equal(validateSubtask('step').message, 'Invalid checklist item');
+        assert.equal(validateSubtask({ id: -1, text: 'Step' }).message, 'Checklist item must have a valid ID');
+        assert.equal(validateSubtask({ id: 2, text: 'Step', completed: 1 }).message, 'Checklist item must have a valid completion status');
+        assert.equal(validateSubtask({ id: 2, text: '' }).message, 'Please enter a task description');
+    });
+
+    it('treats a missing checklist as empty and fails on the first bad item', () => {
+        assert.deepEqual(validateSubtasks(undefined).sanitizedSubtasks, []);
+        assert.deepEqual(validateSubtasks(null).sanitizedSubtasks, []);
+        assert.equal(validateSubtasks([{ id: 1, text: 'ok' }, { id: 2 }]).isValid, false);
+    });
+
+    it('caps a checklist at 50 items', () => {
+        const subtasks = Array.from({ length: 51 }, (_, index) => ({ id: index + 1, text: `Step ${index}` }));
+        assert.equal(validateSubtasks(subtasks).message, 'A task can have at most 50 checklist items');
+        assert.equal(validateSubtasks(subtasks.slice(0, 50)).isValid, true);
+    });
+});
+
+describe('sanitizeSubtasks', () => {
+    it('keeps only valid items from untrusted data', () => {
+        const subtasks = sanitizeSubtasks([{ id: 1, text: 'ok', completed: true }, { id: 'x', text: 'bad' }, null]);
+        assert.deepEqual(subtasks, [{ id: 1, text: 'ok', completed: true }]);
+    });
+
+    it('returns an empty list for anything but an array', () => {
+        assert.deepEqual(sanitizeSubtasks('steps'), []);
+    });
+});
+
+describe('tags', () => {
+    it('normalizeTag lowercases and strips the leading #', () => {
+        assert.equal(normalizeTag(' #Work '), 'work');
+        assert.equal(normalizeTag('9lives'), null);
+        assert.equal(normalizeTag('a'.repeat(31)), null);
+        assert.equal(normalizeTag(7), null);
+    });
+
+    it('validateTags de-duplicates and enforces the limits', () => {
+        assert.deepEqual(validateTags(['Work', '#work', 'home']).sanitizedTags, ['work', 'home']);
+        assert.deepEqual(validateTags(undefined).sanitizedTags, []);
+        assert.match(validateTags(['ok', 'not ok']).message, /^Tags must start with a letter/);
+        const tooMany = Array.from({ length: 11 }, (_, index) => `tag${index}`);
+        assert.equal(validateTags(tooMany).message, 'A task can have at most 10 tags');
+    });
+
+    it('extractTags pulls whole-word #tags out of the text', () => {
+        assert.deepEqual(extractTags('Call mom #Home #home tonight'), { text: 'Call mom tonight', tags: ['home'] });
+        assert.deepEqual(extractTags('Room # and fix #12'), { text: 'Room # and fix #12', tags: [] });
+        assert.deepEqual(extractTags(null), { text: '', tags: [] });
+    });
+});
+
+describe('validatePriority', () => {
+    it('defaults a missing priority and accepts every level', () => {
+        assert.equal(validatePriority(undefined).sanitizedPriority, DEFAULT_PRIORITY);
+        assert.equal(validatePriority('').sanitizedPriority, DEFAULT_PRIORITY);
+        PRIORITY_LEVELS.forEach(priority => assert.equal(validatePriority(priority).sanitizedPriority, priority));
+    });
+
+    it('rejects unknown priorities', () => {
+        assert.equal(validatePriority('HIGH').isValid, false);
+    });
+});
+
+describe('validateDueDate', () => {
+    it('accepts real calendar dates and no date', () => {
+        assert.equal(validateDueDate(' 2024-02-29 ').sanitizedDate, '2024-02-29');
+        assert.equal(validateDueDate(null).sanitizedDate, null);
+    });
+
+    it('rejects impossible dates and other formats', () => {
+        assert.equal(validateDueDate('2023-02-29').isValid, false);
+        assert.equal(validateDueDate('02/03/2024').isValid, false);
+        assert.equal(validateDueDate(20240203).isValid, false);
+    });
+});
+
+describe('validateRecurrence', () => {
+    it('normalizes daily, weekly and monthly rules', () => {
+        assert.deepEqual(validateRecurrence({ frequency: 'daily' }).sanitizedRecurrence, { frequency: 'daily', interval: 1 });
+        assert.deepEqual(validateRecurrence({ frequency: 'weekly', interval: 2, weekdays: [5, 1, 5] }).sanitizedRecurrence, {
+            frequency: 'weekly',
+            interval: 2,
+            weekdays: [1, 5]
+        });
+        assert.deepEqual(validateRecurrence({ frequency: 'monthly', dayOfMonth: 31, extra: 1 }).sanitizedRecurrence, {
+            frequency: 'monthly',
+            interval: 1,
+            dayOfMonth: 31
+        });
+        assert.equal(validateRecurrence(undefined).sanitizedRecurrence, null);
+    });
+
+    it('rejects incomplete or out-of-range rules', () => {
+        assert.equal(validateRecurrence({ frequency: 'daily', interval: 0 }).isValid, false);
+        assert.equal(validateRecurrence({ frequency: 'daily', interval: 1.5 }).isValid, false);
+        assert.equal(validateRecurrence({ frequency: 'weekly', weekdays: [] }).message, 'Weekly repeats need at least one weekday');
+        assert.equal(validateRecurrence({ frequency: 'weekly', weekdays: [7] }).isValid, false);
+        assert.equal(validateRecurrence({ frequency: 'monthly', dayOfMonth: 32 }).isValid, false);
+    });
+});
+
+describe('sanitizeCompletedOccurrences', () => {
+    it('keeps well-formed entries and the newest 100', () => {
+        const occurrences = Array.from({ length: 105 }, (_, index) => ({ dueDate: 'bad', completedAt: `t${index}` }));
+        const result = sanitizeCompletedOccurrences([...occurrences, { dueDate: '2024-01-01' }, null]);
+        assert.equal(result.length, 100);
+        assert.deepEqual(result[99], { dueDate: null, completedAt: 't104' });
+        assert.deepEqual(sanitizeCompletedOccurrences('x'), []);
+    });
+});
+
+describe('validateListName', () => {
+    const lists = [{ id: 'a', name: 'Work' }, { id: 'b', name: 'Home' }];
+
+    it('accepts new names and keeps a list’s own name on rename', () => {
+        assert.equal(validateListName(' Errands ', lists).sanitizedName, 'Errands');
+        assert.equal(validateListName('work', lists, 'a').isValid, true);
+    });
+
+    it('rejects duplicates, long names and invalid text in list wording', () => {
+        assert.equal(validateListName('WORK', lists).message, 'A list with this name already exists');
+        assert.equal(validateListName('ab'.repeat(26), lists).message, 'List name cannot exceed 50 characters');
+        assert.equal(validateListName('', lists).message, 'Please enter a list name');
+    });
+});
+
+describe('validateTaskArray', () => {
+    it('separates valid tasks from numbered errors', () => {
+        const result = validateTaskArray([createTask(), createTask({ id: 2, text: '' }), createTask({ id: 3, text: 'Call' })]);
+        assert.equal(result.isValid, true);
+        assert.deepEqual(result.validTasks.map(task => task.id), [1, 3]);
+        assert.deepEqual(result.errors, ['Task 2: Task must have a valid text description']);
+        assert.equal(result.errorCount, 1);
+    });
+
+    it('rejects non-arrays and arrays without a valid task', () => {
+        assert.equal(validateTaskArray({}).message, 'Tasks must be an array');
+        assert.equal(validateTaskArray([]).isValid, false);
+    });
+});
+
+describe('getDuplicateKey and checkForDuplicates', () => {
+    it('keys text by its trimmed, lower-case form', () => {
+        assert.equal(getDuplicateKey('  Buy MILK '), 'buy milk');
+        assert.equal(getDuplicateKey('Buy  milk'), 'buy  milk');
+    });
+
+    it('matches text ignoring case and surrounding spaces', () => {
+        const tasks = [createTask({ text: 'Buy Milk ' }), createTask({ id: 2, text: 'Call' })];
+        assert.deepEqual(checkForDuplicates(' buy milk', tasks), { hasDuplicates: true, duplicates: [tasks[0]] });
+        assert.equal(checkForDuplicates('Buy bread', tasks).hasDuplicates, false);
+        assert.equal(checkForDuplicates('x', null).hasDuplicates, false);
+    });
+});
+
+describe('validateTaskId and validateCompletionStatus', () => {
+    it('accepts positive safe integers only', () => {
+        assert.equal(validateTaskId(1700000000000), true);
+        assert.equal(validateTaskId(1.5), false);
+        assert.equal(validateTaskId(0), false);
+        assert.equal(validateTaskId(Number.MAX_SAFE_INTEGER + 2), false);
+        assert.equal(validateTaskId('1'), false);
+    });
+
+    it('accepts booleans only', () => {
+        assert.equal(validateCompletionStatus(false), true);
+        assert.equal(validateCompletionStatus('false'), false);
+    });
+});
+
+describe('getValidationMessage', () => {
+    it('looks messages up by field and error type', () => {
+        assert.equal(getValidationMessage('task-input', 'maxLength'), 'Task description cannot exceed 200 characters');
+        assert.equal(getValidationMessage('task-input', 'unknown'), 'Invalid input');
+        assert.equal(getValidationMessage('other', 'required'), 'Invalid input');
+    });
+});
+
+describe('sanitizeTaskForStorage', () => {
+    it('cleans every field and keeps optional metadata', () => {
+        const task = sanitizeTaskForStorage({
+            id: 5,
+            text: '  Plan   trip <b> ',
+            completed: 'yes',
+            createdAt: '2024-01-01T00:00:00.000Z',
+            dueDate: 'soon',
+            priority: 'urgent',
+            tags: ['#Travel', 'travel', '1bad'],
+            subtasks: [{ id: 1, text: 'Book' }, { id: 'x' }],
+            recurrence: { frequency: 'yearly' },
+            seriesId: 's1',
+            updatedAt: '2024-01-02T00:00:00.000Z',
+            deletedAt: '2024-01-03T00:00:00.000Z'
+        });
+
+        assert.deepEqual(task, {
+            id: 5,
+            text: 'Plan trip b',
+            completed: false,
+            createdAt: '2024-01-01T00:00:00.000Z',
+            dueDate: null,
+            priority: 'urgent',
+            tags: ['travel'],
+            subtasks: [{ id: 1, text: 'Book', completed: false }],
+            recurrence: null,
+            seriesId: 's1',
+            updatedAt: '2024-01-02T00:00:00.000Z',
+            deletedAt: '2024-01-03T00:00:00.000Z'
+        });
+    });
+
+    it('gives a task without a valid ID a new one', () => {
+        const task = sanitizeTaskForStorage({ id: 'abc', text: 'Call' });
+        assert.equal(validateTaskId(task.id), true);
+    });
+
+    it('throws on data that cannot become a task', () => {
+        assert.throws(() => sanitizeTaskForStorage(null), /Invalid task data/);
+        assert.throws(() => sanitizeTaskForStorage({ id: 1, text: '   ' }), /Task validation failed/);
+    });
+});
+
+describe('form validation', () => {
+    let dom;
+
+    before(() => {
+        dom = setupDOM({
+            html: '<form id="task-form"><input id="task-input" name="task-input"></form><input id="other">'
+        });
+    });
+
+    after(() => dom.close());
+
+    it('validateFormSubmission reads the task input of a form', () => {
+        const form = document.getElementById('task-form');
+        document.getElementById('task-input').value = 'Water plants';
+        assert.equal(validateFormSubmission(form).sanitizedText, 'Water plants');
+        assert.equal(validateFormSubmission(document.getElementById('other')).message, 'Invalid form element');
+    });
+
+    it('setupRealTimeValidation marks the input after a pause in typing and on blur', async () => {
+        const input = document.getElementById('task-input');
+        const results = [];
+        const cleanup = setupRealTimeValidation(input, validation => results.push(validation.isValid));
+
+        input.value = 'aaaaa';
+        input.dispatchEvent(new Event('input'));
+        assert.deepEqual(results, []);
+        await wait(350);
+        assert.deepEqual(results, [false]);
+        assert.equal(input.classList.contains('invalid'), true);
+
+        input.value = 'Fine';
+        input.dispatchEvent(new Event('blur'));
+        assert.deepEqual(results, [false, true]);
+        assert.equal(input.classList.contains('valid'), true);
+
+        cleanup();
+        input.dispatchEvent(new Event('blur'));
+        assert.equal(results.length, 2);
+    });
+
+    it('setupRealTimeValidation ignores a missing input or callback', () => {
+        assert.equal(typeof setupRealTimeValidation(null, () => {}), 'function');
+    });
+});
+
+describe('createValidationReport', () => {
+    let dom;
+
+    before(() => {
+        dom = setupDOM({ html: '<form id="task-form"><input name="task-input" value="Read"></form>' });
+    });
+
+    after(() => dom.close());
+
+    it('reports on a single task', () => {
+        assert.equal(createValidationReport(createTask(), 'task').isValid, true);
+        assert.deepEqual(createValidationReport(createTask({ id: -1 }), 'task').errors, ['Task must have a valid ID']);
+    });
+
+    it('reports errors and a warning for filtered task arrays', () => {
+        const report = createValidationReport([createTask(), createTask({ id: 2, completed: null })], 'taskArray');
+        assert.equal(report.isValid, true);
+        assert.deepEqual(report.errors, ['Task 2: Task must have a valid completion status']);
+        assert.deepEqual(report.warnings, ['1 tasks were filtered out due to validation errors']);
+        assert.equal(typeof report.timestamp, 'string');
+    });
+
+    it('reports on a form', () => {
+        assert.equal(createValidationReport(document.getElementById('task-form'), 'form').isValid, true);
+    });
+
+    it('reports unknown types and errors thrown while validating', () => {
+        assert.deepEqual(createValidationReport({}, 'list').errors, ['Unknown data type for validation']);
+        assert.match(createValidationReport(null, 'taskArray').errors[0], /^Validation error: /);
+    });
+});
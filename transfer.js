@@ -0,0 +1,320 @@
+/**
+ * Transfer Module - Export and import of task lists for TaskFlow Lite
+ * Supports the JSON backup format, CSV spreadsheets and Markdown checklists
+ */
+
+import { exportTasks } from './storage.js';
+import { migrateTaskPayload, describeMigration } from './migrations.js';
+import { extractTags, validateTaskArray, createValidationReport } from './validation.js';
+import { withoutTrashed } from './trash.js';
+
+export const EXPORT_FORMATS = {
+    json: { label: 'JSON', extension: 'json', mimeType: 'application/json' },
+    csv: { label: 'CSV', extension: 'csv', mimeType: 'text/csv' },
+    markdown: { label: 'Markdown', extension: 'md', mimeType: 'text/markdown' }
+};
+
+const CSV_COLUMNS = ['id', 'text', 'completed', 'priority', 'dueDate', 'tags', 'createdAt'];
+const CHECKLIST_PATTERN = /^(\s*)[-*+] \[([ xX])\] (.+)$/;
+const DUE_DATE_PATTERN = /\s*\(due (\d{4}-\d{2}-\d{2})\)\s*$/;
+
+// Spreadsheet apps run cells starting with these characters as formulas
+const FORMULA_PREFIX = /^[=+\-@]/;
+
+/**
+ * Quote a CSV cell when needed and neutralize spreadsheet formulas
+ * @param {*} value - Cell value
+ * @returns {string} - CSV-safe cell
+ */
+const toCSVCell = (value) => {
+    let cell = value === null || value === undefined ? '' : String(value);
+    if (FORMULA_PREFIX.test(cell)) {
+        cell = `'${cell}`;
+    }
+    return /[",\r\n]/.test(cell) ? `"${cell.replace(/"/g, '""')}"` : cell;
+};
+
+/**
+ * Serialize tasks as CSV with a header row
+ * Checklists and repeat rules are not included; use JSON for a full backup
+ * @param {Array} tasks - Array of task objects
+ * @returns {string} - CSV text
+ */
+export const tasksToCSV = (tasks) => {
+    const rows = tasks.map(task => [
+        task.id,
+        task.text,
+        task.completed,
+        task.priority,
+        task.dueDate,
+        (task.tags || []).join(' '),
+        task.createdAt
+    ].map(toCSVCell).join(','));
+
+    return [CSV_COLUMNS.join(','), ...rows].join('\r\n');
+};
+
+/**
+ * Serialize tasks as a Markdown checklist; checklist items become nested items
+ * @param {Array} tasks - Array of task objects
+ * @param {string} title - Heading for the list
+ * @returns {string} - Markdown text
+ */
+export const tasksToMarkdown = (tasks, title = 'Tasks') => {
+    const lines = [`# ${title}`, ''];
+
+    tasks.forEach(task => {
+        const tags = (task.tags || []).map(tag => ` #${tag}`).join('');
+        const dueDate = task.dueDate ? ` (due ${task.dueDate})` : '';
+        lines.push(`- [${task.completed ? 'x' : ' '}] ${task.text}${tags}${dueDate}`);
+
+        (task.subtasks || []).forEach(subtask => {
+            lines.push(`  - [${subtask.completed ? 'x' : ' '}] ${subtask.text}`);
+        });
+    });
+
+    return `${lines.join('\n')}\n`;
+};
+
+/**
+ * Serialize tasks in one of the export formats
+ * @param {Array} tasks - Array of task objects
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @param {string} title - List name, used as the Markdown heading
+ * @param {Object} options - Export options
+ * @param {boolean} options.includeTrashed - Keep tasks that are in the trash
+ * @returns {string} - File contents
+ */
+export const serializeTasks = (tasks, format, title, { includeTrashed = false } = {}) => {
+    const exported = includeTrashed ? tasks : withoutTrashed(tasks);
+
+    switch (format) {
+        case 'csv':
+            return tasksToCSV(exported);
+        case 'markdown':
+            return tasksToMarkdown(exported, title);
+        case 'json':
+            return exportTasks(exported, { includeTrashed });
+        default:
+            throw new Error(`Unknown export format: ${format}`);
+    }
+};
+
+/**
+ * Build a download file name from a list name
+ * @param {string} listName - List name
+ * @param {string} format - Key of EXPORT_FORMATS
+ * @returns {string} - File name such as 'my-tasks-2024-01-31.csv'
+ */
+export const getExportFileName = (listName, format) => {
+    const slug = String(listName).toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'tasks';
+    const date = new Date().toISOString().slice(0, 10);
+    return `${slug}-${date}.${EXPORT_FORMATS[format].extension}`;
+};
+
+/**
+ * Guess the format of an imported file from its name, then its contents
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {string} - 'json', 'csv' or 'markdown'
+ */
+export const detectImportFormat = (fileName, text) => {
+    const extension = String(fileName).split('.').pop().toLowerCase();
+    if (extension === 'json') return 'json';
+    if (extension === 'csv') return 'csv';
+    if (extension === 'md' || extension === 'markdown') return 'markdown';
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('{') || trimmed.startsWith('[')) return 'json';
+    return trimmed.split(/\r?\n/).some(line => CHECKLIST_PATTERN.test(line)) ? 'markdown' : 'csv';
+};
+
+/**
+ * Split CSV text into rows of cells, honouring quoted cells
+ * @param {string} text - CSV text
+ * @returns {Array} - Array of rows (arrays of strings)
+ */
+const parseCSVRows = (text) => {
+    const rows = [];
+    let row = [];
+    let cell = '';
+    let inQuotes = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                cell += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                cell += char;
+            }
+        } else if (char === '"') {
+            inQuotes = true;
+        } else if (char === ',') {
+            row.push(cell);
+            cell = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') i++;
+            row.push(cell);
+            rows.push(row);
+            row = [];
+            cell = '';
+        } else {
+            cell += char;
+        }
+    }
+
+    if (cell !== '' || row.length > 0) {
+        row.push(cell);
+        rows.push(row);
+    }
+
+    return rows.filter(cells => cells.some(value => value.trim() !== ''));
+};
+
+/**
+ * Undo the formula protection added by toCSVCell
+ * @param {string} cell - Raw cell
+ * @returns {string} - Cell value
+ */
+const fromCSVCell = (cell) => {
+    return cell.startsWith("'") && FORMULA_PREFIX.test(cell.slice(1)) ? cell.slice(1) : cell;
+};
+
+/**
+ * Read task rows from CSV; the header must include a 'text' column
+ * @param {string} text - CSV text
+ * @returns {Array} - Raw task rows
+ */
+const parseCSV = (text) => {
+    const [header, ...rows] = parseCSVRows(text);
+    const columns = (header || []).map(name => name.trim().toLowerCase());
+    const column = (name) => columns.indexOf(name.toLowerCase());
+
+    if (column('text') === -1) {
+        throw new Error('CSV needs a header row with a "text" column');
+    }
+
+    return rows.map(cells => {
+        const value = (name) => {
+            const index = column(name);
+            return index === -1 || cells[index] === undefined ? '' : fromCSVCell(cells[index].trim());
+        };
+
+        return {
+            id: value('id') === '' ? undefined : Number(value('id')),
+            text: value('text'),
+            completed: ['true', 'yes', '1', 'x'].includes(value('completed').toLowerCase()),
+            priority: value('priority') || undefined,
+            dueDate: value('dueDate') || null,
+            tags: value('tags').split(/[\s,]+/).filter(Boolean).map(tag => tag.replace(/^#/, '').toLowerCase()),
+            createdAt: value('createdAt') || undefined
+        };
+    });
+};
+
+/**
+ * Read task rows from a Markdown checklist; indented items become checklist steps
+ * @param {string} text - Markdown text
+ * @returns {Array} - Raw task rows
+ */
+const parseMarkdown = (text) => {
+    const rows = [];
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const match = CHECKLIST_PATTERN.exec(line);
+        if (!match) return;
+
+        const [, indent, mark, content] = match;
+        const completed = mark.toLowerCase() === 'x';
+        const parent = rows[rows.length - 1];
+
+        if (indent.length > 0 && parent) {
+            parent.subtasks.push({ id: Date.now() + index + Math.random(), text: content.trim(), completed });
+            return;
+        }
+
+        const dueMatch = DUE_DATE_PATTERN.exec(content);
+        const parsed = extractTags(dueMatch ? content.slice(0, dueMatch.index) : content);
+        rows.push({
+            text: parsed.text,
+            completed,
+            dueDate: dueMatch ? dueMatch[1] : null,
+            tags: parsed.tags,
+            subtasks: []
+        });
+    });
+
+    return rows;
+};
+
+/**
+ * Read task rows from a JSON export, upgrading older versions first
+ * @param {string} text - JSON text
+ * @returns {Object} - { rows, migration } where migration describes any upgrade
+ */
+const parseJSON = (text) => {
+    const { payload, report } = migrateTaskPayload(JSON.parse(text));
+    if (report.error) {
+        throw new Error(describeMigration(report));
+    }
+
+    return {
+        rows: payload.tasks,
+        migration: report.migrated ? describeMigration(report) : ''
+    };
+};
+
+/**
+ * Give an imported row the fields every task needs, without hiding invalid values
+ * @param {Object} row - Raw task row
+ * @param {number} index - Row position, used to keep generated IDs unique
+ * @returns {Object} - Task candidate for validation
+ */
+const toTaskCandidate = (row, index) => {
+    if (!row || typeof row !== 'object') return row;
+
+    return {
+        ...row,
+        id: typeof row.id === 'number' && row.id > 0 ? row.id : Date.now() + index + Math.random(),
+        text: typeof row.text === 'string' ? row.text.trim() : row.text,
+        completed: typeof row.completed === 'boolean' ? row.completed : Boolean(row.completed),
+        createdAt: row.createdAt || new Date().toISOString()
+    };
+};
+
+/**
+ * Parse an import file and validate every row
+ * @param {string} fileName - Name of the file
+ * @param {string} text - File contents
+ * @returns {Object} - Preview with format, validTasks, counts, errors and the validation report
+ */
+export const parseImportFile = (fileName, text) => {
+    const format = detectImportFormat(fileName, text);
+    let rows;
+    let migration = '';
+
+    if (format === 'json') {
+        ({ rows, migration } = parseJSON(text));
+    } else {
+        rows = format === 'csv' ? parseCSV(text) : parseMarkdown(text);
+    }
+
+    const candidates = rows.map(toTaskCandidate);
+    const report = createValidationReport(candidates, 'taskArray');
+    const { validTasks } = validateTaskArray(candidates);
+
+    return {
+        fileName,
+        format,
+        migration,
+        validTasks,
+        totalCount: candidates.length,
+        rejectedCount: candidates.length - validTasks.length,
+        report
+    };
+};
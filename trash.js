@@ -0,0 +1,49 @@
+/**
+ * Trash Module - Soft-deleted tasks for TaskFlow Lite
+ * Deleted tasks keep their place in the list with a deletedAt timestamp until they are restored or purged
+ */
+
+// Retention choices offered in the trash view; 0 keeps deleted tasks until they are purged by hand
+export const TRASH_RETENTION_DAYS = [7, 30, 90, 0];
+export const DEFAULT_TRASH_RETENTION_DAYS = 30;
+
+const DAY_IN_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check whether a task is in the trash
+ * @param {Object} task - Task object
+ * @returns {boolean} - Whether the task was deleted
+ */
+export const isTrashed = (task) => Boolean(task && task.deletedAt);
+
+/**
+ * Drop trashed tasks
+ * @param {Array} tasks - Array of task objects
+ * @returns {Array} - Tasks that are not in the trash
+ */
+export const withoutTrashed = (tasks) => tasks.filter(task => !isTrashed(task));
+
+/**
+ * Check whether a trashed task has outlived the retention period
+ * @param {Object} task - Task object
+ * @param {number} retentionDays - Days to keep deleted tasks; 0 keeps them forever
+ * @param {Date} now - Current time
+ * @returns {boolean} - Whether the task should be purged
+ */
+export const isTrashExpired = (task, retentionDays, now = new Date()) => {
+    if (!isTrashed(task) || !retentionDays) return false;
+
+    const deletedTime = Date.parse(task.deletedAt);
+    return !Number.isNaN(deletedTime) && now.getTime() - deletedTime > retentionDays * DAY_IN_MS;
+};
+
+/**
+ * Describe a retention setting for the trash view
+ * @param {number} retentionDays - Days to keep deleted tasks; 0 keeps them forever
+ * @returns {string} - Text such as 'Deleted tasks are kept for 30 days'
+ */
+export const describeRetention = (retentionDays) => {
+    return retentionDays
+        ? `Deleted tasks are kept for ${retentionDays} days`
+        : 'Deleted tasks are kept until you empty the trash';
+};
@@ -3,6 +3,8 @@
  * Handles task input validation, error feedback, and data sanitization
  */
 
+import { parseDateKey } from './dates.js';
+
 // Validation constants
 const VALIDATION_RULES = {
     MIN_LENGTH: 1,
@@ -11,6 +13,28 @@ const VALIDATION_RULES = {
     FORBIDDEN_WORDS: ['script', 'javascript', 'onload', 'onerror', 'onclick']
 };
 
+// Tag rules; tags are typed inline as #word and stored lowercase without the '#'
+const TAG_RULES = {
+    MAX_LENGTH: 30,
+    MAX_COUNT: 10,
+    PATTERN: /^[a-z][a-z0-9_-]*$/,
+    INLINE_PATTERN: /(^|\s)#([a-zA-Z][a-zA-Z0-9_-]*)(?=\s|$)/g
+};
+
+// Maximum number of checklist items per task
+const MAX_SUBTASKS = 50;
+
+// Recurrence rules; completed occurrences are kept as a capped history on the open occurrence
+const RECURRENCE_RULES = {
+    FREQUENCIES: ['daily', 'weekly', 'monthly'],
+    MAX_INTERVAL: 365,
+    MAX_HISTORY: 100
+};
+
+// Priority levels, lowest first
+export const PRIORITY_LEVELS = ['low', 'normal', 'high', 'urgent'];
+export const DEFAULT_PRIORITY = 'normal';
+
 /**
  * Validate task text input
  * @param {string} text - Task text to validate
@@ -144,13 +168,421 @@ export const validateTaskObject = (task) => {
         return textValidation;
     }
     
+    // Validate optional due date
+    const dueDateValidation = validateDueDate(task.dueDate);
+    if (!dueDateValidation.isValid) {
+        return dueDateValidation;
+    }
+    
+    // Validate priority (missing priority falls back to the default)
+    const priorityValidation = validatePriority(task.priority);
+    if (!priorityValidation.isValid) {
+        return priorityValidation;
+    }
+    
+    // Validate tags (missing tags become an empty list)
+    const tagsValidation = validateTags(task.tags);
+    if (!tagsValidation.isValid) {
+        return tagsValidation;
+    }
+    
+    // Validate checklist items (missing subtasks become an empty list)
+    const subtasksValidation = validateSubtasks(task.subtasks);
+    if (!subtasksValidation.isValid) {
+        return subtasksValidation;
+    }
+    
+    // Validate the repeat rule (missing rule means the task does not repeat)
+    const recurrenceValidation = validateRecurrence(task.recurrence);
+    if (!recurrenceValidation.isValid) {
+        return recurrenceValidation;
+    }
+    
     return {
         isValid: true,
         message: '',
         sanitizedTask: {
             ...task,
-            text: textValidation.sanitizedText
+            text: textValidation.sanitizedText,
+            dueDate: dueDateValidation.sanitizedDate,
+            priority: priorityValidation.sanitizedPriority,
+            tags: tagsValidation.sanitizedTags,
+            subtasks: subtasksValidation.sanitizedSubtasks,
+            recurrence: recurrenceValidation.sanitizedRecurrence
+        }
+    };
+};
+
+/**
+ * Validate a single checklist item
+ * Subtask text follows the same rules as task text
+ * @param {Object} subtask - Subtask with id, text and completed
+ * @returns {Object} - Validation result with sanitizedSubtask
+ */
+export const validateSubtask = (subtask) => {
+    if (!subtask || typeof subtask !== 'object') {
+        return {
+            isValid: false,
+            message: 'Invalid checklist item'
+        };
+    }
+    
+    if (typeof subtask.id !== 'number' || subtask.id <= 0) {
+        return {
+            isValid: false,
+            message: 'Checklist item must have a valid ID'
+        };
+    }
+    
+    if (subtask.completed !== undefined && typeof subtask.completed !== 'boolean') {
+        return {
+            isValid: false,
+            message: 'Checklist item must have a valid completion status'
+        };
+    }
+    
+    const textValidation = validateTaskText(subtask.text);
+    if (!textValidation.isValid) {
+        return textValidation;
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedSubtask: {
+            id: subtask.id,
+            text: textValidation.sanitizedText,
+            completed: Boolean(subtask.completed)
+        }
+    };
+};
+
+/**
+ * Validate an ordered list of checklist items
+ * @param {Array|undefined} subtasks - Subtasks to validate
+ * @returns {Object} - Validation result with sanitizedSubtasks
+ */
+export const validateSubtasks = (subtasks) => {
+    if (subtasks === undefined || subtasks === null) {
+        return {
+            isValid: true,
+            message: '',
+            sanitizedSubtasks: []
+        };
+    }
+    
+    if (!Array.isArray(subtasks)) {
+        return {
+            isValid: false,
+            message: 'Checklist must be a list'
+        };
+    }
+    
+    if (subtasks.length > MAX_SUBTASKS) {
+        return {
+            isValid: false,
+            message: `A task can have at most ${MAX_SUBTASKS} checklist items`
+        };
+    }
+    
+    const sanitizedSubtasks = [];
+    for (const subtask of subtasks) {
+        const validation = validateSubtask(subtask);
+        if (!validation.isValid) {
+            return validation;
+        }
+        sanitizedSubtasks.push(validation.sanitizedSubtask);
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedSubtasks
+    };
+};
+
+/**
+ * Keep only the valid checklist items of untrusted data (stored or imported)
+ * @param {Array|undefined} subtasks - Raw subtasks
+ * @returns {Array} - Valid, sanitized subtasks
+ */
+export const sanitizeSubtasks = (subtasks) => {
+    if (!Array.isArray(subtasks)) return [];
+    
+    return subtasks
+        .map(validateSubtask)
+        .filter(validation => validation.isValid)
+        .map(validation => validation.sanitizedSubtask)
+        .slice(0, MAX_SUBTASKS);
+};
+
+/**
+ * Normalize a single tag
+ * @param {string} tag - Tag with or without a leading '#'
+ * @returns {string|null} - Lowercase tag without '#', or null if invalid
+ */
+export const normalizeTag = (tag) => {
+    if (typeof tag !== 'string') return null;
+    
+    const normalized = tag.trim().replace(/^#/, '').toLowerCase();
+    if (normalized.length === 0 || normalized.length > TAG_RULES.MAX_LENGTH) return null;
+    
+    return TAG_RULES.PATTERN.test(normalized) ? normalized : null;
+};
+
+/**
+ * Validate a list of tags
+ * @param {Array|undefined} tags - Tags to validate
+ * @returns {Object} - Validation result with de-duplicated sanitizedTags
+ */
+export const validateTags = (tags) => {
+    if (tags === undefined || tags === null) {
+        return {
+            isValid: true,
+            message: '',
+            sanitizedTags: []
+        };
+    }
+    
+    if (!Array.isArray(tags)) {
+        return {
+            isValid: false,
+            message: 'Tags must be a list'
+        };
+    }
+    
+    const sanitizedTags = [];
+    for (const tag of tags) {
+        const normalized = normalizeTag(tag);
+        if (!normalized) {
+            return {
+                isValid: false,
+                message: `Tags must start with a letter and may only contain letters, numbers, - and _ (max ${TAG_RULES.MAX_LENGTH} characters)`
+            };
+        }
+        if (!sanitizedTags.includes(normalized)) {
+            sanitizedTags.push(normalized);
+        }
+    }
+    
+    if (sanitizedTags.length > TAG_RULES.MAX_COUNT) {
+        return {
+            isValid: false,
+            message: `A task can have at most ${TAG_RULES.MAX_COUNT} tags`
+        };
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedTags
+    };
+};
+
+/**
+ * Pull inline #tags out of task input
+ * A '#' that is not a whole word starting with a letter (e.g. 'Room #' or 'fix #12') stays in the text
+ * @param {string} text - Raw task input
+ * @returns {Object} - Remaining text and the tags found
+ */
+export const extractTags = (text) => {
+    if (!text || typeof text !== 'string') {
+        return { text: '', tags: [] };
+    }
+    
+    const tags = [];
+    const remainingText = text.replace(TAG_RULES.INLINE_PATTERN, (match, leadingSpace, tag) => {
+        tags.push(tag.toLowerCase());
+        return leadingSpace;
+    });
+    
+    return {
+        text: remainingText.replace(/\s+/g, ' ').trim(),
+        tags: [...new Set(tags)]
+    };
+};
+
+/**
+ * Validate a task priority
+ * @param {string|undefined} priority - One of PRIORITY_LEVELS
+ * @returns {Object} - Validation result with sanitizedPriority
+ */
+export const validatePriority = (priority) => {
+    if (priority === undefined || priority === null || priority === '') {
+        return {
+            isValid: true,
+            message: '',
+            sanitizedPriority: DEFAULT_PRIORITY
+        };
+    }
+    
+    if (!PRIORITY_LEVELS.includes(priority)) {
+        return {
+            isValid: false,
+            message: `Priority must be one of: ${PRIORITY_LEVELS.join(', ')}`
+        };
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedPriority: priority
+    };
+};
+
+/**
+ * Validate an optional due date
+ * @param {string|null|undefined} dueDate - Due date as 'YYYY-MM-DD'
+ * @returns {Object} - Validation result with sanitizedDate (null when no date is set)
+ */
+export const validateDueDate = (dueDate) => {
+    if (dueDate === undefined || dueDate === null || dueDate === '') {
+        return {
+            isValid: true,
+            message: '',
+            sanitizedDate: null
+        };
+    }
+    
+    if (typeof dueDate !== 'string' || !parseDateKey(dueDate.trim())) {
+        return {
+            isValid: false,
+            message: 'Due date must be a valid date'
+        };
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedDate: dueDate.trim()
+    };
+};
+
+/**
+ * Check that a value is a whole number within a range
+ * @param {*} value - Value to check
+ * @param {number} min - Smallest allowed value
+ * @param {number} max - Largest allowed value
+ * @returns {boolean} - Whether the value is in range
+ */
+const isIntegerInRange = (value, min, max) => {
+    return Number.isInteger(value) && value >= min && value <= max;
+};
+
+/**
+ * Validate a recurrence rule
+ * @param {Object|null|undefined} recurrence - { frequency, interval, weekdays?, dayOfMonth? }
+ * @returns {Object} - Validation result with sanitizedRecurrence (null when the task does not repeat)
+ */
+export const validateRecurrence = (recurrence) => {
+    if (recurrence === undefined || recurrence === null) {
+        return {
+            isValid: true,
+            message: '',
+            sanitizedRecurrence: null
+        };
+    }
+    
+    if (typeof recurrence !== 'object' || !RECURRENCE_RULES.FREQUENCIES.includes(recurrence.frequency)) {
+        return {
+            isValid: false,
+            message: `Repeat must be one of: ${RECURRENCE_RULES.FREQUENCIES.join(', ')}`
+        };
+    }
+    
+    const interval = recurrence.interval === undefined ? 1 : recurrence.interval;
+    if (!isIntegerInRange(interval, 1, RECURRENCE_RULES.MAX_INTERVAL)) {
+        return {
+            isValid: false,
+            message: `Repeat interval must be a whole number from 1 to ${RECURRENCE_RULES.MAX_INTERVAL}`
+        };
+    }
+    
+    const sanitizedRecurrence = { frequency: recurrence.frequency, interval };
+    
+    if (recurrence.frequency === 'weekly') {
+        const weekdays = Array.isArray(recurrence.weekdays) ? [...new Set(recurrence.weekdays)] : [];
+        if (weekdays.length === 0 || !weekdays.every(day => isIntegerInRange(day, 0, 6))) {
+            return {
+                isValid: false,
+                message: 'Weekly repeats need at least one weekday'
+            };
         }
+        sanitizedRecurrence.weekdays = weekdays.sort((a, b) => a - b);
+    }
+    
+    if (recurrence.frequency === 'monthly') {
+        if (!isIntegerInRange(recurrence.dayOfMonth, 1, 31)) {
+            return {
+                isValid: false,
+                message: 'Monthly repeats need a day of the month from 1 to 31'
+            };
+        }
+        sanitizedRecurrence.dayOfMonth = recurrence.dayOfMonth;
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedRecurrence
+    };
+};
+
+/**
+ * Keep only well-formed entries of a recurring task's completion history
+ * @param {Array} occurrences - Raw list of { dueDate, completedAt }
+ * @returns {Array} - Valid entries, newest last, capped to the history limit
+ */
+export const sanitizeCompletedOccurrences = (occurrences) => {
+    if (!Array.isArray(occurrences)) return [];
+    
+    return occurrences
+        .filter(entry => entry && typeof entry === 'object' && typeof entry.completedAt === 'string')
+        .map(entry => ({
+            dueDate: validateDueDate(entry.dueDate).sanitizedDate || null,
+            completedAt: entry.completedAt
+        }))
+        .slice(-RECURRENCE_RULES.MAX_HISTORY);
+};
+
+/**
+ * Validate a list (project) name
+ * @param {string} name - Proposed list name
+ * @param {Array} lists - Existing lists ({ id, name })
+ * @param {string} excludeId - List being renamed, ignored in the uniqueness check
+ * @returns {Object} - Validation result with sanitizedName
+ */
+export const validateListName = (name, lists = [], excludeId = null) => {
+    const textValidation = validateTaskText(name);
+    if (!textValidation.isValid) {
+        return {
+            isValid: false,
+            message: textValidation.message
+                .replace('Task description', 'List name')
+                .replace('task description', 'list name')
+        };
+    }
+    
+    const sanitizedName = textValidation.sanitizedText;
+    if (sanitizedName.length > 50) {
+        return {
+            isValid: false,
+            message: 'List name cannot exceed 50 characters'
+        };
+    }
+    
+    const normalizedName = sanitizedName.toLowerCase();
+    if (lists.some(list => list.id !== excludeId && list.name.toLowerCase() === normalizedName)) {
+        return {
+            isValid: false,
+            message: 'A list with this name already exists'
+        };
+    }
+    
+    return {
+        isValid: true,
+        message: '',
+        sanitizedName
     };
 };
 
@@ -164,7 +596,8 @@ export const validateTaskArray = (tasks) => {
         return {
             isValid: false,
             message: 'Tasks must be an array',
-            validTasks: []
+            validTasks: [],
+            errors: []
         };
     }
     
@@ -184,6 +617,7 @@ export const validateTaskArray = (tasks) => {
         isValid: validTasks.length > 0,
         message: errors.length > 0 ? errors.join('; ') : '',
         validTasks: validTasks,
+        errors: errors,
         errorCount: errors.length
     };
 };
@@ -262,6 +696,13 @@ export const validateFormSubmission = (form) => {
     return validateTaskText(taskText);
 };
 
+/**
+ * Get the key two task texts share when they count as duplicates
+ * @param {string} text - Task text
+ * @returns {string} - Text without surrounding whitespace, in lower case
+ */
+export const getDuplicateKey = (text) => text.trim().toLowerCase();
+
 /**
  * Check for duplicate tasks
  * @param {string} newTaskText - New task text
@@ -276,9 +717,9 @@ export const checkForDuplicates = (newTaskText, existingTasks) => {
         };
     }
     
-    const normalizedNewText = newTaskText.trim().toLowerCase();
+    const normalizedNewText = getDuplicateKey(newTaskText);
     const duplicates = existingTasks.filter(task => 
-        task.text.trim().toLowerCase() === normalizedNewText
+        getDuplicateKey(task.text) === normalizedNewText
     );
     
     return {
@@ -359,7 +800,7 @@ export const createValidationReport = (data, dataType) => {
                 const arrayValidation = validateTaskArray(data);
                 report.isValid = arrayValidation.isValid;
                 if (arrayValidation.errorCount > 0) {
-                    report.errors.push(arrayValidation.message);
+                    report.errors.push(...arrayValidation.errors);
                 }
                 if (arrayValidation.validTasks.length < data.length) {
                     report.warnings.push(`${data.length - arrayValidation.validTasks.length} tasks were filtered out due to validation errors`);
@@ -398,7 +839,19 @@ export const sanitizeTaskForStorage = (taskData) => {
         id: validateTaskId(taskData.id) ? taskData.id : Date.now(),
         text: sanitizeTaskText(taskData.text || ''),
         completed: validateCompletionStatus(taskData.completed) ? taskData.completed : false,
-        createdAt: taskData.createdAt || new Date().toISOString()
+        createdAt: taskData.createdAt || new Date().toISOString(),
+        dueDate: validateDueDate(taskData.dueDate).sanitizedDate || null,
+        priority: validatePriority(taskData.priority).sanitizedPriority || DEFAULT_PRIORITY,
+        tags: Array.isArray(taskData.tags) ? [...new Set(taskData.tags.map(normalizeTag).filter(Boolean))] : [],
+        subtasks: sanitizeSubtasks(taskData.subtasks),
+        recurrence: validateRecurrence(taskData.recurrence).sanitizedRecurrence || null,
+        ...(taskData.seriesId && { seriesId: taskData.seriesId }),
+        ...(taskData.completedOccurrences && {
+            completedOccurrences: sanitizeCompletedOccurrences(taskData.completedOccurrences)
+        }),
+        ...(taskData.updatedAt && { updatedAt: taskData.updatedAt }),
+        ...(taskData.completedAt && { completedAt: taskData.completedAt }),
+        ...(taskData.deletedAt && { deletedAt: taskData.deletedAt })
     };
     
     // Final validation
@@ -0,0 +1,247 @@
+/**
+ * Virtual List Module - Windowed rendering for very large task lists in TaskFlow Lite
+ * Only rows near the visible part of a scrolling list are mounted; padding above and below stands in for the rest.
+ * Rows vary in height, so each one is measured once it has been shown and estimated until then.
+ */
+
+// Lists with more rows than this are windowed
+export const VIRTUALIZE_THRESHOLD = 500;
+export const ESTIMATED_ROW_HEIGHT = 64;
+
+// Extra height mounted above and below the viewport so fast scrolling does not show blank space
+const OVERSCAN = 600;
+// Used while the list has no layout yet (hidden, or not in the document)
+const FALLBACK_VIEWPORT_HEIGHT = 800;
+
+/**
+ * Check whether a list is long enough to window
+ * @param {number} count - Number of rows
+ * @param {number} threshold - Row count above which lists are windowed
+ * @returns {boolean} - Whether to window the list
+ */
+export const shouldVirtualize = (count, threshold = VIRTUALIZE_THRESHOLD) => count > threshold;
+
+/**
+ * Get the key rows are matched and measured by
+ * @param {Object} item - List item with an id
+ * @returns {string} - Key, matching the row's data-id
+ */
+const getItemKey = (item) => String(item.id);
+
+/**
+ * Work out where each row starts
+ * @param {Array} items - Items in display order
+ * @param {Map} heights - Measured row heights by item key
+ * @param {number} gap - Space between rows
+ * @param {number} estimatedHeight - Height assumed for rows not measured yet
+ * @returns {Float64Array} - items.length + 1 offsets; the last one is where a row after the list would start
+ */
+export const getRowOffsets = (items, heights, gap, estimatedHeight = ESTIMATED_ROW_HEIGHT) => {
+    const offsets = new Float64Array(items.length + 1);
+    items.forEach((item, index) => {
+        const height = heights.get(getItemKey(item));
+        offsets[index + 1] = offsets[index] + (height === undefined ? estimatedHeight : height) + gap;
+    });
+    return offsets;
+};
+
+/**
+ * Find the first row that ends below a position
+ * @param {Float64Array} offsets - Row offsets (see getRowOffsets)
+ * @param {number} position - Distance from the top of the list
+ * @returns {number} - Row index, or the row count when the position is past the end
+ */
+const findRowAt = (offsets, position) => {
+    let low = 0;
+    let high = offsets.length - 1;
+    while (low < high) {
+        const middle = Math.floor((low + high) / 2);
+        if (offsets[middle + 1] > position) {
+            high = middle;
+        } else {
+            low = middle + 1;
+        }
+    }
+    return low;
+};
+
+/**
+ * Get the rows that overlap part of the list
+ * Always includes at least one row of a non-empty list, so a scroll position past the end still shows the last row
+ * @param {Float64Array} offsets - Row offsets (see getRowOffsets)
+ * @param {number} top - Top of the area to fill
+ * @param {number} bottom - Bottom of the area to fill
+ * @returns {Object} - { start, end }, end exclusive
+ */
+export const getVisibleRange = (offsets, top, bottom) => {
+    const count = offsets.length - 1;
+    if (count === 0) return { start: 0, end: 0 };
+
+    const start = Math.min(findRowAt(offsets, Math.max(top, 0)), count - 1);
+    const end = Math.max(Math.min(findRowAt(offsets, bottom) + 1, count), start + 1);
+    return { start, end };
+};
+
+/**
+ * Window a scrolling list element
+ * The element scrolls itself; renderRows fills it with the rows for the current window and
+ * each row must carry data-id set to its item's id
+ * @param {HTMLElement} listElement - Scrolling list container
+ * @param {Function} renderRows - Called with (windowItems, startIndex, totalCount) to mount exactly those rows
+ * @param {Object} options - Window options
+ * @param {number} options.estimatedRowHeight - Height assumed for rows not measured yet
+ * @param {number} options.overscan - Extra height mounted above and below the viewport
+ * @returns {Object} - { setItems(items), scrollToItem(id), getRange(), destroy() }
+ */
+export const createVirtualList = (listElement, renderRows, {
+    estimatedRowHeight = ESTIMATED_ROW_HEIGHT,
+    overscan = OVERSCAN
+} = {}) => {
+    const heights = new Map();
+    let items = [];
+    let range = { start: 0, end: 0 };
+    let frame = null;
+    let width = listElement.clientWidth;
+
+    const getOffsets = () => {
+        const gap = parseFloat(getComputedStyle(listElement).rowGap) || 0;
+        return getRowOffsets(items, heights, gap, estimatedRowHeight);
+    };
+
+    const getViewportHeight = () => listElement.clientHeight || FALLBACK_VIEWPORT_HEIGHT;
+
+    const applyPadding = (offsets) => {
+        listElement.style.paddingTop = `${offsets[range.start]}px`;
+        listElement.style.paddingBottom = `${offsets[items.length] - offsets[range.end]}px`;
+    };
+
+    /**
+     * Record the heights of the mounted rows
+     * @returns {boolean} - Whether any height changed
+     */
+    const measureRows = () => {
+        let changed = false;
+        for (let row = listElement.firstElementChild; row; row = row.nextElementSibling) {
+            const height = row.offsetHeight;
+            // Rows without layout (hidden list) keep their estimate
+            if (height > 0 && heights.get(row.dataset.id) !== height) {
+                heights.set(row.dataset.id, height);
+                changed = true;
+            }
+        }
+        return changed;
+    };
+
+    /**
+     * Mount the rows for the current scroll position
+     * @returns {*} - Whatever renderRows returned
+     */
+    const update = () => {
+        if (frame !== null) {
+            cancelAnimationFrame(frame);
+            frame = null;
+        }
+
+        let offsets = getOffsets();
+        const scrollTop = listElement.scrollTop;
+        // Keep the row at the top of the view in place when measurements replace estimates above it
+        const anchorIndex = Math.min(findRowAt(offsets, scrollTop), items.length - 1);
+        const anchorShift = anchorIndex > 0 ? scrollTop - offsets[anchorIndex] : 0;
+
+        range = getVisibleRange(offsets, scrollTop - overscan, scrollTop + getViewportHeight() + overscan);
+        const result = renderRows(items.slice(range.start, range.end), range.start, items.length);
+        applyPadding(offsets);
+
+        if (measureRows()) {
+            offsets = getOffsets();
+            applyPadding(offsets);
+            if (anchorIndex > 0) {
+                listElement.scrollTop = offsets[anchorIndex] + anchorShift;
+            }
+        }
+
+        return result;
+    };
+
+    const scheduleUpdate = () => {
+        if (frame === null) {
+            frame = requestAnimationFrame(update);
+        }
+    };
+
+    listElement.addEventListener('scroll', scheduleUpdate, { passive: true });
+
+    // Rows rewrap when the list changes width, so earlier measurements no longer hold
+    const resizeObserver = typeof ResizeObserver === 'function'
+        ? new ResizeObserver(() => {
+            if (listElement.clientWidth !== width) {
+                width = listElement.clientWidth;
+                heights.clear();
+            }
+            scheduleUpdate();
+        })
+        : null;
+    if (resizeObserver) {
+        resizeObserver.observe(listElement);
+    }
+
+    return {
+        /**
+         * Show a new set of items, keeping the scroll position
+         * @param {Array} nextItems - Items in display order
+         * @returns {*} - Whatever renderRows returned
+         */
+        setItems(nextItems) {
+            items = nextItems;
+            return update();
+        },
+
+        /**
+         * Scroll just far enough to show an item and mount its row
+         * @param {*} id - Item id
+         * @returns {boolean} - Whether the item is in the list
+         */
+        scrollToItem(id) {
+            const index = items.findIndex(item => getItemKey(item) === String(id));
+            if (index === -1) return false;
+
+            const offsets = getOffsets();
+            const viewportHeight = getViewportHeight();
+            const rowTop = offsets[index];
+            const rowBottom = offsets[index + 1];
+
+            if (rowTop < listElement.scrollTop) {
+                listElement.scrollTop = rowTop;
+            } else if (rowBottom > listElement.scrollTop + viewportHeight) {
+                listElement.scrollTop = rowBottom - viewportHeight;
+            }
+
+            update();
+            return true;
+        },
+
+        /**
+         * Get the mounted part of the list
+         * @returns {Object} - { start, end, total }, end exclusive
+         */
+        getRange() {
+            return { ...range, total: items.length };
+        },
+
+        /**
+         * Stop windowing; mounted rows are left in place
+         */
+        destroy() {
+            if (frame !== null) {
+                cancelAnimationFrame(frame);
+                frame = null;
+            }
+            listElement.removeEventListener('scroll', scheduleUpdate);
+            if (resizeObserver) {
+                resizeObserver.disconnect();
+            }
+            listElement.style.paddingTop = '';
+            listElement.style.paddingBottom = '';
+        }
+    };
+};